@@ -0,0 +1,125 @@
+/**
+ * Alert rules shared by the browser and the API server.
+ *
+ * Alerts come from comparing an option before and after a change, so each
+ * one fires on the transition rather than on every refresh:
+ *   STOPLOSS_HIT   the position was stopped out
+ *   NEAR_STOPLOSS  the premium moved within nearPercent of the stop
+ *   TARGET_HIT     a profit target was booked
+ *   STOP_RAISED    the trailing stop tightened: up, or down for a written
+ *                  option
+ *
+ * Options with alertsMuted set never raise alerts. A deduper drops the
+ * same alert (same key) seen again within its window, so the browser and
+ * the server stream reporting one change twice only notify once.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./contract'), require('./stoploss'));
+  } else {
+    root.SensexAlerts = factory(root.SensexContract, root.SensexStoploss);
+  }
+})(typeof self !== 'undefined' ? self : this, function (contract, stoploss) {
+  const ALERT_TYPES = ['STOPLOSS_HIT', 'NEAR_STOPLOSS', 'TARGET_HIT', 'STOP_RAISED'];
+  const DEFAULT_NEAR_PERCENT = 2;
+  const DEDUPE_WINDOW_MS = 10 * 60 * 1000;
+
+  /**
+   * How far the premium is from the stop on the safe side (above it, or
+   * below it for a written option), as a percent of the premium
+   */
+  function distancePercent(option) {
+    const gap = stoploss.isShort(option) ? option.stoploss - option.currentPrice : option.currentPrice - option.stoploss;
+    if (!option.currentPrice) return gap > 0 ? 100 : 0;
+    return Math.max(0, (gap / option.currentPrice) * 100);
+  }
+
+  // Premiums and stops are worked out in floating point; show them in paise
+  function rupees(value) {
+    return `₹${Number(value).toFixed(2)}`;
+  }
+
+  function isNear(option, nearPercent) {
+    return stoploss.isActive(option) && distancePercent(option) < nearPercent;
+  }
+
+  function buildAlert(type, option, key, message) {
+    return {
+      type,
+      key: `${type}:${option.id}:${key}`,
+      optionId: option.id,
+      contract: contract.contractName(option),
+      message,
+      currentPrice: option.currentPrice,
+      stoploss: option.stoploss,
+      status: option.status,
+      at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Alerts raised by an option changing from `previous` to `option`.
+   * Options: { nearPercent, types } - types limits which rules run.
+   */
+  function detectAlerts(previous, option, { nearPercent = DEFAULT_NEAR_PERCENT, types = ALERT_TYPES } = {}) {
+    if (!previous || !option || option.alertsMuted) {
+      return [];
+    }
+
+    const name = contract.contractName(option);
+    const alerts = [];
+
+    if (option.status === 'STOPLOSS_HIT' && previous.status !== 'STOPLOSS_HIT') {
+      alerts.push(buildAlert('STOPLOSS_HIT', option, option.stoploss,
+        `Stoploss hit: ${name} at ${rupees(option.currentPrice)} (stop ${rupees(option.stoploss)})`));
+    }
+
+    // Re-arms whenever the stop moves, so a raised stop can warn again
+    if (isNear(option, nearPercent) && (!isNear(previous, nearPercent) || previous.stoploss !== option.stoploss)) {
+      alerts.push(buildAlert('NEAR_STOPLOSS', option, option.stoploss,
+        `${name} is ${distancePercent(option).toFixed(2)}% from its stop (${rupees(option.currentPrice)} vs ${rupees(option.stoploss)})`));
+    }
+
+    (option.targets || []).forEach((target, index) => {
+      const before = (previous.targets || [])[index];
+      if (target.hitAt && !(before && before.hitAt)) {
+        alerts.push(buildAlert('TARGET_HIT', option, `${index}:${target.price}`,
+          `Target ${rupees(target.price)} reached on ${name}: booked ${target.quantity}`));
+      }
+    });
+
+    const short = stoploss.isShort(option);
+    const tightened = short ? option.stoploss < previous.stoploss : option.stoploss > previous.stoploss;
+    if (stoploss.isActive(option) && tightened) {
+      alerts.push(buildAlert('STOP_RAISED', option, option.stoploss,
+        `Stop ${short ? 'lowered' : 'raised'} on ${name}: ${rupees(previous.stoploss)} → ${rupees(option.stoploss)}`));
+    }
+
+    return alerts.filter(alert => types.includes(alert.type));
+  }
+
+  /**
+   * Remembers alert keys for `windowMs` and reports whether an alert is new
+   */
+  function createAlertDeduper(windowMs = DEDUPE_WINDOW_MS) {
+    const seen = new Map();
+
+    return function isNew(alert, now = Date.now()) {
+      seen.forEach((at, key) => {
+        if (now - at > windowMs) seen.delete(key);
+      });
+      if (seen.has(alert.key)) {
+        return false;
+      }
+      seen.set(alert.key, now);
+      return true;
+    };
+  }
+
+  return {
+    ALERT_TYPES,
+    DEFAULT_NEAR_PERCENT,
+    detectAlerts,
+    createAlertDeduper
+  };
+});
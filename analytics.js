@@ -0,0 +1,220 @@
+/**
+ * Trade journal and performance analytics shared by the browser and the
+ * API server.
+ *
+ * A trade is an option that is no longer running: EXITED, EXPIRED or
+ * STOPLOSS_HIT. Closed positions use their finalPnL and exitedAt; a
+ * stopped-out position that has not been exited yet is valued at its
+ * current price as of the update that hit the stop.
+ *
+ * Realized P&L by day and week is booked per exit instead, on the day each
+ * lot was closed, so lots scaled out of a position that is still open count
+ * when they happen - the same way risk.js realizedOn() adds up the day.
+ *
+ * Money is in rupees, holding times in milliseconds and rates in percent.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./contract'), require('./stoploss'));
+  } else {
+    root.SensexAnalytics = factory(root.SensexContract, root.SensexStoploss);
+  }
+})(typeof self !== 'undefined' ? self : this, function (contract, stoploss) {
+  const CLOSED_STATUSES = ['EXITED', 'EXPIRED', 'STOPLOSS_HIT'];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * When a stopped-out position hit its stop: the last logged update
+   */
+  function stopHitAt(option) {
+    const log = option.updateLog || [];
+    return log.length > 0 ? log[log.length - 1].timestamp : option.createdAt;
+  }
+
+  /**
+   * Trailing setting a trade is grouped under: the percent for percentage
+   * trails, otherwise the strategy description
+   */
+  function trailingLabel(option) {
+    return option.trailingPercent !== null && option.trailingPercent !== undefined
+      ? `${option.trailingPercent}%`
+      : stoploss.describeStrategy(option);
+  }
+
+  /**
+   * One journal line per closed trade, oldest close first
+   */
+  function journalEntries(options) {
+    return options
+      .filter(option => CLOSED_STATUSES.includes(option.status))
+      .map((option) => {
+        const pnl = option.finalPnL || stoploss.calculatePnL(option);
+        const closedAt = option.exitedAt || stopHitAt(option);
+        const exits = option.exits || [];
+
+        return {
+          id: option.id,
+          contract: contract.contractName(option),
+          optionType: option.optionType,
+          trailing: trailingLabel(option),
+          status: option.status,
+          exitReason: exits.length > 0 ? exits[exits.length - 1].reason : 'STOPLOSS',
+          quantity: option.quantity,
+          entryPrice: option.entryPrice,
+          exitPrice: option.exitPrice !== undefined ? option.exitPrice : option.currentPrice,
+          pnl: Number(pnl.pnl),
+          pnlPercent: Number(pnl.pnlPercent),
+          openedAt: option.createdAt,
+          closedAt: new Date(closedAt).toISOString(),
+          holdingMs: Math.max(0, new Date(closedAt) - new Date(option.createdAt))
+        };
+      })
+      .sort((a, b) => new Date(a.closedAt) - new Date(b.closedAt));
+  }
+
+  /**
+   * Largest fall of cumulative P&L from an earlier peak (starting at 0)
+   */
+  function maxDrawdown(entries) {
+    let equity = 0;
+    let peak = 0;
+    let drawdown = 0;
+    entries.forEach((entry) => {
+      equity += entry.pnl;
+      peak = Math.max(peak, equity);
+      drawdown = Math.max(drawdown, peak - equity);
+    });
+    return drawdown;
+  }
+
+  /**
+   * Win rate, average win/loss, expectancy and the rest for some trades.
+   * Break-even trades count as neither wins nor losses.
+   */
+  function summarize(entries) {
+    const wins = entries.filter(entry => entry.pnl > 0);
+    const losses = entries.filter(entry => entry.pnl < 0);
+    const sum = list => list.reduce((total, entry) => total + entry.pnl, 0);
+    const totalPnL = sum(entries);
+    const averageWin = wins.length ? sum(wins) / wins.length : 0;
+    const averageLoss = losses.length ? sum(losses) / losses.length : 0;
+    const winRate = entries.length ? wins.length / entries.length : 0;
+    const lossRate = entries.length ? losses.length / entries.length : 0;
+
+    return {
+      trades: entries.length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate: round(winRate * 100),
+      totalPnL: round(totalPnL),
+      averageWin: round(averageWin),
+      averageLoss: round(averageLoss),
+      // Expected P&L per trade: what a typical win earns times how often,
+      // less what a typical loss costs times how often
+      expectancy: round(winRate * averageWin + lossRate * averageLoss),
+      maxDrawdown: round(maxDrawdown(entries)),
+      averageHoldingMs: entries.length
+        ? Math.round(entries.reduce((total, entry) => total + entry.holdingMs, 0) / entries.length)
+        : 0
+    };
+  }
+
+  /**
+   * Monday (IST) of the week a date falls in, as 'YYYY-MM-DD'
+   */
+  function weekStart(day) {
+    const date = new Date(`${day}T00:00:00Z`);
+    const sinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - sinceMonday * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Every booking of realized P&L, { id, day, pnl }: one per exit, on the
+   * IST day it happened. Closed options saved before exits were recorded
+   * book their whole P&L when they closed.
+   */
+  function realizations(options) {
+    return options.flatMap((option) => {
+      const exits = option.exits || [];
+      if (exits.length > 0) {
+        return exits.map(exit => ({
+          id: option.id,
+          day: contract.toIstDate(new Date(exit.exitedAt)),
+          pnl: exit.pnl
+        }));
+      }
+      if (option.exitedAt && option.finalPnL) {
+        return [{ id: option.id, day: contract.toIstDate(new Date(option.exitedAt)), pnl: Number(option.finalPnL.pnl) }];
+      }
+      return [];
+    });
+  }
+
+  /**
+   * Realized P&L per period, oldest first. trades counts the positions
+   * that booked anything in the period.
+   */
+  function pnlByPeriod(bookings, periodOf) {
+    const periods = new Map();
+    bookings.forEach((booking) => {
+      const period = periodOf(booking.day);
+      const bucket = periods.get(period) || { period, pnl: 0, ids: new Set() };
+      bucket.pnl += booking.pnl;
+      bucket.ids.add(booking.id);
+      periods.set(period, bucket);
+    });
+    return [...periods.values()]
+      .map(bucket => ({ period: bucket.period, pnl: round(bucket.pnl), trades: bucket.ids.size }))
+      .sort((a, b) => a.period.localeCompare(b.period));
+  }
+
+  function groupBy(entries, keyOf) {
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const key = keyOf(entry);
+      groups.set(key, [...(groups.get(key) || []), entry]);
+    });
+    return groups;
+  }
+
+  /**
+   * Full analytics over the closed trades among `options`, with realized
+   * P&L by day and week from every exit.
+   * Filters: { from, to } limit trades to IST close dates and bookings to
+   * IST exit dates (YYYY-MM-DD, inclusive).
+   */
+  function analyzeTrades(options, { from, to } = {}) {
+    const inRange = day => (!from || day >= from) && (!to || day <= to);
+    const entries = journalEntries(options)
+      .filter(entry => inRange(contract.toIstDate(new Date(entry.closedAt))));
+    const bookings = realizations(options).filter(booking => inRange(booking.day));
+
+    const byTrailing = [...groupBy(entries, entry => entry.trailing)]
+      .map(([trailing, group]) => ({ trailing, ...summarize(group) }))
+      .sort((a, b) => b.expectancy - a.expectancy);
+
+    const byOptionType = {};
+    groupBy(entries, entry => entry.optionType).forEach((group, optionType) => {
+      byOptionType[optionType] = summarize(group);
+    });
+
+    return {
+      summary: summarize(entries),
+      byDay: pnlByPeriod(bookings, day => day),
+      byWeek: pnlByPeriod(bookings, weekStart),
+      byOptionType,
+      byTrailing,
+      journal: entries
+    };
+  }
+
+  return {
+    CLOSED_STATUSES,
+    journalEntries,
+    analyzeTrades
+  };
+});
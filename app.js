@@ -1,12 +1,70 @@
 // ============================================================
-// PURE FRONTEND APPLICATION - Using localStorage for persistence
+// FRONTEND APPLICATION - localStorage or the API server (datasource.js)
 // ============================================================
 
+// Trailing stop and P&L math shared with the server (stoploss.js)
+const {
+  STRATEGIES,
+  normalizeStrategy,
+  normalizeTargets,
+  describeStrategy,
+  isStoplossHit,
+  isShort,
+  bestPrice,
+  isActive,
+  getOpenQuantity,
+  calculatePnL,
+  priceHistory,
+  createOption
+} = window.SensexStoploss;
+const { LOT_SIZE, useCalendar, listExpiries, validateContract, contractName } = window.SensexContract;
+const { priceTrackedOption } = window.SensexPricing;
+const { ALERT_TYPES, DEFAULT_NEAR_PERCENT, detectAlerts, createAlertDeduper } = window.SensexAlerts;
+const { createCandleSeries } = window.SensexCandles;
+const { createMarketCalendar } = window.SensexMarketCalendar;
+const { SIDES, MAX_LEGS, calculateGroupPnL, isGroupActive, describeGroup } = window.SensexGroups;
+const { BROKER_PROFILES, DEFAULT_PROFILE, getProfile, calculateCharges, breakevenPrice } = window.SensexCharges;
+const { DEFAULT_SETTINGS: DEFAULT_RISK_SETTINGS, portfolioRisk, suggestSize, checkDailyLoss } = window.SensexRisk;
+
 // Configuration
 const STORAGE_KEY = 'sensex_tracker_data';
+const GROUPS_KEY = 'sensex_tracker_groups';
+const STREAM_RETRY_MIN_MS = 2000;
+const STREAM_RETRY_MAX_MS = 60000;
+const ALERT_SETTINGS_KEY = 'sensex_tracker_alert_settings';
+// Broker profile picked last, used for the next option
+const BROKER_KEY = 'sensex_tracker_broker';
+const CANDLES_KEY = 'sensex_tracker_candles';
+const CANDLE_LIMIT = 40;
+// How long the undo bar stays up after an exit or removal
+const UNDO_VISIBLE_MS = 10000;
+let dataSource = null;
 let currentOptionId = null;
+let currentGroupId = null;
 let refreshInterval = null;
+let closeStream = null;
+let streamConnected = false;
+let reconnectTimer = null;
+let reconnectDelay = null;
 let isRefreshing = false;
+let refreshPending = false;
+let latestLiveData = null;
+// Options as of the previous load, to spot changes worth an alert
+let lastSeenOptions = null;
+// Account size, risk per trade and daily loss limit (risk.js)
+let riskSettings = { ...DEFAULT_RISK_SETTINGS };
+const isNewAlert = createAlertDeduper();
+let audioContext = null;
+let candleTimeframe = '5m';
+let undoTimer = null;
+// Card picked with the j / k shortcuts, kept across re-renders
+let focusedCardId = null;
+// Cards whose price history is expanded, kept across re-renders
+const openHistories = new Set();
+// Candles built from the ticks this browser sees, used when the server has none
+const browserCandles = createCandleSeries(readSavedCandles());
+// Weekday sessions until the exchange calendar has loaded
+let marketCalendar = createMarketCalendar([]);
 
 // Mobile detection
 const isMobileDevice = () => {
@@ -18,7 +76,27 @@ const addOptionForm = document.getElementById('addOptionForm');
 const optionsContainer = document.getElementById('optionsContainer');
 const priceModal = document.getElementById('priceModal');
 const priceForm = document.getElementById('priceForm');
-const closeBtn = document.querySelector('.close');
+const exitModal = document.getElementById('exitModal');
+const exitForm = document.getElementById('exitForm');
+const editModal = document.getElementById('editModal');
+const editForm = document.getElementById('editForm');
+const journalSection = document.getElementById('journalSection');
+const trashSection = document.getElementById('trashSection');
+const importModal = document.getElementById('importModal');
+const importForm = document.getElementById('importForm');
+const addGroupForm = document.getElementById('addGroupForm');
+const groupsContainer = document.getElementById('groupsContainer');
+const groupPriceModal = document.getElementById('groupPriceModal');
+const groupPriceForm = document.getElementById('groupPriceForm');
+const authModal = document.getElementById('authModal');
+const authForm = document.getElementById('authForm');
+const bulkModal = document.getElementById('bulkModal');
+const bulkForm = document.getElementById('bulkForm');
+// Dialogs closed by closeModal(), a click outside them or Esc
+const MODALS = [priceModal, exitModal, editModal, importModal, groupPriceModal, bulkModal];
+let pendingImport = null;
+const strategySelect = document.getElementById('strategyType');
+const strategyParamsContainer = document.getElementById('strategyParams');
 
 /**
  * Local Storage Management
@@ -41,6 +119,24 @@ function saveTrackedOptions(options) {
   }
 }
 
+function getTrackedGroups() {
+  try {
+    const data = localStorage.getItem(GROUPS_KEY);
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    console.error('Error reading from localStorage:', error);
+    return [];
+  }
+}
+
+function saveTrackedGroups(groups) {
+  try {
+    localStorage.setItem(GROUPS_KEY, JSON.stringify(groups));
+  } catch (error) {
+    console.error('Error saving to localStorage:', error);
+  }
+}
+
 /**
  * Simulate live SENSEX and volatility data
  */
@@ -48,45 +144,174 @@ function generateLiveData() {
   const basePrice = 75423;
   const randomChange = (Math.random() - 0.5) * 200;
   const price = basePrice + randomChange;
-  const changePercent = ((randomChange / basePrice) * 100).toFixed(2);
+  const changePercent = Number(((randomChange / basePrice) * 100).toFixed(2));
+  const { phase, holiday } = marketCalendar.phaseAt();
   
   return {
     sensex: Math.round(price),
-    volatility: (Math.random() * 25 + 10).toFixed(2),
-    change: randomChange.toFixed(2),
+    volatility: Number((Math.random() * 25 + 10).toFixed(2)),
+    change: Number(randomChange.toFixed(2)),
     changePercent: changePercent,
-    marketStatus: isMarketOpen() ? 'OPEN' : 'CLOSED',
-    optionsActive: isMarketOpen(),
+    marketStatus: phase,
+    optionsActive: marketCalendar.isOpen(),
+    holiday: holiday ? holiday.name : null,
     lastUpdate: new Date(),
     source: 'Simulated Data',
     error: null
   };
 }
 
+function readSavedCandles() {
+  try {
+    const data = localStorage.getItem(CANDLES_KEY);
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    console.error('Error reading candles from localStorage:', error);
+    return [];
+  }
+}
+
+function saveCandles() {
+  try {
+    localStorage.setItem(CANDLES_KEY, JSON.stringify(browserCandles));
+  } catch (error) {
+    console.error('Error saving candles to localStorage:', error);
+  }
+}
+
 /**
- * Check if market is open (IST timezone - 9:15 AM to 3:30 PM, Monday to Friday)
+ * Show server candles for the chosen timeframe, or the browser's own when
+ * the server has none or cannot be reached
  */
-function isMarketOpen() {
-  const now = new Date();
-  const istTime = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Kolkata' }));
-  const dayOfWeek = istTime.getDay();
-  const hours = istTime.getHours();
-  const minutes = istTime.getMinutes();
-  const timeInMinutes = hours * 60 + minutes;
-  
-  const marketOpen = 9 * 60 + 15; // 555 (9:15 AM)
-  const marketClose = 15 * 60 + 30; // 930 (3:30 PM)
-  
-  const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5;
-  return isWeekday && timeInMinutes >= marketOpen && timeInMinutes <= marketClose;
+async function loadCandles() {
+  let candles = [];
+  try {
+    candles = await dataSource.candles(candleTimeframe, CANDLE_LIMIT);
+  } catch (error) {
+    console.warn('Error loading candles from server:', error);
+  }
+  if (candles.length === 0) {
+    candles = browserCandles.candles(candleTimeframe, CANDLE_LIMIT);
+  }
+  renderCandles(candles);
+}
+
+/**
+ * Draw OHLC candles and the session average into the SVG chart
+ */
+function renderCandles(candles) {
+  const svg = document.getElementById('candleChart');
+  const info = document.getElementById('candleInfo');
+
+  if (candles.length === 0) {
+    svg.innerHTML = '';
+    info.textContent = 'Candles build up from live ticks while the market is open';
+    return;
+  }
+
+  const width = 600;
+  const height = 160;
+  const padding = 6;
+  const slot = width / CANDLE_LIMIT;
+  const values = candles.flatMap(candle => [candle.high, candle.low, candle.average]);
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  const range = max - min || 1;
+  const y = price => padding + ((max - price) / range) * (height - 2 * padding);
+  const x = index => index * slot + slot / 2;
+
+  const bars = candles.map((candle, index) => {
+    const top = y(Math.max(candle.open, candle.close));
+    const bodyHeight = Math.max(1, y(Math.min(candle.open, candle.close)) - top);
+    return `
+      <line class="candle-wick" x1="${x(index)}" x2="${x(index)}" y1="${y(candle.high)}" y2="${y(candle.low)}"></line>
+      <rect class="${candle.close >= candle.open ? 'candle-up' : 'candle-down'}" x="${x(index) - slot * 0.3}" y="${top}" width="${slot * 0.6}" height="${bodyHeight}"></rect>`;
+  }).join('');
+
+  // One average line per session; it restarts at each day's open
+  const sessions = [];
+  candles.forEach((candle, index) => {
+    const day = new Date(candle.time).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    if (!sessions.length || sessions[sessions.length - 1].day !== day) {
+      sessions.push({ day, points: [] });
+    }
+    sessions[sessions.length - 1].points.push(`${x(index)},${y(candle.average)}`);
+  });
+  const averages = sessions
+    .map(session => `<polyline class="candle-average" points="${session.points.join(' ')}"></polyline>`)
+    .join('');
+
+  svg.innerHTML = bars + averages;
+
+  const last = candles[candles.length - 1];
+  const time = new Date(last.time).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' });
+  info.textContent = `${time}  O ${last.open}  H ${last.high}  L ${last.low}  C ${last.close}  ·  Avg ${last.average}  ·  Range ${Math.round(min)}–${Math.round(max)}`;
+}
+
+function handleTimeframeChange(e) {
+  candleTimeframe = e.currentTarget.dataset.timeframe;
+  document.querySelectorAll('.timeframe-btn').forEach((btn) => {
+    btn.classList.toggle('active', btn.dataset.timeframe === candleTimeframe);
+  });
+  loadCandles();
+}
+
+/**
+ * Load exchange holidays and special sessions. Until this finishes (or if
+ * no calendar file is found) plain weekday sessions are used.
+ */
+async function loadMarketCalendar() {
+  try {
+    const files = await dataSource.calendar();
+    marketCalendar = createMarketCalendar(files);
+    useCalendar(marketCalendar);
+    renderExpiryOptions();
+  } catch (error) {
+    console.error('Error loading market calendar:', error);
+  }
+}
+
+/**
+ * Ticker text for a market phase
+ */
+function marketStatusLabel(data) {
+  switch (data.marketStatus) {
+    case 'OPEN':
+      return { text: 'OPTIONS ▲ ACTIVE', color: '#10b981' };
+    case 'CLOSING':
+      return { text: 'OPTIONS ▲ CLOSING', color: '#f59e0b' };
+    case 'PRE_OPEN':
+      return { text: 'OPTIONS ● PRE-OPEN', color: '#f59e0b' };
+    case 'HOLIDAY':
+      return { text: `OPTIONS ● HOLIDAY${data.holiday ? ` (${data.holiday})` : ''}`, color: '#ef4444' };
+    default: {
+      const next = marketCalendar.nextOpen();
+      const opens = next
+        ? ` · OPENS ${next.time.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', weekday: 'short', hour: '2-digit', minute: '2-digit' })}`
+        : '';
+      return { text: `OPTIONS ● CLOSED${opens}`, color: '#ef4444' };
+    }
+  }
 }
 
 /**
  * Load and display live SENSEX and volatility data
  */
-function loadLiveData() {
+async function loadLiveData() {
+  try {
+    const data = dataSource ? await dataSource.live() : generateLiveData();
+    await renderLiveData(data);
+  } catch (error) {
+    console.warn('Error generating live data:', error);
+  }
+}
+
+/**
+ * Show live market data, polled or pushed over the event stream
+ */
+async function renderLiveData(data) {
   try {
-    const data = generateLiveData();
+    latestLiveData = data;
     
     // Update ticker items with live prices
     const tickerItems = document.querySelectorAll('.ticker-item');
@@ -100,15 +325,26 @@ function loadLiveData() {
       // Volatility
       tickerItems[1].textContent = `VOLATILITY ▲ ${data.volatility || 18.5}%`;
       
-      // Market Status (OPEN/CLOSED)
-      const statusText = data.optionsActive ? 'OPTIONS ▲ ACTIVE' : 'OPTIONS ● CLOSED';
-      const statusColor = data.optionsActive ? '#10b981' : '#ef4444';
-      tickerItems[2].textContent = statusText;
-      tickerItems[2].style.color = statusColor;
+      // Market phase from the exchange calendar
+      const status = marketStatusLabel(data);
+      tickerItems[2].textContent = status.text;
+      tickerItems[2].style.color = status.color;
     }
     
     // Log market info
     console.log(`📊 Market: ${data.marketStatus} | Options: ${data.optionsActive ? 'ACTIVE' : 'CLOSED'} | Last Update: ${new Date(data.lastUpdate).toLocaleTimeString()}`);
+
+    // Only trading-hours ticks make candles
+    if (data.optionsActive) {
+      browserCandles.addTick(data.sensex, data.lastUpdate);
+      saveCandles();
+    }
+    loadCandles();
+
+    // Settle expiries and move model-priced options (local mode only)
+    if (dataSource && await dataSource.applyMarket(data) > 0) {
+      loadOptions();
+    }
   } catch (error) {
     console.warn('Error generating live data:', error);
   }
@@ -116,8 +352,47 @@ function loadLiveData() {
 
 // Event Listeners
 addOptionForm.addEventListener('submit', handleAddOption);
+strategySelect.addEventListener('change', renderStrategyParams);
+document.getElementById('expiryType').addEventListener('change', renderExpiryOptions);
+document.getElementById('lots').addEventListener('input', renderLotHint);
+['side', 'optionType', 'strike', 'entryPrice', 'lots', 'trailingPercent', 'accountSize', 'riskPercent', 'dailyLossLimit']
+  .forEach(id => document.getElementById(id).addEventListener('input', renderSizing));
+strategySelect.addEventListener('change', renderSizing);
+document.querySelector('.sizing-fields').addEventListener('change', handleRiskSettingsChange);
+document.getElementById('applySizing').addEventListener('click', applySuggestedLots);
+document.getElementById('broker').addEventListener('change', e => localStorage.setItem(BROKER_KEY, e.target.value));
 priceForm.addEventListener('submit', handlePriceUpdate);
-closeBtn.addEventListener('click', closeModal);
+addGroupForm.addEventListener('submit', handleAddGroup);
+document.getElementById('groupExpiryType').addEventListener('change', renderExpiryOptions);
+document.getElementById('addLegBtn').addEventListener('click', () => addLegRow());
+groupPriceForm.addEventListener('submit', handleGroupPriceUpdate);
+document.getElementById('alertSettings').addEventListener('change', handleAlertSettingsChange);
+document.getElementById('alertWebhooks').addEventListener('change', handleWebhooksChange);
+document.getElementById('enableNotifications').addEventListener('click', enableNotifications);
+journalSection.addEventListener('toggle', () => {
+  if (journalSection.open) loadJournal();
+});
+document.getElementById('journalFilters').addEventListener('change', loadJournal);
+trashSection.addEventListener('toggle', () => {
+  if (trashSection.open) loadTrash();
+});
+document.getElementById('undoBtn').addEventListener('click', undoLastChange);
+document.getElementById('backtestFile').addEventListener('change', handleBacktestFile);
+document.getElementById('backtestForm').addEventListener('submit', handleBacktest);
+document.querySelectorAll('.export-btn').forEach(btn => {
+  btn.addEventListener('click', () => exportOptions(btn.dataset.format));
+});
+document.getElementById('importFile').addEventListener('change', handleImportFile);
+document.querySelectorAll('.timeframe-btn').forEach(btn => btn.addEventListener('click', handleTimeframeChange));
+document.getElementById('importDuplicates').addEventListener('change', previewImport);
+importForm.addEventListener('submit', handleImport);
+exitForm.addEventListener('submit', handlePartialExit);
+editForm.addEventListener('submit', handleEdit);
+bulkForm.addEventListener('submit', handleBulkUpdate);
+document.getElementById('bulkUpdateBtn').addEventListener('click', openBulkModal);
+document.getElementById('bulkPaste').addEventListener('input', fillBulkFromPaste);
+document.addEventListener('keydown', handleShortcut);
+document.querySelectorAll('.modal .close').forEach(btn => btn.addEventListener('click', closeModal));
 window.addEventListener('click', closeOnOutsideClick);
 
 // Prevent zoom on double tap
@@ -142,86 +417,290 @@ if (isMobileDevice()) {
 /**
  * Handle adding a new option
  */
-function handleAddOption(e) {
+async function handleAddOption(e) {
   e.preventDefault();
 
-  const formData = {
-    optionType: document.getElementById('optionType').value,
-    strike: parseFloat(document.getElementById('strike').value),
-    entryPrice: parseFloat(document.getElementById('entryPrice').value),
-    quantity: parseInt(document.getElementById('quantity').value),
-    trailingPercent: parseFloat(document.getElementById('trailingPercent').value)
-  };
+  const formData = readOptionForm();
 
   try {
-    if (!formData.optionType || !formData.strike || !formData.entryPrice || !formData.quantity || !formData.trailingPercent) {
+    if (!formData.optionType || !formData.strike || !formData.entryPrice || !formData.quantity) {
       showNotification('Please fill all required fields', 'error');
       return;
     }
 
-    const option = {
-      id: Date.now(),
-      entryPrice: formData.entryPrice,
-      currentPrice: formData.entryPrice,
-      quantity: formData.quantity,
-      trailingPercent: formData.trailingPercent,
-      optionType: formData.optionType,
-      strike: formData.strike,
-      highestPrice: formData.entryPrice,  // Tracks highest observed premium for trailing stop (both CALL & PUT)
-      stoploss: calculateStoploss(formData.entryPrice, formData.trailingPercent),
-      status: 'TRACKING',
-      createdAt: new Date().toISOString(),
-      updateLog: []
-    };
+    const problems = validateContract(formData);
+    if (problems.length > 0) {
+      showNotification(problems[0], 'error');
+      return;
+    }
+
+    try {
+      normalizeStrategy(formData.strategy, formData.trailingPercent);
+      normalizeTargets(formData.targets, formData.entryPrice, formData.quantity, LOT_SIZE, formData.side);
+    } catch (error) {
+      showNotification(error.message, 'error');
+      return;
+    }
+
+    try {
+      await dataSource.create(formData);
+    } catch (error) {
+      // Past the daily loss limit it is the trader's call
+      if (error.code !== 'DAILY_LOSS_LIMIT' || !confirm(`${error.message}. Track it anyway?`)) {
+        throw error;
+      }
+      await dataSource.create({ ...formData, acceptRisk: true });
+    }
 
-    const options = getTrackedOptions();
-    options.push(option);
-    saveTrackedOptions(options);
-    
     addOptionForm.reset();
-    loadOptions();
+    renderStrategyParams();
+    renderExpiryOptions();
+    renderLotHint();
+    renderBrokerOptions();
+    renderRiskSettings();
+    await loadOptions();
     showNotification('Option added successfully!', 'success');
   } catch (error) {
     console.error('Error adding option:', error);
-    showNotification('Failed to add option', 'error');
+    showNotification(isRejection(error) ? error.message : 'Failed to add option', 'error');
+  }
+}
+
+/**
+ * The new option as entered in the form
+ */
+function readOptionForm() {
+  return {
+    side: document.getElementById('side').value,
+    optionType: document.getElementById('optionType').value,
+    strike: parseFloat(document.getElementById('strike').value),
+    entryPrice: parseFloat(document.getElementById('entryPrice').value),
+    quantity: parseInt(document.getElementById('lots').value) * LOT_SIZE,
+    expiryType: document.getElementById('expiryType').value,
+    expiry: document.getElementById('expiry').value,
+    trailingPercent: parseFloat(document.getElementById('trailingPercent').value),
+    strategy: readStrategy(),
+    targets: parseTargets(document.getElementById('targets').value),
+    broker: document.getElementById('broker').value
+  };
+}
+
+/**
+ * Parse the targets field: comma separated prices, each optionally
+ * followed by "x <quantity>" (e.g. "300 x 10, 350"). A target without a
+ * quantity books everything still open when it is reached.
+ */
+function parseTargets(text) {
+  return text
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [price, quantity] = part.split(/\s*[x×]\s*/i);
+      return {
+        price: parseFloat(price),
+        quantity: quantity !== undefined ? parseInt(quantity) : null
+      };
+    });
+}
+
+/**
+ * Expiry picker: the next few weekly or monthly SENSEX expiries
+ */
+function renderExpiryOptions() {
+  [['expiryType', 'expiry'], ['groupExpiryType', 'groupExpiry']].forEach(([typeId, expiryId]) => {
+    const expiryType = document.getElementById(typeId).value;
+    document.getElementById(expiryId).innerHTML = listExpiries(expiryType)
+      .map(expiry => `<option value="${expiry}">${new Date(`${expiry}T00:00:00Z`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' })}</option>`)
+      .join('');
+  });
+}
+
+/**
+ * Show how many contracts the entered lots come to
+ */
+function renderLotHint() {
+  const lots = parseInt(document.getElementById('lots').value) || 0;
+  document.getElementById('lotHint').textContent = `1 lot = ${LOT_SIZE} · Qty ${lots * LOT_SIZE}`;
+}
+
+/**
+ * Broker profile picker for the charges on new options
+ */
+function renderBrokerOptions() {
+  const saved = localStorage.getItem(BROKER_KEY);
+  const selected = BROKER_PROFILES[saved] ? saved : DEFAULT_PROFILE;
+  document.getElementById('broker').innerHTML = Object.entries(BROKER_PROFILES)
+    .map(([id, profile]) => `<option value="${id}" ${id === selected ? 'selected' : ''}>${profile.label}</option>`)
+    .join('');
+}
+
+/**
+ * Fill the sizing helper from the saved risk settings
+ */
+function renderRiskSettings() {
+  document.getElementById('accountSize').value = riskSettings.accountSize !== null ? riskSettings.accountSize : '';
+  document.getElementById('riskPercent').value = riskSettings.riskPercent;
+  document.getElementById('dailyLossLimit').value = riskSettings.dailyLossLimit !== null ? riskSettings.dailyLossLimit : '';
+  renderSizing();
+}
+
+function readRiskSettings() {
+  const read = id => document.getElementById(id).value;
+  return {
+    accountSize: read('accountSize') === '' ? null : parseFloat(read('accountSize')),
+    riskPercent: read('riskPercent') === '' ? null : parseFloat(read('riskPercent')),
+    dailyLossLimit: read('dailyLossLimit') === '' ? null : parseFloat(read('dailyLossLimit'))
+  };
+}
+
+async function handleRiskSettingsChange() {
+  try {
+    riskSettings = await dataSource.saveSettings(readRiskSettings());
+    if (lastSeenOptions) {
+      renderRisk([...lastSeenOptions.values()]);
+    }
+  } catch (error) {
+    console.error('Error saving risk settings:', error);
+    showNotification(isRejection(error) ? error.message : 'Failed to save risk settings', 'error');
+  }
+}
+
+/**
+ * Suggested lots for the entered premium and trailing %, and a warning
+ * when the option as entered could break the daily loss limit
+ */
+function renderSizing() {
+  const settings = { ...riskSettings, ...readRiskSettings() };
+  const suggestion = suggestSize({
+    accountSize: settings.accountSize,
+    riskPercent: settings.riskPercent || DEFAULT_RISK_SETTINGS.riskPercent,
+    entryPrice: parseFloat(document.getElementById('entryPrice').value),
+    trailingPercent: parseFloat(document.getElementById('trailingPercent').value),
+    lotSize: LOT_SIZE
+  });
+
+  const applyButton = document.getElementById('applySizing');
+  applyButton.disabled = !suggestion || suggestion.lots === 0;
+  applyButton.dataset.lots = suggestion ? suggestion.lots : '';
+  document.getElementById('sizingSuggestion').textContent = !suggestion
+    ? 'Enter an account size, entry price and trailing % for a suggested size.'
+    : suggestion.lots === 0
+      ? `One lot risks ₹${formatNumber(suggestion.riskPerLot)} to the stop, more than the ₹${formatNumber(suggestion.budget)} budget.`
+      : `Suggested: ${suggestion.lots} lot${suggestion.lots === 1 ? '' : 's'} (Qty ${suggestion.quantity}), ` +
+        `risking ₹${formatNumber(suggestion.risk)} of the ₹${formatNumber(suggestion.budget)} budget.`;
+
+  // The position as entered, when the form describes a valid one yet
+  let check = null;
+  try {
+    const candidate = createOption({ ...readOptionForm(), id: 0 });
+    check = checkDailyLoss(lastSeenOptions ? [...lastSeenOptions.values()] : [], candidate, settings.dailyLossLimit);
+  } catch (error) {
+    check = null;
   }
+  const warning = document.getElementById('dailyLossWarning');
+  warning.hidden = !(check && check.breached);
+  if (check && check.breached) {
+    warning.textContent = `Daily loss limit: today's ₹${formatNumber(check.realized)} booked, ` +
+      `₹${formatNumber(check.openRisk)} open risk and ₹${formatNumber(check.newRisk)} on this position ` +
+      `could leave the day ₹${formatNumber(-check.worstCase)} down, past the ₹${formatNumber(check.limit)} limit.`;
+  }
+}
+
+function applySuggestedLots() {
+  document.getElementById('lots').value = document.getElementById('applySizing').dataset.lots;
+  renderLotHint();
+  renderSizing();
 }
 
 /**
- * Calculate stoploss as a trailing stop below the observed peak premium.
- * This returns a price lower than the tracked highestPrice so stoploss
- * is always below the market price for profit-booking (works for both CALL and PUT).
- * Formula: highestPrice * (1 - trailingPercent)
+ * Trailing strategy picker
+ * The trailing % field doubles as the `percent` parameter; every other
+ * parameter of the chosen strategy gets its own generated input.
  */
-function calculateStoploss(price, trailingPercent) {
-  return price * (1 - trailingPercent / 100);
+function renderStrategyOptions() {
+  strategySelect.innerHTML = Object.entries(STRATEGIES)
+    .map(([type, definition]) => `<option value="${type}">${definition.label}</option>`)
+    .join('');
+  renderStrategyParams();
+}
+
+function renderStrategyParams() {
+  const definition = STRATEGIES[strategySelect.value];
+  const percentSpec = definition.params.find(spec => spec.name === 'percent');
+  const trailingInput = document.getElementById('trailingPercent');
+  const trailingGroup = trailingInput.closest('.form-group');
+
+  trailingGroup.style.display = percentSpec ? '' : 'none';
+  trailingInput.required = Boolean(percentSpec);
+  if (percentSpec) {
+    trailingGroup.querySelector('label').textContent = `${percentSpec.label} *`;
+  }
+
+  strategyParamsContainer.innerHTML = definition.params
+    .filter(spec => spec.name !== 'percent')
+    .map(spec => `
+      <div class="form-group">
+        <label for="strategyParam-${spec.name}">${spec.label}${spec.optional ? '' : ' *'}</label>
+        <input type="${spec.type === 'date' ? 'date' : 'number'}" id="strategyParam-${spec.name}"
+          data-param="${spec.name}" step="${spec.integer ? 1 : 'any'}"
+          ${spec.default !== undefined ? `value="${spec.default}"` : ''}
+          ${spec.optional || spec.default !== undefined ? '' : 'required'}>
+      </div>
+    `)
+    .join('');
+}
+
+function readStrategy() {
+  const params = {};
+  strategyParamsContainer.querySelectorAll('[data-param]').forEach(input => {
+    if (input.value !== '') {
+      params[input.dataset.param] = input.type === 'date' ? input.value : parseFloat(input.value);
+    }
+  });
+  return { type: strategySelect.value, params };
 }
 
 /**
  * Load and display all tracked options
  */
-function loadOptions() {
-  if (isRefreshing) return;
+async function loadOptions() {
+  if (!dataSource) return;
+  if (isRefreshing) {
+    // Re-render once the running refresh is done so changes are never missed
+    refreshPending = true;
+    return;
+  }
   
   isRefreshing = true;
   try {
-    const options = getTrackedOptions();
+    const options = await dataSource.list();
+    updateSyncStatus();
+    checkAlerts(options);
 
     if (options.length === 0) {
       optionsContainer.innerHTML = '<div class="no-data">No options tracked yet. Add one to get started!</div>';
       updateStats(options);
-      isRefreshing = false;
       return;
     }
 
     optionsContainer.innerHTML = options.map(option => createOptionCard(option)).join('');
+    const focused = optionsContainer.querySelector(`.option-card[data-id="${focusedCardId}"]`);
+    if (focused) focused.classList.add('card-focused');
     attachEventListeners();
     updateStats(options);
+    if (journalSection.open) {
+      loadJournal();
+    }
   } catch (error) {
     console.error('Error loading options:', error);
     optionsContainer.innerHTML = '<div class="no-data">Error loading options</div>';
   } finally {
     isRefreshing = false;
+    if (refreshPending) {
+      refreshPending = false;
+      loadOptions();
+    }
   }
 }
 
@@ -232,20 +711,26 @@ function createOptionCard(option) {
   const pnl = calculatePnL(option);
   const distance = getDistanceToStoploss(option);
   const distancePercent = getDistancePercent(option);
-  const isNearStoploss = distancePercent < 2;
+  const isNearStoploss = distancePercent < getAlertSettings().nearPercent;
   const isHit = isStoplossHit(option);
 
   const statusClass = `status-${option.status.toLowerCase().replace(/_/g, '-')}`;
   const typeClass = option.optionType.toLowerCase();
+  const side = option.side || 'BUY';
+  const openQuantity = getOpenQuantity(option);
+  const hasExits = (option.exits || []).length > 0;
+  const breakeven = isActive(option) ? breakevenPrice(option) : null;
 
   return `
-    <div class="option-card" data-id="${option.id}">
+    <div class="option-card" data-id="${option.id}" data-open-quantity="${openQuantity}" data-lot-size="${option.lotSize || 1}">
       <div class="option-header">
         <div>
           <span class="option-type ${typeClass}">${option.optionType}</span>
+          <span class="leg-badge ${side.toLowerCase()}">${side}</span>
           <span class="option-status ${statusClass}">${option.status.replace(/_/g, ' ')}</span>
         </div>
       </div>
+      <div class="contract-name">${contractName(option)}${option.expiryType ? ` · ${option.expiryType.toLowerCase()}` : ''}</div>
 
       <div class="option-info">
         <div class="info-item">
@@ -253,8 +738,8 @@ function createOptionCard(option) {
           <div class="info-value strike">₹${formatNumber(option.strike)}</div>
         </div>
         <div class="info-item">
-          <div class="info-label">Quantity</div>
-          <div class="info-value strike">${option.quantity}</div>
+          <div class="info-label">${hasExits ? 'Open / Total Qty' : 'Quantity'}</div>
+          <div class="info-value strike">${hasExits ? `${openQuantity} / ${option.quantity}` : option.quantity}${option.lotSize ? ` <small>(${option.quantity / option.lotSize} lots)</small>` : ''}</div>
         </div>
       </div>
 
@@ -268,21 +753,47 @@ function createOptionCard(option) {
           <span class="price-value ${pnl.pnl >= 0 ? 'positive' : 'negative'}">₹${formatNumber(option.currentPrice)}</span>
         </div>
         <div class="price-row">
-          <span class="price-label">Highest Price</span>
-          <span class="price-value positive">₹${formatNumber(option.highestPrice)}</span>
+          <span class="price-label">${isShort(option) ? 'Lowest Price' : 'Highest Price'}</span>
+          <span class="price-value positive">₹${formatNumber(bestPrice(option))}</span>
         </div>
+        ${breakeven !== null ? `
+        <div class="price-row">
+          <span class="price-label">Breakeven <small>(after charges)</small></span>
+          <span class="price-value">₹${formatNumber(breakeven)}</span>
+        </div>` : ''}
         <div class="price-row" style="margin-top: 10px; padding-top: 10px; border-top: 1px solid rgba(0,0,0,0.05);">
-          <span class="price-label">P&L</span>
+          <span class="price-label">Gross P&L</span>
           <span class="price-value ${pnl.pnl >= 0 ? 'positive' : 'negative'}">₹${pnl.pnl} (${pnl.pnlPercent}%)</span>
         </div>
+        <div class="price-row">
+          <span class="price-label">Charges</span>
+          <span class="price-value charges-value" title="${describeCharges(option)}">₹${pnl.charges}</span>
+        </div>
+        <div class="price-row">
+          <span class="price-label">Net P&L</span>
+          <span class="price-value ${pnl.net >= 0 ? 'positive' : 'negative'}">₹${pnl.net}</span>
+        </div>
+        ${hasExits ? `
+        <div class="price-row">
+          <span class="price-label">Realized</span>
+          <span class="price-value ${pnl.realized >= 0 ? 'positive' : 'negative'}">₹${pnl.realized}</span>
+        </div>
+        <div class="price-row">
+          <span class="price-label">Unrealized</span>
+          <span class="price-value ${pnl.unrealized >= 0 ? 'positive' : 'negative'}">₹${pnl.unrealized}</span>
+        </div>` : ''}
       </div>
 
+      ${renderTargets(option)}
+
+      ${renderModel(option)}
+
       ${renderStoplossAlert(option, distance, distancePercent, isNearStoploss, isHit)}
 
       <div class="option-info" style="margin-bottom: 15px;">
         <div class="info-item">
-          <div class="info-label">Trailing %</div>
-          <div class="info-value strike">${option.trailingPercent}%</div>
+          <div class="info-label">Trailing Rule</div>
+          <div class="info-value strike">${describeStrategy(option)}</div>
         </div>
         <div class="info-item">
           <div class="info-label">Distance %</div>
@@ -290,15 +801,145 @@ function createOptionCard(option) {
         </div>
       </div>
 
+      ${renderPriceHistory(option)}
+
       <div class="action-buttons">
         <button class="btn-small btn-update update-btn" data-id="${option.id}">💲 Update Price</button>
-        <button class="btn-small btn-exit exit-btn" data-id="${option.id}" ${option.status !== 'TRACKING' ? 'disabled' : ''}>🚪 Exit</button>
+        <button class="btn-small btn-partial partial-btn" data-id="${option.id}" ${!isActive(option) ? 'disabled' : ''}>✂️ Book Partial</button>
+        <button class="btn-small btn-edit edit-btn" data-id="${option.id}" ${!isActive(option) && option.status !== 'STOPLOSS_HIT' ? 'disabled' : ''}>✏️ Edit</button>
+        <button class="btn-small btn-exit exit-btn" data-id="${option.id}" ${!isActive(option) ? 'disabled' : ''}>🚪 Exit</button>
+        <button class="btn-small btn-model model-btn ${option.modelPricing ? 'active' : ''}" data-id="${option.id}" data-enabled="${option.modelPricing ? 'true' : 'false'}" ${!isActive(option) || !option.expiry ? 'disabled' : ''}>📈 Model ${option.modelPricing ? 'On' : 'Off'}</button>
+        <button class="btn-small btn-mute mute-btn ${option.alertsMuted ? 'active' : ''}" data-id="${option.id}" data-muted="${option.alertsMuted ? 'true' : 'false'}">${option.alertsMuted ? '🔕 Alerts Off' : '🔔 Alerts On'}</button>
         <button class="btn-small btn-remove remove-btn" data-id="${option.id}">🗑️ Remove</button>
       </div>
     </div>
   `;
 }
 
+/**
+ * Breakdown of a position's charges for the tooltip on its card
+ */
+function describeCharges(option) {
+  const charges = calculateCharges(option);
+  const parts = [
+    ['Brokerage', charges.brokerage],
+    ['STT', charges.stt],
+    ['Exchange', charges.exchange],
+    ['SEBI', charges.sebi],
+    ['GST', charges.gst],
+    ['Stamp duty', charges.stampDuty]
+  ].map(([label, value]) => `${label} ₹${formatNumber(value)}`);
+  const open = isActive(option) ? ', closing the open quantity now' : '';
+  return `${getProfile(option.broker).label}${open}: ${parts.join(' · ')}`;
+}
+
+const HISTORY_MARKS = {
+  ENTRY: 'Entry',
+  PARTIAL: 'Partial exit',
+  EXIT: 'Exit',
+  STOPLOSS_HIT: 'Stop hit'
+};
+
+/**
+ * Render the expandable price history: premium, running peak (low for a
+ * written option) and the stepped stop over time, with entry, exits and
+ * the stop hit marked
+ */
+function renderPriceHistory(option) {
+  const { points, marks } = priceHistory(option);
+  const updates = points.length - 1;
+
+  const width = 300;
+  const height = 120;
+  const padding = 6;
+  const times = [...points, ...marks].map(item => new Date(item.time).getTime());
+  const start = Math.min(...times);
+  const span = Math.max(...times) - start || 1;
+  const values = [
+    ...points.flatMap(point => [point.price, point.best, point.stoploss]),
+    ...marks.map(mark => mark.price)
+  ];
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  const range = max - min || 1;
+  const x = time => padding + ((new Date(time).getTime() - start) / span) * (width - 2 * padding);
+  const y = price => padding + ((max - price) / range) * (height - 2 * padding);
+
+  // Peak and stop hold their level until the next update, so draw them as steps
+  const stepped = field => points
+    .map((point, index) => (index === 0
+      ? `M${x(point.time)},${y(point[field])}`
+      : `H${x(point.time)} V${y(point[field])}`))
+    .join(' ');
+  const premium = points.map(point => `${x(point.time)},${y(point.price)}`).join(' ');
+
+  const markers = marks.map((mark) => {
+    const time = new Date(mark.time).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'short', timeStyle: 'short' });
+    const detail = mark.quantity ? ` ${mark.quantity} (${mark.reason.toLowerCase()})` : '';
+    return `<circle class="history-mark mark-${mark.type.toLowerCase().replace(/_/g, '-')}" cx="${x(mark.time)}" cy="${y(mark.price)}" r="4"><title>${HISTORY_MARKS[mark.type]}${detail} at ₹${formatNumber(mark.price)} · ${time}</title></circle>`;
+  }).join('');
+
+  // How close the premium came to the stop while still on the safe side of it
+  const sign = isShort(option) ? -1 : 1;
+  const gaps = points
+    .filter(point => point.price > 0 && sign * (point.price - point.stoploss) > 0)
+    .map(point => ((sign * (point.price - point.stoploss)) / point.price) * 100);
+  const closest = gaps.length ? `Closest to stop: ${Math.min(...gaps).toFixed(2)}%` : '';
+
+  return `
+    <details class="price-history" data-id="${option.id}" ${openHistories.has(String(option.id)) ? 'open' : ''}>
+      <summary>📉 Price history <small>(${updates} update${updates === 1 ? '' : 's'})</small></summary>
+      <svg class="history-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Premium, peak and stoploss over time">
+        <path class="history-highest" d="${stepped('best')}"></path>
+        <path class="history-stoploss" d="${stepped('stoploss')}"></path>
+        <polyline class="history-price" points="${premium}"></polyline>
+        ${markers}
+      </svg>
+      <div class="history-legend">
+        <span class="legend-price">Premium</span>
+        <span class="legend-highest">${isShort(option) ? 'Low' : 'Peak'}</span>
+        <span class="legend-stoploss">Stop</span>
+        <span class="history-range">₹${formatNumber(min)}–₹${formatNumber(max)}</span>
+      </div>
+      ${closest ? `<div class="history-note">${closest}</div>` : ''}
+    </details>
+  `;
+}
+
+/**
+ * Render profit targets with the ones already booked ticked off
+ */
+function renderTargets(option) {
+  if (!option.targets || option.targets.length === 0) return '';
+
+  const chips = option.targets.map(target => {
+    const quantity = target.quantity ? ` × ${target.quantity}` : ' × rest';
+    return `<span class="target-chip ${target.hitAt ? 'hit' : ''}">${target.hitAt ? '✓' : '🎯'} ₹${formatNumber(target.price)}${quantity}</span>`;
+  });
+
+  return `<div class="targets-row">${chips.join('')}</div>`;
+}
+
+/**
+ * Render the theoretical premium and Greeks from the latest market data
+ */
+function renderModel(option) {
+  if (!isActive(option) || !latestLiveData) return '';
+
+  const model = priceTrackedOption(option, latestLiveData);
+  if (!model) return '';
+
+  return `
+    <div class="greeks-row" title="Black-Scholes fair value from SENSEX ${latestLiveData.sensex} and ${latestLiveData.volatility}% volatility">
+      <span class="greek"><small>Model</small>₹${formatNumber(model.price)}</span>
+      <span class="greek"><small>Δ</small>${model.delta.toFixed(3)}</span>
+      <span class="greek"><small>Γ</small>${model.gamma.toFixed(5)}</span>
+      <span class="greek"><small>Θ/day</small>${model.theta.toFixed(2)}</span>
+      <span class="greek"><small>Vega</small>${model.vega.toFixed(2)}</span>
+    </div>
+  `;
+}
+
 /**
  * Render stoploss alert section
  */
@@ -335,6 +976,49 @@ function attachEventListeners() {
     });
   });
 
+  // Partial exit buttons
+  document.querySelectorAll('.partial-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      currentOptionId = e.target.dataset.id;
+      openExitModal();
+    });
+  });
+
+  // Edit buttons
+  document.querySelectorAll('.edit-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      currentOptionId = e.target.dataset.id;
+      openEditModal();
+    });
+  });
+
+  // Model pricing toggles
+  document.querySelectorAll('.model-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      const { id, enabled } = e.currentTarget.dataset;
+      await toggleModelPricing(id, enabled !== 'true');
+    });
+  });
+
+  // Per-option alert mute
+  document.querySelectorAll('.mute-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      const { id, muted } = e.currentTarget.dataset;
+      await toggleAlertsMuted(id, muted !== 'true');
+    });
+  });
+
+  // Price history panels stay open across refreshes
+  document.querySelectorAll('.price-history').forEach(details => {
+    details.addEventListener('toggle', () => {
+      if (details.open) {
+        openHistories.add(details.dataset.id);
+      } else {
+        openHistories.delete(details.dataset.id);
+      }
+    });
+  });
+
   // Exit buttons
   document.querySelectorAll('.exit-btn').forEach(btn => {
     btn.addEventListener('click', async (e) => {
@@ -349,7 +1033,7 @@ function attachEventListeners() {
   document.querySelectorAll('.remove-btn').forEach(btn => {
     btn.addEventListener('click', async (e) => {
       const id = e.target.dataset.id;
-      if (confirm('Remove this option from tracking?')) {
+      if (confirm('Move this option to the trash?')) {
         await removeOption(id);
       }
     });
@@ -359,106 +1043,922 @@ function attachEventListeners() {
 /**
  * Handle price update
  */
-function handlePriceUpdate(e) {
+async function handlePriceUpdate(e) {
   e.preventDefault();
 
   const newPrice = parseFloat(document.getElementById('newPrice').value);
 
   try {
-    const options = getTrackedOptions();
-    const option = options.find(opt => opt.id === parseInt(currentOptionId));
-
-    if (!option) {
-      showNotification('Option not found', 'error');
-      return;
-    }
-
-    const oldHighest = option.highestPrice;
-    const oldStoploss = option.stoploss;
-
-    // For both CALL and PUT we track the highest observed premium so the
-    // trailing stoploss always sits below that peak (profit booking on downside).
-    if (newPrice > option.highestPrice) {
-      option.highestPrice = newPrice;
-    }
-    // Recalculate stoploss based on highestPrice (always below it)
-    option.stoploss = calculateStoploss(option.highestPrice, option.trailingPercent);
-
-    option.currentPrice = newPrice;
-
-    // Log the update
-    option.updateLog.push({
-      timestamp: new Date().toISOString(),
-      previousPrice: oldHighest,
-      newPrice: newPrice,
-      stoploss: option.stoploss,
-      pnl: calculatePnL(option)
-    });
-
-    // Check if stoploss is hit
-    if (isStoplossHit(option)) {
-      option.status = 'STOPLOSS_HIT';
-    }
-
-    saveTrackedOptions(options);
-    loadOptions();
+    await dataSource.updatePrice(currentOptionId, newPrice);
+    await loadOptions();
     closeModal();
     showNotification('Price updated successfully!', 'success');
   } catch (error) {
     console.error('Error updating price:', error);
-    showNotification('Failed to update price', 'error');
+    showNotification(error.status === 404 ? 'Option not found' : 'Failed to update price', 'error');
   }
 }
 
 /**
- * Exit an option
+ * Bulk price updates
  */
-function exitOption(id) {
-  try {
-    const options = getTrackedOptions();
-    const option = options.find(opt => opt.id === parseInt(id));
 
-    if (!option) {
-      showNotification('Option not found', 'error');
+// How option chains write the option type
+const QUOTE_TYPES = { CE: 'CALL', C: 'CALL', CALL: 'CALL', PE: 'PUT', P: 'PUT', PUT: 'PUT' };
+
+/**
+ * Parse lines pasted from an option chain, "strike type price" each
+ * (e.g. "80,000 CE ₹245.50" or "80000CE 245.5"). Other words on a line,
+ * such as a leading SENSEX, are ignored. Lines that do not read as a
+ * quote are returned in `skipped`.
+ */
+function parseQuoteLines(text) {
+  const isNumber = token => /^\d+(\.\d+)?$/.test(token);
+  const quotes = [];
+  const skipped = [];
+
+  text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach((line) => {
+    const tokens = line
+      .replace(/(\d),(?=\d{3}\b)/g, '$1')
+      .replace(/(\d)(CE|PE)\b/gi, '$1 $2')
+      .replace(/₹/g, '')
+      .split(/[\s,;|]+/);
+    const typeIndex = tokens.findIndex(token => QUOTE_TYPES[token.toUpperCase()]);
+    const strike = typeIndex > 0 ? tokens.slice(0, typeIndex).filter(isNumber).pop() : undefined;
+    const price = typeIndex > 0 ? tokens.slice(typeIndex + 1).find(isNumber) : undefined;
+
+    if (strike === undefined || price === undefined) {
+      skipped.push(line);
       return;
     }
+    quotes.push({
+      line,
+      strike: parseFloat(strike),
+      optionType: QUOTE_TYPES[tokens[typeIndex].toUpperCase()],
+      price: parseFloat(price)
+    });
+  });
+  return { quotes, skipped };
+}
 
-    option.status = 'EXITED';
-    option.exitPrice = option.currentPrice;
-    option.exitedAt = new Date().toISOString();
-    option.finalPnL = calculatePnL(option);
+const BULK_PASTE_HINT = 'One "strike type price" line per option, type CE / PE or CALL / PUT';
 
-    saveTrackedOptions(options);
-    loadOptions();
-    showNotification('Position exited successfully!', 'success');
-  } catch (error) {
-    console.error('Error exiting option:', error);
-    showNotification('Failed to exit position', 'error');
+/**
+ * One premium input per open option
+ */
+function openBulkModal() {
+  const options = lastSeenOptions ? [...lastSeenOptions.values()].filter(isActive) : [];
+  if (options.length === 0) {
+    showNotification('No open positions to update', 'info');
+    return;
   }
+
+  document.getElementById('bulkPasteHint').textContent = BULK_PASTE_HINT;
+  document.getElementById('bulkInputs').innerHTML = options.map(option => `
+    <div class="form-group bulk-row">
+      <label for="bulkPrice${option.id}">${option.side === 'SELL' ? 'Sold ' : ''}${contractName(option)}
+        <small>now ₹${formatNumber(option.currentPrice)}</small></label>
+      <input type="number" id="bulkPrice${option.id}" class="bulk-price" step="0.01" min="0"
+        data-id="${option.id}" data-strike="${option.strike}" data-option-type="${option.optionType}"
+        placeholder="${formatNumber(option.currentPrice)}">
+    </div>`).join('');
+  bulkModal.style.display = 'block';
+  document.getElementById('bulkPaste').focus();
 }
 
 /**
- * Remove an option from tracking
+ * Fill the bulk inputs from the pasted quotes. A quote goes to every open
+ * option on its strike and type, whatever the expiry, so the grid is
+ * there to check before applying.
  */
-function removeOption(id) {
-  try {
-    let options = getTrackedOptions();
-    const index = options.findIndex(opt => opt.id === parseInt(id));
+function fillBulkFromPaste() {
+  const { quotes, skipped } = parseQuoteLines(document.getElementById('bulkPaste').value);
+  const inputs = [...document.querySelectorAll('#bulkInputs .bulk-price')];
+  const unmatched = [...skipped];
+  let filled = 0;
+
+  quotes.forEach((quote) => {
+    const matches = inputs.filter(input =>
+      parseFloat(input.dataset.strike) === quote.strike && input.dataset.optionType === quote.optionType);
+    matches.forEach((input) => {
+      input.value = quote.price;
+    });
+    filled += matches.length;
+    if (matches.length === 0) unmatched.push(quote.line);
+  });
 
-    if (index === -1) {
-      showNotification('Option not found', 'error');
-      return;
-    }
+  document.getElementById('bulkPasteHint').textContent = quotes.length + skipped.length === 0
+    ? BULK_PASTE_HINT
+    : `Filled ${filled} price${filled === 1 ? '' : 's'}${unmatched.length > 0 ? ` · no open position for: ${unmatched.join('; ')}` : ''}`;
+}
 
-    options.splice(index, 1);
-    saveTrackedOptions(options);
-    loadOptions();
-    showNotification('Option removed from tracking', 'success');
-  } catch (error) {
-    console.error('Error removing option:', error);
-    showNotification('Failed to remove option', 'error');
+async function handleBulkUpdate(e) {
+  e.preventDefault();
+
+  const prices = [...document.querySelectorAll('#bulkInputs .bulk-price')]
+    .filter(input => input.value !== '')
+    .map(input => ({ id: parseInt(input.dataset.id), currentPrice: parseFloat(input.value) }));
+  if (prices.length === 0) {
+    showNotification('Enter at least one new price', 'error');
+    return;
   }
-}
+
+  try {
+    const options = await dataSource.updatePrices(prices);
+    await loadOptions();
+    closeModal();
+    showNotification(`Updated ${options.length} price${options.length === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    console.error('Error updating prices:', error);
+    showNotification(isRejection(error) || error.status === 404 ? error.message : 'Failed to update prices', 'error');
+  }
+}
+
+/**
+ * Keyboard shortcuts: j / k move between option cards, u and x update
+ * or exit the one picked, b opens the bulk update, ? lists them and Esc
+ * closes any dialog. Dialog forms confirm with Enter as usual. Keys typed
+ * into a field, or while a dialog is open, are left alone.
+ */
+function handleShortcut(e) {
+  if (e.key === 'Escape') {
+    if (MODALS.some(modal => modal.style.display === 'block')) closeModal();
+    return;
+  }
+  if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest('input, textarea, select, [contenteditable]')) return;
+  if (MODALS.some(modal => modal.style.display === 'block') || authModal.style.display === 'block') return;
+
+  switch (e.key) {
+    case 'j':
+      moveCardFocus(1);
+      break;
+    case 'k':
+      moveCardFocus(-1);
+      break;
+    case 'u':
+      clickFocusedCard('.update-btn');
+      break;
+    case 'x':
+      clickFocusedCard('.exit-btn');
+      break;
+    case 'b':
+      openBulkModal();
+      break;
+    case '?': {
+      const help = document.getElementById('shortcutHelp');
+      help.hidden = !help.hidden;
+      break;
+    }
+    default:
+      return;
+  }
+  e.preventDefault();
+}
+
+function moveCardFocus(step) {
+  const cards = [...optionsContainer.querySelectorAll('.option-card')];
+  if (cards.length === 0) return;
+
+  const index = cards.findIndex(card => card.dataset.id === focusedCardId);
+  const next = index === -1
+    ? cards[step > 0 ? 0 : cards.length - 1]
+    : cards[Math.min(cards.length - 1, Math.max(0, index + step))];
+  cards.forEach(card => card.classList.toggle('card-focused', card === next));
+  focusedCardId = next.dataset.id;
+  next.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+}
+
+function clickFocusedCard(selector) {
+  const card = optionsContainer.querySelector(`.option-card[data-id="${focusedCardId}"]`);
+  if (!card) {
+    showNotification('Pick a position first with j / k', 'info');
+    return;
+  }
+  const button = card.querySelector(selector);
+  if (button && !button.disabled) button.click();
+}
+
+/**
+ * Exit an option
+ */
+async function exitOption(id) {
+  try {
+    await dataSource.exit(id);
+    await loadOptions();
+    showUndo('Position exited');
+  } catch (error) {
+    console.error('Error exiting option:', error);
+    showNotification(error.status === 404 ? 'Option not found' : 'Failed to exit position', 'error');
+  }
+}
+
+/**
+ * Handle a partial exit from the exit modal
+ */
+async function handlePartialExit(e) {
+  e.preventDefault();
+
+  const quantity = parseInt(document.getElementById('exitQuantity').value);
+  const priceValue = document.getElementById('exitPrice').value;
+
+  try {
+    const option = await dataSource.exit(currentOptionId, {
+      quantity,
+      price: priceValue !== '' ? parseFloat(priceValue) : undefined
+    });
+    await loadOptions();
+    closeModal();
+    showUndo(option.status === 'EXITED' ? 'Position exited' : `Booked ${quantity}, rest still trailing`);
+  } catch (error) {
+    console.error('Error booking partial exit:', error);
+    showNotification(isRejection(error) ? error.message : 'Failed to book partial exit', 'error');
+  }
+}
+
+/**
+ * Save the edit modal: a changed trailing % and/or lots added at a price
+ */
+async function handleEdit(e) {
+  e.preventDefault();
+
+  const option = lastSeenOptions && lastSeenOptions.get(parseInt(currentOptionId));
+  const trailingValue = document.getElementById('editTrailingPercent').value;
+  const lotsValue = document.getElementById('editAddLots').value;
+  const priceValue = document.getElementById('editAddPrice').value;
+  const changes = {};
+
+  if (trailingValue !== '' && option && parseFloat(trailingValue) !== option.trailingPercent) {
+    changes.trailingPercent = parseFloat(trailingValue);
+  }
+  if (lotsValue !== '') {
+    changes.addLots = parseInt(lotsValue);
+    if (priceValue !== '') {
+      changes.price = parseFloat(priceValue);
+    }
+  }
+  if (Object.keys(changes).length === 0) {
+    showNotification('Nothing to change', 'error');
+    return;
+  }
+
+  try {
+    await dataSource.edit(currentOptionId, changes);
+    await loadOptions();
+    closeModal();
+    showNotification(changes.addLots ? `Added ${changes.addLots} lot${changes.addLots === 1 ? '' : 's'}, entry averaged` : 'Trailing stop updated', 'success');
+  } catch (error) {
+    console.error('Error editing option:', error);
+    showNotification(isRejection(error) ? error.message : 'Failed to edit option', 'error');
+  }
+}
+
+const AUDIT_FIELDS = {
+  strategy: 'Rule',
+  trailingPercent: 'Trailing %',
+  entryPrice: 'Entry',
+  quantity: 'Qty',
+  stoploss: 'Stop',
+  status: 'Status'
+};
+
+/**
+ * One line per past edit of an option, newest first
+ */
+function renderAudit(option) {
+  const entries = (option.audit || []).slice().reverse();
+  if (entries.length === 0) return '';
+
+  const format = (field, value) => {
+    if (value === null || value === undefined) return '-';
+    if (field === 'strategy') return STRATEGIES[value.type] ? STRATEGIES[value.type].label : value.type;
+    if (field === 'status') return value.replace(/_/g, ' ');
+    if (field === 'entryPrice' || field === 'stoploss') return `₹${formatNumber(value)}`;
+    return value;
+  };
+  const items = entries.map((entry) => {
+    const time = new Date(entry.timestamp).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'short', timeStyle: 'short' });
+    const parts = [
+      ...(entry.added ? [`Added ${entry.added.quantity} at ₹${formatNumber(entry.added.price)}`] : []),
+      ...entry.changes
+        // A new percent on the same rule already shows as the trailing %
+        .filter(change => change.field !== 'strategy' || change.from.type !== change.to.type)
+        .map(change => `${AUDIT_FIELDS[change.field] || change.field} ${format(change.field, change.from)} → ${format(change.field, change.to)}`)
+    ];
+    return `<li><span class="audit-time">${time}</span> ${parts.join(' · ')}</li>`;
+  });
+  return `<h3>Edit History</h3><ul>${items.join('')}</ul>`;
+}
+
+/**
+ * Switch model-driven trailing on or off for an option
+ */
+async function toggleModelPricing(id, enabled) {
+  try {
+    await dataSource.setModelPricing(id, enabled);
+    await loadOptions();
+    showNotification(enabled ? 'Model price now drives the trailing stop' : 'Back to manual price updates', 'success');
+  } catch (error) {
+    console.error('Error switching model pricing:', error);
+    showNotification('Failed to switch model pricing', 'error');
+  }
+}
+
+/**
+ * Mute or unmute alerts for one option
+ */
+async function toggleAlertsMuted(id, muted) {
+  try {
+    await dataSource.setAlertsMuted(id, muted);
+    await loadOptions();
+    showNotification(muted ? 'Alerts muted for this position' : 'Alerts back on for this position', 'success');
+  } catch (error) {
+    console.error('Error switching alerts:', error);
+    showNotification('Failed to switch alerts', 'error');
+  }
+}
+
+/**
+ * Remove an option from tracking; it waits in the trash
+ */
+async function removeOption(id) {
+  try {
+    await dataSource.remove(id);
+    await loadOptions();
+    if (trashSection.open) loadTrash();
+    showUndo('Option moved to the trash');
+  } catch (error) {
+    console.error('Error removing option:', error);
+    showNotification(error.status === 404 ? 'Option not found' : 'Failed to remove option', 'error');
+  }
+}
+
+/**
+ * Offer to undo the exit or removal just made
+ */
+function showUndo(message) {
+  const bar = document.getElementById('undoBar');
+  document.getElementById('undoMessage').textContent = message;
+  bar.hidden = false;
+  clearTimeout(undoTimer);
+  undoTimer = setTimeout(() => {
+    bar.hidden = true;
+  }, UNDO_VISIBLE_MS);
+}
+
+/**
+ * Undo the last exit or removal (history.js)
+ */
+async function undoLastChange() {
+  document.getElementById('undoBar').hidden = true;
+  clearTimeout(undoTimer);
+  try {
+    const { undone, option, group } = await dataSource.undo();
+    await (group ? loadGroups() : loadOptions());
+    if (trashSection.open) loadTrash();
+    const restored = undone.type === 'REMOVED' || undone.type === 'GROUP_REMOVED';
+    showNotification(`${restored ? 'Restored' : 'Reopened'} ${group ? group.name : contractName(option)}`, 'success');
+  } catch (error) {
+    console.error('Error undoing:', error);
+    showNotification(isRejection(error) || error.status === 404 ? error.message : 'Undo needs the server', 'error');
+  }
+}
+
+/**
+ * Load removed options and multi-leg positions into the trash view
+ */
+async function loadTrash() {
+  const list = document.getElementById('trashList');
+  const removedAt = item => new Date(item.deletedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'short', timeStyle: 'short' });
+  try {
+    const [options, groups] = await Promise.all([dataSource.trash(), dataSource.groupTrash()]);
+    list.innerHTML = [
+      ...options.map(option => `
+        <div class="trash-item">
+          <div>
+            <strong>${option.side === 'SELL' ? 'Sold ' : ''}${contractName(option)}</strong>
+            <small>${option.status.replace(/_/g, ' ')} · ${formatMoney(calculatePnL(option).pnl)} · removed ${removedAt(option)}</small>
+          </div>
+          <button type="button" class="btn-tool restore-btn" data-id="${option.id}">↩️ Restore</button>
+        </div>`),
+      ...groups.map(group => `
+        <div class="trash-item">
+          <div>
+            <strong>${escapeHtml(group.name)}</strong>
+            <small>${group.status.replace(/_/g, ' ')} · ${formatMoney(calculateGroupPnL(group).pnl)} · removed ${removedAt(group)}</small>
+          </div>
+          <button type="button" class="btn-tool restore-group-btn" data-id="${group.id}">↩️ Restore</button>
+        </div>`)
+    ].join('') || '<div class="no-data">The trash is empty</div>';
+
+    list.querySelectorAll('.restore-btn').forEach(btn => {
+      btn.addEventListener('click', () => restoreOption(btn.dataset.id));
+    });
+    list.querySelectorAll('.restore-group-btn').forEach(btn => {
+      btn.addEventListener('click', () => restoreGroup(btn.dataset.id));
+    });
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    list.innerHTML = '<div class="no-data">Error loading trash</div>';
+  }
+}
+
+/**
+ * Bring an option back out of the trash
+ */
+async function restoreOption(id) {
+  try {
+    const option = await dataSource.restore(id);
+    await loadOptions();
+    loadTrash();
+    showNotification(`Restored ${contractName(option)}`, 'success');
+  } catch (error) {
+    console.error('Error restoring option:', error);
+    showNotification(isRejection(error) || error.status === 404 ? error.message : 'Failed to restore option', 'error');
+  }
+}
+
+/**
+ * Bring a multi-leg position back out of the trash
+ */
+async function restoreGroup(id) {
+  try {
+    const group = await dataSource.restoreGroup(id);
+    await loadGroups();
+    loadTrash();
+    showNotification(`Restored ${group.name}`, 'success');
+  } catch (error) {
+    console.error('Error restoring group:', error);
+    showNotification(isRejection(error) || error.status === 404 ? error.message : 'Failed to restore position', 'error');
+  }
+}
+
+/**
+ * Multi-leg positions
+ */
+
+/**
+ * Add a leg row to the new group form, up to MAX_LEGS
+ */
+function addLegRow(leg = {}) {
+  const container = document.getElementById('groupLegs');
+  if (container.children.length >= MAX_LEGS) {
+    showNotification(`A position can have at most ${MAX_LEGS} legs`, 'error');
+    return;
+  }
+
+  const row = document.createElement('div');
+  row.className = 'leg-row';
+  row.innerHTML = `
+    <select class="leg-side" aria-label="Side">
+      ${SIDES.map(side => `<option value="${side}" ${leg.side === side ? 'selected' : ''}>${side}</option>`).join('')}
+    </select>
+    <select class="leg-type" aria-label="Option type">
+      <option value="CALL" ${leg.optionType === 'PUT' ? '' : 'selected'}>CALL</option>
+      <option value="PUT" ${leg.optionType === 'PUT' ? 'selected' : ''}>PUT</option>
+    </select>
+    <input type="number" class="leg-strike" placeholder="Strike" step="100" min="100" aria-label="Strike" required>
+    <input type="number" class="leg-lots" placeholder="Lots" step="1" min="1" value="1" aria-label="Lots" required>
+    <input type="number" class="leg-entry" placeholder="Entry ₹" step="0.01" min="0.01" aria-label="Entry price" required>
+    <button type="button" class="leg-remove" aria-label="Remove leg">✕</button>
+  `;
+  row.querySelector('.leg-remove').addEventListener('click', () => {
+    if (container.children.length > 2) row.remove();
+  });
+  container.appendChild(row);
+}
+
+function resetLegRows() {
+  document.getElementById('groupLegs').innerHTML = '';
+  addLegRow({ side: 'BUY', optionType: 'CALL' });
+  addLegRow({ side: 'BUY', optionType: 'PUT' });
+}
+
+async function handleAddGroup(e) {
+  e.preventDefault();
+
+  const fields = {
+    name: document.getElementById('groupName').value,
+    expiryType: document.getElementById('groupExpiryType').value,
+    expiry: document.getElementById('groupExpiry').value,
+    trailingPercent: parseFloat(document.getElementById('groupTrailingPercent').value),
+    legs: [...document.querySelectorAll('#groupLegs .leg-row')].map(row => ({
+      side: row.querySelector('.leg-side').value,
+      optionType: row.querySelector('.leg-type').value,
+      strike: parseFloat(row.querySelector('.leg-strike').value),
+      quantity: parseInt(row.querySelector('.leg-lots').value) * LOT_SIZE,
+      entryPrice: parseFloat(row.querySelector('.leg-entry').value)
+    }))
+  };
+
+  try {
+    await dataSource.createGroup(fields);
+    addGroupForm.reset();
+    resetLegRows();
+    renderExpiryOptions();
+    await loadGroups();
+    showNotification('Multi-leg position added!', 'success');
+  } catch (error) {
+    console.error('Error adding group:', error);
+    showNotification(isRejection(error) ? error.message : 'Failed to add position', 'error');
+  }
+}
+
+async function loadGroups() {
+  if (!dataSource) return;
+  try {
+    const groups = await dataSource.groups();
+    groupsContainer.innerHTML = groups.length === 0
+      ? '<div class="no-data">No multi-leg positions yet</div>'
+      : groups.map(group => createGroupCard(group)).join('');
+    attachGroupListeners();
+  } catch (error) {
+    console.error('Error loading groups:', error);
+    groupsContainer.innerHTML = '<div class="no-data">Error loading multi-leg positions</div>';
+  }
+}
+
+/**
+ * Create HTML for a multi-leg position card
+ */
+function createGroupCard(group) {
+  const pnl = calculateGroupPnL(group);
+  const statusClass = `status-${group.status.toLowerCase().replace(/_/g, '-')}`;
+  const isOpen = isGroupActive(group) || group.status === 'STOPLOSS_HIT';
+  const cushion = Number(pnl.pnl) - group.stopPnL;
+  const netLabel = group.netPremium >= 0 ? 'Net Debit' : 'Net Credit';
+
+  const legs = group.legs.map((leg, index) => `
+    <tr>
+      <td><span class="leg-badge ${leg.side.toLowerCase()}">${leg.side}</span> ${contractName({ ...leg, expiry: group.expiry })}</td>
+      <td>${leg.quantity}</td>
+      <td>₹${formatNumber(leg.entryPrice)}</td>
+      <td>₹${formatNumber(leg.currentPrice)}</td>
+      <td class="${Number(pnl.legs[index]) >= 0 ? 'positive' : 'negative'}">₹${pnl.legs[index]}</td>
+    </tr>`).join('');
+
+  let alertClass = 'safe';
+  let alertText = `✓ Combined stop at ₹${formatNumber(group.stopPnL)} P&L · ₹${formatNumber(cushion)} away`;
+  if (group.status === 'STOPLOSS_HIT') {
+    alertClass = 'warning';
+    alertText = `⚠️ STOPLOSS HIT! Combined P&L ₹${pnl.pnl} reached the stop (₹${formatNumber(group.stopPnL)})`;
+  } else if (!isOpen) {
+    alertText = `Closed ${new Date(group.exitedAt).toLocaleString()}`;
+  }
+
+  return `
+    <div class="option-card group-card" data-id="${group.id}">
+      <div class="option-header">
+        <div>
+          <span class="option-type group-structure">${describeGroup(group)}</span>
+          <span class="option-status ${statusClass}">${group.status.replace(/_/g, ' ')}</span>
+        </div>
+      </div>
+      <div class="contract-name">${group.name ? `${escapeHtml(group.name)} · ` : ''}${group.legs.length} legs · ${group.expiryType.toLowerCase()}</div>
+
+      <div class="legs-table-wrap">
+        <table class="legs-table">
+          <thead><tr><th>Leg</th><th>Qty</th><th>Entry</th><th>Now</th><th>P&amp;L</th></tr></thead>
+          <tbody>${legs}</tbody>
+        </table>
+      </div>
+
+      <div class="price-section">
+        <div class="price-row">
+          <span class="price-label">${netLabel}</span>
+          <span class="price-value">₹${formatNumber(Math.abs(group.netPremium))}</span>
+        </div>
+        <div class="price-row">
+          <span class="price-label">Combined P&L</span>
+          <span class="price-value ${Number(pnl.pnl) >= 0 ? 'positive' : 'negative'}">₹${pnl.pnl} (${pnl.pnlPercent}%)</span>
+        </div>
+        <div class="price-row">
+          <span class="price-label">Peak P&L</span>
+          <span class="price-value positive">₹${formatNumber(group.peakPnL)}</span>
+        </div>
+        <div class="price-row">
+          <span class="price-label">Trail</span>
+          <span class="price-value">₹${formatNumber(group.trailAmount)}${group.trailingPercent !== null ? ` (${group.trailingPercent}%)` : ''}</span>
+        </div>
+      </div>
+
+      <div class="stoploss-alert ${alertClass}">
+        <div class="stoploss-text ${alertClass}">${alertText}</div>
+      </div>
+
+      <div class="action-buttons">
+        <button class="btn-small btn-update group-update-btn" data-id="${group.id}" ${!isGroupActive(group) ? 'disabled' : ''}>💲 Update Prices</button>
+        <button class="btn-small btn-exit group-exit-btn" data-id="${group.id}" ${!isOpen ? 'disabled' : ''}>🚪 Exit All Legs</button>
+        <button class="btn-small btn-remove group-remove-btn" data-id="${group.id}">🗑️ Remove</button>
+      </div>
+    </div>
+  `;
+}
+
+function attachGroupListeners() {
+  document.querySelectorAll('.group-update-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => openGroupPriceModal(e.currentTarget.dataset.id));
+  });
+
+  document.querySelectorAll('.group-exit-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      const id = e.currentTarget.dataset.id;
+      if (confirm('Exit every leg of this position now?')) {
+        await exitGroup(id);
+      }
+    });
+  });
+
+  document.querySelectorAll('.group-remove-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      const id = e.currentTarget.dataset.id;
+      if (confirm('Remove this multi-leg position from tracking?')) {
+        await removeGroup(id);
+      }
+    });
+  });
+}
+
+/**
+ * One price input per leg, filled with the current premiums
+ */
+async function openGroupPriceModal(id) {
+  const groups = await dataSource.groups();
+  const group = groups.find(item => item.id === parseInt(id));
+  if (!group) return;
+
+  currentGroupId = id;
+  document.getElementById('groupPriceInputs').innerHTML = group.legs.map((leg, index) => `
+    <div class="form-group">
+      <label for="legPrice${index}">${leg.side} ${contractName({ ...leg, expiry: group.expiry })}</label>
+      <input type="number" id="legPrice${index}" class="leg-price" step="0.01" min="0" value="${leg.currentPrice}" required>
+    </div>`).join('');
+  groupPriceModal.style.display = 'block';
+}
+
+async function handleGroupPriceUpdate(e) {
+  e.preventDefault();
+  const prices = [...document.querySelectorAll('#groupPriceInputs .leg-price')].map(input => parseFloat(input.value));
+
+  try {
+    const group = await dataSource.updateGroupPrices(currentGroupId, prices);
+    closeModal();
+    await loadGroups();
+    if (group && group.status === 'STOPLOSS_HIT') {
+      showNotification('⚠️ Combined stoploss hit! Consider exiting every leg.', 'error');
+    } else {
+      showNotification('Leg prices updated', 'success');
+    }
+  } catch (error) {
+    console.error('Error updating group prices:', error);
+    showNotification(isRejection(error) ? error.message : 'Failed to update prices', 'error');
+  }
+}
+
+async function exitGroup(id) {
+  try {
+    await dataSource.exitGroup(id);
+    await loadGroups();
+    showUndo('Every leg exited');
+  } catch (error) {
+    console.error('Error exiting group:', error);
+    showNotification(error.status === 404 ? 'Position not found' : 'Failed to exit position', 'error');
+  }
+}
+
+async function removeGroup(id) {
+  try {
+    await dataSource.removeGroup(id);
+    await loadGroups();
+    if (trashSection.open) loadTrash();
+    showUndo('Multi-leg position moved to the trash');
+  } catch (error) {
+    console.error('Error removing group:', error);
+    showNotification(error.status === 404 ? 'Position not found' : 'Failed to remove position', 'error');
+  }
+}
+
+/**
+ * Show where positions are stored and how many changes wait for the server
+ */
+function updateSyncStatus() {
+  const syncStatus = document.getElementById('syncStatus');
+  if (!syncStatus || !dataSource) return;
+
+  const pending = dataSource.pendingCount();
+  const session = getSession();
+  const accountStatus = document.getElementById('accountStatus');
+  accountStatus.hidden = dataSource.name === 'local' || !session;
+  document.getElementById('accountName').textContent = session ? `👤 ${session.user.username}` : '';
+
+  if (dataSource.name === 'local') {
+    syncStatus.textContent = '💾 Saved on this device';
+  } else if (!session && pending > 0) {
+    syncStatus.textContent = `🔒 Signed out - ${pending} change${pending === 1 ? '' : 's'} will sync after sign-in`;
+  } else if (!session) {
+    syncStatus.textContent = '🔒 Signed out - reload to sign in';
+  } else if (pending > 0) {
+    syncStatus.textContent = `⏳ ${pending} change${pending === 1 ? '' : 's'} waiting to sync`;
+  } else {
+    syncStatus.textContent = streamConnected ? '☁️ Synced with server · live' : '☁️ Synced with server';
+  }
+}
+
+/**
+ * Ask for a username and password until the server accepts them.
+ * Resolves true once signed in, or false when the user would rather keep
+ * positions on this device.
+ */
+function promptSignIn() {
+  const error = document.getElementById('authError');
+
+  return new Promise((resolve) => {
+    async function submit(mode) {
+      if (!authForm.reportValidity()) return;
+      error.textContent = '';
+      try {
+        await signIn(mode, document.getElementById('authUsername').value, document.getElementById('authPassword').value);
+        authModal.style.display = 'none';
+        authForm.reset();
+        resolve(true);
+      } catch (err) {
+        error.textContent = err.status ? err.message : 'Server unreachable, try again';
+      }
+    }
+
+    authForm.onsubmit = (e) => {
+      e.preventDefault();
+      submit('login');
+    };
+    document.getElementById('registerBtn').onclick = () => submit('register');
+    document.getElementById('useLocalBtn').onclick = () => {
+      authModal.style.display = 'none';
+      resolve(false);
+    };
+    authModal.style.display = 'block';
+    document.getElementById('authUsername').focus();
+  });
+}
+
+/**
+ * Sign out and start over with the sign-in prompt
+ */
+async function handleSignOut() {
+  const pending = dataSource.pendingCount();
+  if (pending > 0 && !confirm(`${pending} change${pending === 1 ? '' : 's'} not synced yet will be lost. Sign out anyway?`)) {
+    return;
+  }
+  await signOut();
+  window.location.reload();
+}
+
+/**
+ * Alert preferences for this browser: { sound, nearPercent, types }
+ */
+function getAlertSettings() {
+  const defaults = { sound: true, nearPercent: DEFAULT_NEAR_PERCENT, types: ALERT_TYPES };
+  try {
+    const data = localStorage.getItem(ALERT_SETTINGS_KEY);
+    return data ? { ...defaults, ...JSON.parse(data) } : defaults;
+  } catch (error) {
+    console.error('Error reading alert settings:', error);
+    return defaults;
+  }
+}
+
+function saveAlertSettings(settings) {
+  localStorage.setItem(ALERT_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Compare freshly loaded options with the previous load and raise an
+ * alert for every new transition. The first load only sets the baseline.
+ */
+function checkAlerts(options) {
+  const settings = getAlertSettings();
+
+  if (lastSeenOptions) {
+    options.forEach((option) => {
+      detectAlerts(lastSeenOptions.get(option.id), option, settings)
+        .filter(alert => isNewAlert(alert))
+        .forEach(alert => raiseAlert(alert, settings));
+    });
+  }
+  lastSeenOptions = new Map(options.map(option => [option.id, option]));
+}
+
+/**
+ * Toast, system notification (works with the tab in the background) and
+ * optional sound
+ */
+function raiseAlert(alert, settings) {
+  const toastTypes = { STOPLOSS_HIT: 'error', NEAR_STOPLOSS: 'error', TARGET_HIT: 'success' };
+  showNotification(alert.message, toastTypes[alert.type] || 'info');
+
+  if ('Notification' in window && Notification.permission === 'granted') {
+    try {
+      new Notification('Sensex Options Tracker', { body: alert.message, tag: alert.key });
+    } catch (error) {
+      console.warn('System notification failed:', error);
+    }
+  }
+  if (settings.sound) {
+    playAlertSound(alert.type);
+  }
+}
+
+/**
+ * Short beep; stoploss alerts sound lower and longer
+ */
+function playAlertSound(type) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+
+  try {
+    audioContext = audioContext || new AudioContextClass();
+    const urgent = type === 'STOPLOSS_HIT' || type === 'NEAR_STOPLOSS';
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = urgent ? 440 : 880;
+    gain.gain.value = 0.15;
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+    oscillator.start();
+    oscillator.stop(audioContext.currentTime + (urgent ? 0.6 : 0.2));
+  } catch (error) {
+    console.warn('Alert sound failed:', error);
+  }
+}
+
+/**
+ * Fill the alert settings panel from saved preferences
+ */
+function renderAlertSettings() {
+  const settings = getAlertSettings();
+  document.getElementById('alertSound').checked = settings.sound;
+  document.getElementById('alertNearPercent').value = settings.nearPercent;
+  document.querySelectorAll('.alert-type').forEach((input) => {
+    input.checked = settings.types.includes(input.value);
+  });
+
+  const button = document.getElementById('enableNotifications');
+  if (!('Notification' in window)) {
+    button.textContent = 'Notifications unsupported';
+    button.disabled = true;
+  } else if (Notification.permission === 'granted') {
+    button.textContent = '🔔 Notifications on';
+    button.disabled = true;
+  } else {
+    button.textContent = Notification.permission === 'denied' ? '🔕 Notifications blocked' : '🔔 Enable notifications';
+    button.disabled = Notification.permission === 'denied';
+  }
+}
+
+function handleAlertSettingsChange() {
+  const nearPercent = parseFloat(document.getElementById('alertNearPercent').value);
+  saveAlertSettings({
+    sound: document.getElementById('alertSound').checked,
+    nearPercent: nearPercent > 0 ? nearPercent : DEFAULT_NEAR_PERCENT,
+    types: [...document.querySelectorAll('.alert-type:checked')].map(input => input.value)
+  });
+  loadOptions();
+}
+
+/**
+ * Show the account's alert webhooks; the field stays hidden where the
+ * server is not there to post them
+ */
+async function loadWebhooks() {
+  const setting = document.getElementById('webhookSetting');
+  try {
+    const urls = await dataSource.webhooks();
+    setting.hidden = urls === null;
+    document.getElementById('alertWebhooks').value = (urls || []).join(', ');
+  } catch (error) {
+    console.error('Error loading webhooks:', error);
+    setting.hidden = true;
+  }
+}
+
+async function handleWebhooksChange(event) {
+  // Not one of this browser's alert preferences
+  event.stopPropagation();
+  const urls = event.target.value.split(/[\s,]+/).filter(Boolean);
+  try {
+    const saved = await dataSource.saveWebhooks(urls);
+    event.target.value = saved.join(', ');
+    showNotification(saved.length > 0 ? 'Alert webhooks saved' : 'Alert webhooks off', 'success');
+  } catch (error) {
+    console.error('Error saving webhooks:', error);
+    showNotification(isRejection(error) ? error.message : 'Failed to save webhooks', 'error');
+  }
+}
+
+async function enableNotifications() {
+  // Browsers only allow audio once the user has interacted with the page
+  playAlertSound('TARGET_HIT');
+  await Notification.requestPermission();
+  renderAlertSettings();
+}
 
 /**
  * Update statistics
@@ -466,38 +1966,57 @@ function removeOption(id) {
 function updateStats(options) {
   const stats = {
     total: options.length,
-    active: options.filter(opt => opt.status === 'TRACKING').length,
+    active: options.filter(isActive).length,
+    partial: options.filter(opt => opt.status === 'PARTIALLY_EXITED').length,
     stoploss: options.filter(opt => opt.status === 'STOPLOSS_HIT').length,
-    exited: options.filter(opt => opt.status === 'EXITED').length
+    exited: options.filter(opt => opt.status === 'EXITED' || opt.status === 'EXPIRED').length
   };
 
   document.getElementById('totalTracked').textContent = stats.total;
   document.getElementById('totalActive').textContent = stats.active;
+  document.getElementById('totalPartial').textContent = stats.partial;
   document.getElementById('totalStoploss').textContent = stats.stoploss;
   document.getElementById('totalExited').textContent = stats.exited;
+  renderRisk(options);
 }
 
 /**
- * Helper Functions
+ * Portfolio risk cards for the open positions
  */
-
-function calculatePnL(option) {
-  const priceChange = option.currentPrice - option.entryPrice;
-  const pnl = priceChange * option.quantity;
-  const pnlPercent = (priceChange / option.entryPrice) * 100;
-  return {
-    pnl: pnl.toFixed(2),
-    pnlPercent: pnlPercent.toFixed(2)
-  };
+function renderRisk(options) {
+  const risk = portfolioRisk(options);
+  const daily = checkDailyLoss(options, null, riskSettings.dailyLossLimit);
+  const largest = risk.largest && options.find(option => option.id === risk.largest.id);
+
+  document.getElementById('riskDeployed').textContent = `₹${formatNumber(risk.deployed)}`;
+  document.getElementById('riskCollected').textContent = risk.collected > 0
+    ? `₹${formatNumber(risk.collected)} collected on written options`
+    : `${risk.positions} open position${risk.positions === 1 ? '' : 's'}`;
+  document.getElementById('riskOpen').textContent = `₹${formatNumber(risk.openRisk)}`;
+  document.getElementById('riskDaily').textContent = daily.limit !== null
+    ? `Worst case today ₹${formatNumber(daily.worstCase)} · limit ₹${formatNumber(daily.limit)}`
+    : 'To the stops';
+  document.getElementById('riskLargest').textContent = largest ? `₹${formatNumber(risk.largest.exposure)}` : '-';
+  document.getElementById('riskLargestDetail').textContent = largest
+    ? `${contractName(largest)} · ${risk.largest.share.toFixed(0)}% of exposure`
+    : '';
+  document.getElementById('riskBias').textContent = risk.bias;
+  document.getElementById('riskBiasDetail').textContent =
+    `${risk.calls} CALL${risk.calls === 1 ? '' : 's'} / ${risk.puts} PUT${risk.puts === 1 ? '' : 's'}`;
 }
 
+/**
+ * Helper Functions
+ */
+
 function getDistanceToStoploss(option) {
-  // Distance from current price down to stoploss (always currentPrice - stoploss)
-  return option.currentPrice - option.stoploss;
+  // Room before the stop: down to it for a buyer, up to it for a seller
+  return isShort(option) ? option.stoploss - option.currentPrice : option.currentPrice - option.stoploss;
 }
 
 function getDistancePercent(option) {
   const distance = getDistanceToStoploss(option);
+  if (!option.currentPrice) return distance > 0 ? 100 : 0;
   const percent = (distance / option.currentPrice) * 100;
   return Math.max(0, percent);
 }
@@ -508,15 +2027,263 @@ function getDistanceColor(percent) {
   return '#10b981'; // Green
 }
 
-function isStoplossHit(option) {
-  // Stoploss is considered hit when current price falls to or below the stoploss
-  return option.currentPrice <= option.stoploss;
-}
-
 function formatNumber(num) {
   return parseFloat(num).toFixed(2);
 }
 
+/**
+ * Text that came from a file or another user, made safe for innerHTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Load closed-trade analytics for the journal view
+ */
+async function loadJournal() {
+  try {
+    const analysis = await dataSource.analytics({
+      from: document.getElementById('journalFrom').value,
+      to: document.getElementById('journalTo').value
+    });
+    renderJournal(analysis);
+  } catch (error) {
+    console.error('Error loading journal:', error);
+    document.getElementById('journalEntries').innerHTML = '<div class="no-data">Error loading journal</div>';
+  }
+}
+
+function renderJournal(analysis) {
+  const { summary } = analysis;
+  const metrics = [
+    ['Trades', summary.trades],
+    ['Win Rate', `${summary.winRate}%`],
+    ['Realized P&L', formatMoney(summary.totalPnL)],
+    ['Expectancy', formatMoney(summary.expectancy)],
+    ['Avg Win', formatMoney(summary.averageWin)],
+    ['Avg Loss', formatMoney(summary.averageLoss)],
+    ['Max Drawdown', formatMoney(-summary.maxDrawdown)],
+    ['Avg Holding', formatDuration(summary.averageHoldingMs)]
+  ];
+  document.getElementById('journalSummary').innerHTML = metrics
+    .map(([label, value]) => `<div class="journal-metric"><small>${label}</small><strong>${value}</strong></div>`)
+    .join('');
+
+  const breakdownTable = (title, label, rows) => `
+    <h3>${title}</h3>
+    <table class="journal-table">
+      <thead><tr><th>${label}</th><th>Trades</th><th>Win</th><th>Expect.</th><th>P&amp;L</th></tr></thead>
+      <tbody>${rows.map(([name, stats]) => `
+        <tr>
+          <td>${name}</td>
+          <td>${stats.trades}</td>
+          <td>${stats.winRate}%</td>
+          <td>${formatMoney(stats.expectancy)}</td>
+          <td>${formatMoney(stats.totalPnL)}</td>
+        </tr>`).join('') || '<tr><td colspan="5">No closed trades</td></tr>'}</tbody>
+    </table>`;
+
+  document.getElementById('journalByType').innerHTML =
+    breakdownTable('By Type', 'Type', Object.entries(analysis.byOptionType));
+  document.getElementById('journalByTrailing').innerHTML =
+    breakdownTable('By Trailing Setting', 'Trail', analysis.byTrailing.map(group => [group.trailing, group]));
+
+  const byWeek = document.getElementById('journalPeriod').value === 'byWeek';
+  const periods = (byWeek ? analysis.byWeek : analysis.byDay).slice().reverse();
+  document.getElementById('journalPeriods').innerHTML = `
+    <h3>Realized P&amp;L by ${byWeek ? 'Week' : 'Day'}</h3>
+    <table class="journal-table">
+      <thead><tr><th>${byWeek ? 'Week of' : 'Day'}</th><th>Trades</th><th>P&amp;L</th></tr></thead>
+      <tbody>${periods.map(period => `
+        <tr><td>${period.period}</td><td>${period.trades}</td><td>${formatMoney(period.pnl)}</td></tr>`).join('') ||
+        '<tr><td colspan="3">No closed trades</td></tr>'}</tbody>
+    </table>`;
+
+  document.getElementById('journalEntries').innerHTML = analysis.journal.length === 0
+    ? '<div class="no-data">No closed trades yet</div>'
+    : `<table class="journal-table">
+        <thead><tr><th>Contract</th><th>Trail</th><th>Result</th><th>Entry</th><th>Exit</th><th>Qty</th><th>P&amp;L</th><th>Held</th><th>Closed</th></tr></thead>
+        <tbody>${analysis.journal.slice().reverse().map(entry => `
+          <tr>
+            <td>${entry.contract}</td>
+            <td>${entry.trailing}</td>
+            <td>${entry.status.replace(/_/g, ' ')}</td>
+            <td>₹${formatNumber(entry.entryPrice)}</td>
+            <td>₹${formatNumber(entry.exitPrice)}</td>
+            <td>${entry.quantity}</td>
+            <td>${formatMoney(entry.pnl)} (${entry.pnlPercent}%)</td>
+            <td>${formatDuration(entry.holdingMs)}</td>
+            <td>${new Date(entry.closedAt).toLocaleString()}</td>
+          </tr>`).join('')}</tbody>
+      </table>`;
+}
+
+/**
+ * Rupee amount coloured by sign
+ */
+function formatMoney(value) {
+  const className = value > 0 ? 'positive' : value < 0 ? 'negative' : '';
+  return `<span class="${className}">₹${formatNumber(value)}</span>`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Put a chosen premium CSV into the backtest box
+ */
+async function handleBacktestFile(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  document.getElementById('backtestData').value = await file.text();
+}
+
+/**
+ * Sweep the trailing % range over the pasted premiums and compare the runs
+ */
+async function handleBacktest(e) {
+  e.preventDefault();
+  const results = document.getElementById('backtestResults');
+
+  try {
+    const result = await dataSource.backtest({
+      data: document.getElementById('backtestData').value,
+      lots: parseInt(document.getElementById('backtestLots').value),
+      sweep: {
+        from: parseFloat(document.getElementById('backtestFrom').value),
+        to: parseFloat(document.getElementById('backtestTo').value),
+        step: parseFloat(document.getElementById('backtestStep').value)
+      }
+    });
+    renderBacktest(result);
+  } catch (error) {
+    console.error('Error running backtest:', error);
+    document.getElementById('backtestSummary').innerHTML = '';
+    results.innerHTML = `<div class="no-data">${isRejection(error) ? escapeHtml(error.message) : 'Backtest failed'}</div>`;
+  }
+}
+
+function renderBacktest(result) {
+  const best = result.sweep.find(run => run.trailingPercent === result.best);
+  const metrics = [
+    ['Premiums', result.premiums],
+    ['Best Trail', `${best.trailingPercent}%`],
+    ['Best P&L', formatMoney(best.pnl)],
+    ['Best Exit', `₹${formatNumber(best.exitPrice)} · ${best.exitReason.toLowerCase()}`],
+    ['Entry', `₹${formatNumber(best.entryPrice)}`],
+    ['Peak Premium', `₹${formatNumber(best.maxFavourable.price)}`],
+    ['Max Favourable', formatMoney(best.maxFavourable.amount)],
+    ['Max Adverse', formatMoney(best.maxAdverse.amount)]
+  ];
+  document.getElementById('backtestSummary').innerHTML = metrics
+    .map(([label, value]) => `<div class="journal-metric"><small>${label}</small><strong>${value}</strong></div>`)
+    .join('');
+
+  document.getElementById('backtestResults').innerHTML = `
+    <table class="journal-table">
+      <thead><tr><th>Trail</th><th>Exit</th><th>Reason</th><th>Exit Time</th><th>P&amp;L</th><th>MFE</th><th>MAE</th><th>Held</th></tr></thead>
+      <tbody>${result.sweep.map(run => `
+        <tr class="${run.trailingPercent === result.best ? 'best-run' : ''}">
+          <td>${run.trailingPercent}%</td>
+          <td>₹${formatNumber(run.exitPrice)}</td>
+          <td>${run.exitReason.toLowerCase()}</td>
+          <td>${new Date(run.exitTime).toLocaleString()}</td>
+          <td>${formatMoney(run.pnl)} (${run.pnlPercent}%)</td>
+          <td>${formatMoney(run.maxFavourable.amount)}</td>
+          <td>${formatMoney(run.maxAdverse.amount)}</td>
+          <td>${formatDuration(run.holdingMs)}</td>
+        </tr>`).join('')}</tbody>
+    </table>`;
+}
+
+/**
+ * Download every option with its price log
+ */
+async function exportOptions(format) {
+  try {
+    const contents = await dataSource.exportData(format);
+    const blob = new Blob([contents], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sensex-options-${new Date().toISOString().slice(0, 10)}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error exporting options:', error);
+    showNotification('Failed to export options', 'error');
+  }
+}
+
+/**
+ * Read the chosen file and show a dry-run preview before importing
+ */
+async function handleImportFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  pendingImport = await file.text();
+  importModal.style.display = 'block';
+  await previewImport();
+}
+
+async function previewImport() {
+  const preview = document.getElementById('importPreview');
+  const submit = importForm.querySelector('button[type="submit"]');
+  try {
+    const result = await dataSource.importData(pendingImport, {
+      onDuplicate: document.getElementById('importDuplicates').value,
+      dryRun: true
+    });
+    const counts = `${result.imported} new, ${result.replaced} replaced, ${result.skipped} skipped, ${result.invalid.length} invalid`;
+    // Everything below comes from the imported file
+    const problems = result.invalid.map(item =>
+      `<li>#${item.index + 1}${item.id ? ` (id ${escapeHtml(item.id)})` : ''}: ${escapeHtml(item.problems.join('; '))}</li>`).join('');
+    const rows = result.preview.filter(item => item.action !== 'invalid').map(item =>
+      `<li><strong>${escapeHtml(item.action)}</strong> ${escapeHtml(item.contract)} <small>#${escapeHtml(item.id)}</small></li>`).join('');
+
+    preview.innerHTML = `
+      <p>${counts}</p>
+      ${rows ? `<ul>${rows}</ul>` : ''}
+      ${problems ? `<p class="import-problems">Not importable:</p><ul class="import-problems">${problems}</ul>` : ''}`;
+    submit.disabled = result.imported + result.replaced === 0;
+  } catch (error) {
+    preview.innerHTML = `<p class="import-problems">${escapeHtml(error.message)}</p>`;
+    submit.disabled = true;
+  }
+}
+
+async function handleImport(e) {
+  e.preventDefault();
+  if (!pendingImport) return;
+
+  try {
+    const result = await dataSource.importData(pendingImport, {
+      onDuplicate: document.getElementById('importDuplicates').value
+    });
+    closeModal();
+    await loadOptions();
+    showNotification(`Imported ${result.imported}, replaced ${result.replaced}, skipped ${result.skipped + result.invalid.length}`, 'success');
+  } catch (error) {
+    console.error('Error importing options:', error);
+    showNotification(isRejection(error) ? error.message : 'Failed to import options', 'error');
+  }
+}
+
 /**
  * Modal Functions
  */
@@ -526,14 +2293,53 @@ function openModal() {
   document.getElementById('newPrice').focus();
 }
 
+function openExitModal() {
+  const card = document.querySelector(`.option-card[data-id="${currentOptionId}"]`);
+  const openQuantity = card ? card.dataset.openQuantity : '';
+  const quantityInput = document.getElementById('exitQuantity');
+
+  quantityInput.max = openQuantity;
+  quantityInput.min = card ? card.dataset.lotSize : 1;
+  quantityInput.step = card ? card.dataset.lotSize : 1;
+  quantityInput.placeholder = `Up to ${openQuantity}`;
+  exitModal.style.display = 'block';
+  quantityInput.focus();
+}
+
+/**
+ * Edit modal for the current option: its trailing % (when its rule has
+ * one), lots to add and what was edited before
+ */
+function openEditModal() {
+  const option = lastSeenOptions && lastSeenOptions.get(parseInt(currentOptionId));
+  if (!option) return;
+
+  const hasPercent = option.trailingPercent !== null && option.trailingPercent !== undefined;
+  document.getElementById('editTrailingGroup').style.display = hasPercent ? '' : 'none';
+  document.getElementById('editTrailingPercent').value = hasPercent ? option.trailingPercent : '';
+  document.getElementById('editAddPrice').placeholder = `Current ₹${formatNumber(option.currentPrice)}`;
+  document.getElementById('editSummary').textContent =
+    `${contractName(option)} · ${describeStrategy(option)} · ${getOpenQuantity(option)} open at ₹${formatNumber(option.entryPrice)}`;
+  document.getElementById('editAudit').innerHTML = renderAudit(option);
+  editModal.style.display = 'block';
+  document.getElementById(hasPercent ? 'editTrailingPercent' : 'editAddLots').focus();
+}
+
 function closeModal() {
-  priceModal.style.display = 'none';
+  MODALS.forEach((modal) => {
+    modal.style.display = 'none';
+  });
+  pendingImport = null;
   document.getElementById('newPrice').value = '';
+  exitForm.reset();
+  editForm.reset();
+  bulkForm.reset();
   currentOptionId = null;
+  currentGroupId = null;
 }
 
 function closeOnOutsideClick(event) {
-  if (event.target === priceModal) {
+  if (MODALS.includes(event.target)) {
     closeModal();
   }
 }
@@ -542,6 +2348,15 @@ function closeOnOutsideClick(event) {
  * Notification
  */
 
+/**
+ * Whether the server (400 or 422) or the local engine turned a request
+ * down, so its message is worth showing as it is
+ */
+function isRejection(error) {
+  return error.status === 400 || error.status === 422 ||
+    error.name === 'PositionError' || error.name === 'RiskLimitError';
+}
+
 function showNotification(message, type = 'info') {
   const notification = document.createElement('div');
   notification.textContent = message;
@@ -582,67 +2397,146 @@ function showNotification(message, type = 'info') {
   }, 3000);
 }
 
+async function loadRiskSettings() {
+  try {
+    riskSettings = await dataSource.settings();
+  } catch (error) {
+    console.error('Error loading risk settings:', error);
+  }
+  renderRiskSettings();
+}
+
 /**
  * Initialize app
  */
-function init() {
-  console.log('✓ Sensex Options Tracker initialized (Pure Frontend)');
+async function init() {
+  dataSource = await resolveDataSource();
+  console.log(`✓ Sensex Options Tracker initialized (${dataSource.name} data source)`);
   console.log('Mobile device:', isMobileDevice());
-  
-  loadOptions();
-  loadLiveData();
 
-  // Auto-refresh with adaptive interval
-  const refreshInterval_ms = isMobileDevice() ? 7000 : 5000;
-  refreshInterval = setInterval(() => {
+  renderStrategyOptions();
+  renderExpiryOptions();
+  renderLotHint();
+  renderBrokerOptions();
+  await loadRiskSettings();
+  resetLegRows();
+  renderAlertSettings();
+  loadWebhooks();
+  loadMarketCalendar();
+  updateSyncStatus();
+  document.getElementById('signOutBtn').addEventListener('click', handleSignOut);
+
+  // Replay queued changes as soon as the connection comes back
+  window.addEventListener('online', async () => {
+    await dataSource.sync();
     loadOptions();
-    loadLiveData();
-  }, refreshInterval_ms);
+  });
+  
+  resumeUpdates();
 
-  // Pause refresh on app background (mobile optimization)
+  // Pause updates on app background (mobile optimization)
   document.addEventListener('visibilitychange', () => {
     if (document.hidden) {
-      if (refreshInterval) clearInterval(refreshInterval);
-      console.log('App backgrounded, refresh paused');
+      pauseUpdates();
+      console.log('App backgrounded, updates paused');
     } else {
-      // Resume refresh when app comes to foreground
-      if (!refreshInterval) {
-        const refreshInterval_ms = isMobileDevice() ? 7000 : 5000;
-        refreshInterval = setInterval(() => {
-          loadOptions();
-          loadLiveData();
-        }, refreshInterval_ms);
-        console.log('App resumed, refresh restarted');
-        loadOptions();
-        loadLiveData();
-      }
+      resumeUpdates();
+      console.log('App resumed, updates restarted');
     }
   });
 
   // Handle app pause/resume for better mobile battery life
   if (isMobileDevice()) {
-    window.addEventListener('pagehide', () => {
-      if (refreshInterval) clearInterval(refreshInterval);
-    });
+    window.addEventListener('pagehide', pauseUpdates);
+    window.addEventListener('pageshow', resumeUpdates);
+  }
+}
 
-    window.addEventListener('pageshow', () => {
-      if (!refreshInterval) {
-        const refreshInterval_ms = isMobileDevice() ? 7000 : 5000;
-        refreshInterval = setInterval(() => {
-          loadOptions();
-          loadLiveData();
-        }, refreshInterval_ms);
-      }
-    });
+function refreshAll() {
+  loadOptions();
+  loadGroups();
+  loadLiveData();
+}
+
+/**
+ * Poll with an adaptive interval. Used when there is no event stream
+ * (local mode, old browsers) or while it is reconnecting.
+ */
+function startPolling() {
+  if (refreshInterval) return;
+  const refreshInterval_ms = isMobileDevice() ? 7000 : 5000;
+  refreshInterval = setInterval(refreshAll, refreshInterval_ms);
+}
+
+function stopPolling() {
+  if (refreshInterval) {
+    clearInterval(refreshInterval);
+    refreshInterval = null;
+  }
+}
+
+/**
+ * Subscribe to pushed updates from the server. Polling covers any gap
+ * until the stream is open and whenever it drops.
+ */
+function connectStream() {
+  reconnectTimer = null;
+  closeStream = dataSource.subscribe({
+    onOpen() {
+      streamConnected = true;
+      reconnectDelay = null;
+      stopPolling();
+      // Catch up on anything missed while disconnected
+      refreshAll();
+    },
+    onLive: renderLiveData,
+    // Alerts for the change are raised by checkAlerts once the list reloads
+    onOption: () => loadOptions(),
+    onGroup: () => loadGroups(),
+    onError(closed) {
+      streamConnected = false;
+      updateSyncStatus();
+      startPolling();
+      // EventSource retries by itself unless the server refused the stream
+      if (closed) scheduleReconnect();
+    }
+  });
+
+  if (!closeStream) {
+    startPolling();
+  }
+}
+
+function scheduleReconnect() {
+  disconnectStream();
+  reconnectDelay = Math.min((reconnectDelay || STREAM_RETRY_MIN_MS / 2) * 2, STREAM_RETRY_MAX_MS);
+  reconnectTimer = setTimeout(connectStream, reconnectDelay);
+}
+
+function disconnectStream() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  if (closeStream) {
+    closeStream();
+    closeStream = null;
   }
+  streamConnected = false;
+}
+
+function pauseUpdates() {
+  stopPolling();
+  disconnectStream();
+}
+
+function resumeUpdates() {
+  if (!closeStream && !reconnectTimer) {
+    connectStream();
+  }
+  refreshAll();
 }
 
 // Start the app
 document.addEventListener('DOMContentLoaded', init);
 
 // Cleanup on page unload
-window.addEventListener('beforeunload', () => {
-  if (refreshInterval) {
-    clearInterval(refreshInterval);
-  }
-});
+window.addEventListener('beforeunload', pauseUpdates);
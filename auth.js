@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+
+// scrypt with Node's default cost (N=16384, r=8, p=1)
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const TOKEN_BYTES = 32;
+// Browser sign-ins last a week; API tokens last until they are revoked
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+
+/**
+ * Error raised for a rejected registration, sign-in or token. `status` is
+ * the HTTP status the API answers with.
+ */
+class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Hash a password as `scrypt:<salt>:<key>` (hex)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (error, key) => {
+      if (error) return reject(error);
+      resolve(`scrypt:${salt.toString('hex')}:${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, key] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !key) return Promise.resolve(false);
+
+  const expected = Buffer.from(key, 'hex');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(salt, 'hex'), expected.length, (error, derived) => {
+      if (error) return reject(error);
+      resolve(crypto.timingSafeEqual(derived, expected));
+    });
+  });
+}
+
+// Tokens are stored by their SHA-256, so a leaked data file holds no usable token
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * The bearer token of a request (`Authorization: Bearer <token>`), if any
+ */
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+function publicUser(user) {
+  return { id: user.id, username: user.id, createdAt: user.createdAt };
+}
+
+function publicToken(doc) {
+  return { id: doc.id, name: doc.name, createdAt: doc.createdAt };
+}
+
+/**
+ * Accounts and tokens for the API server, kept in the document store.
+ *
+ *   users   { id: username, passwordHash, createdAt }
+ *   tokens  { id: sha256(token), userId, type: 'session' | 'api', name,
+ *             createdAt, expiresAt }
+ *
+ * Usernames are the user ids, so the store's duplicate-id check keeps them
+ * unique even when two registrations race. Sessions come from signing in
+ * and expire; API tokens are made for scripts and last until revoked. Both
+ * are sent as `Authorization: Bearer <token>` and are only ever shown once.
+ */
+function createAuth({ store, sessionTtlMs = SESSION_TTL_MS }) {
+  async function issueToken(userId, type, name) {
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+    const now = Date.now();
+    const doc = await store.insert('tokens', {
+      id: hashToken(token),
+      userId,
+      type,
+      name,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: type === 'session' ? new Date(now + sessionTtlMs).toISOString() : null
+    });
+    return { token, doc };
+  }
+
+  /**
+   * The user a token belongs to, or null when it is unknown or expired.
+   * Expired sessions are deleted on sight.
+   */
+  async function authenticate(token) {
+    if (!token) return null;
+    const doc = await store.find('tokens', hashToken(token));
+    if (!doc) return null;
+    if (doc.expiresAt && new Date(doc.expiresAt) <= new Date()) {
+      await store.remove('tokens', doc.id);
+      return null;
+    }
+    const user = await store.find('users', doc.userId);
+    return user ? publicUser(user) : null;
+  }
+
+  return {
+    /**
+     * Create an account. Throws an AuthError for a bad or taken username
+     * or a short password.
+     */
+    async register({ username, password } = {}) {
+      const name = String(username || '').trim().toLowerCase();
+      if (!USERNAME_PATTERN.test(name)) {
+        throw new AuthError('Username must be 3-32 letters, digits, dots, dashes or underscores');
+      }
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+
+      try {
+        const user = await store.insert('users', {
+          id: name,
+          passwordHash: await hashPassword(password),
+          createdAt: new Date().toISOString()
+        });
+        return publicUser(user);
+      } catch (error) {
+        if (error.code === 'DUPLICATE_ID') {
+          throw new AuthError('Username is already taken', 409);
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Check a username and password and start a session.
+     * Returns { token, expiresAt, user }.
+     */
+    async login({ username, password } = {}) {
+      const user = await store.find('users', String(username || '').trim().toLowerCase());
+      if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+        throw new AuthError('Invalid username or password', 401);
+      }
+      const { token, doc } = await issueToken(user.id, 'session', 'Browser session');
+      return { token, expiresAt: doc.expiresAt, user: publicUser(user) };
+    },
+
+    async logout(token) {
+      if (token) {
+        await store.remove('tokens', hashToken(token));
+      }
+    },
+
+    authenticate,
+
+    /**
+     * Make a long-lived token for scripts. Returns { token, apiToken }.
+     */
+    async createApiToken(userId, name) {
+      const label = String(name || '').trim() || 'API token';
+      const { token, doc } = await issueToken(userId, 'api', label);
+      return { token, apiToken: publicToken(doc) };
+    },
+
+    async listApiTokens(userId) {
+      return (await store.all('tokens'))
+        .filter(doc => doc.userId === userId && doc.type === 'api')
+        .map(publicToken);
+    },
+
+    /**
+     * Revoke one of the user's API tokens. Returns the token, or null when
+     * the user has no such token.
+     */
+    async revokeApiToken(userId, id) {
+      const doc = await store.find('tokens', id);
+      if (!doc || doc.userId !== userId || doc.type !== 'api') return null;
+      await store.remove('tokens', id);
+      return publicToken(doc);
+    },
+
+    /**
+     * Express middleware that answers 401 unless the request carries a
+     * valid token, and sets req.user otherwise
+     */
+    requireUser() {
+      return async (req, res, next) => {
+        try {
+          const user = await authenticate(bearerToken(req));
+          if (!user) {
+            return res.status(401).json({ error: 'Sign in required' });
+          }
+          req.user = user;
+          next();
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  AuthError,
+  createAuth,
+  bearerToken,
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,291 @@
+/**
+ * Backtests of trailing-stop rules against historical premiums, shared by
+ * the browser and the API server.
+ *
+ * A replay opens a position at the first premium and feeds every later one
+ * through applyPriceUpdate(), the same stop logic live price updates use,
+ * dated at its historical time. The position is closed at the first
+ * premium that reaches the stop (at or below it, or at or above it when
+ * `side` is SELL), or at the last premium if the stop never triggers.
+ * Targets, when given, are booked along the way as they would be live.
+ *
+ * Premium CSV: a `timestamp` (or time/date/datetime) column and a `price`
+ * (or premium/close/ltp) column; without a header row the first two
+ * columns are used. Times without a zone are read as IST.
+ *
+ * Excursions are measured from the entry over the time the position was
+ * held: maxFavourable is the best the premium got for the position's side,
+ * maxAdverse the worst.
+ *
+ * pnl is gross; charges and netPnl apply the `broker` profile from
+ * charges.js to the entry and every exit.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./contract'), require('./stoploss'), require('./transfer'), require('./charges'));
+  } else {
+    root.SensexBacktest = factory(root.SensexContract, root.SensexStoploss, root.SensexTransfer, root.SensexCharges);
+  }
+})(typeof self !== 'undefined' ? self : this, function (contract, stoploss, transfer, charges) {
+  const { PositionError } = stoploss;
+  const TIME_COLUMNS = ['timestamp', 'time', 'date', 'datetime'];
+  const PRICE_COLUMNS = ['price', 'premium', 'close', 'ltp'];
+  const MAX_SWEEP_RUNS = 100;
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Parse a timestamp, reading zone-less exchange times as IST
+   */
+  function parseTime(value) {
+    const text = String(value).trim();
+    const local = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text);
+    return new Date(local ? `${text.replace(' ', 'T')}+05:30` : text);
+  }
+
+  /**
+   * Timestamped premiums from CSV text, oldest first: [{ time, price }]
+   */
+  function parsePremiums(text) {
+    const rows = transfer.parseCsv(String(text || '').trim());
+    if (rows.length === 0) {
+      throw new PositionError('Premium data is empty');
+    }
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    let timeIndex = header.findIndex(cell => TIME_COLUMNS.includes(cell));
+    let priceIndex = header.findIndex(cell => PRICE_COLUMNS.includes(cell));
+    let body = rows.slice(1);
+    if (timeIndex === -1 || priceIndex === -1) {
+      if (header.some(cell => TIME_COLUMNS.includes(cell) || PRICE_COLUMNS.includes(cell)) ||
+          !Number.isFinite(Number(rows[0][1]))) {
+        throw new PositionError('Premium CSV needs timestamp and price columns');
+      }
+      timeIndex = 0;
+      priceIndex = 1;
+      body = rows;
+    }
+
+    return normalizePremiums(body.map(cells => ({ time: cells[timeIndex], price: cells[priceIndex] })));
+  }
+
+  /**
+   * Check and sort premiums given as [{ time, price }]
+   */
+  function normalizePremiums(premiums) {
+    if (!Array.isArray(premiums)) {
+      throw new PositionError('Premiums must be a list of { time, price }');
+    }
+
+    const normalized = premiums.map((row, index) => {
+      const time = parseTime(row && row.time);
+      const price = Number(row && row.price);
+      if (Number.isNaN(time.getTime())) {
+        throw new PositionError(`Row ${index + 1}: time is not a valid date`);
+      }
+      if (!Number.isFinite(price) || price < 0) {
+        throw new PositionError(`Row ${index + 1}: price must be a premium`);
+      }
+      return { time: time.toISOString(), price };
+    });
+
+    normalized.sort((a, b) => new Date(a.time) - new Date(b.time));
+    if (normalized.length < 2) {
+      throw new PositionError('A backtest needs at least two premiums');
+    }
+    if (normalized[0].price <= 0) {
+      throw new PositionError('The first premium is the entry and must be positive');
+    }
+    return normalized;
+  }
+
+  /**
+   * A position opened at `entry` with the rule being tested. Historical
+   * contracts have long expired, so createOption's contract checks do not
+   * apply here.
+   */
+  function openPosition(entry, settings) {
+    const lotSize = settings.lotSize || contract.LOT_SIZE;
+    const quantity = settings.lots !== undefined ? settings.lots * lotSize : (settings.quantity || lotSize);
+    if (!Number.isInteger(quantity) || quantity <= 0 || quantity % lotSize !== 0) {
+      throw new PositionError(`Quantity must be a whole number of lots of ${lotSize}`);
+    }
+
+    const side = settings.side || 'BUY';
+    if (!stoploss.SIDES.includes(side)) {
+      throw new PositionError('Side must be BUY or SELL');
+    }
+    const broker = settings.broker || charges.DEFAULT_PROFILE;
+    if (!charges.BROKER_PROFILES[broker]) {
+      throw new PositionError(`Unknown broker profile: ${broker}`);
+    }
+
+    const strategy = stoploss.normalizeStrategy(settings.strategy, settings.trailingPercent);
+    const option = {
+      id: 0,
+      side,
+      entryPrice: entry.price,
+      currentPrice: entry.price,
+      quantity,
+      openQuantity: quantity,
+      lotSize,
+      broker,
+      trailingPercent: strategy.params.percent !== undefined ? strategy.params.percent : null,
+      strategy,
+      optionType: settings.optionType || 'CALL',
+      strike: settings.strike,
+      expiry: settings.expiry,
+      highestPrice: entry.price,
+      lowestPrice: entry.price,
+      stoploss: null,
+      targets: stoploss.normalizeTargets(settings.targets, entry.price, quantity, lotSize, side),
+      exits: [],
+      status: 'TRACKING',
+      createdAt: entry.time,
+      updateLog: []
+    };
+    option.stoploss = stoploss.computeStoploss(option, new Date(entry.time));
+    return option;
+  }
+
+  function excursion(option, price, time) {
+    const gain = stoploss.isShort(option) ? option.entryPrice - price : price - option.entryPrice;
+    return {
+      price,
+      amount: round(gain * option.quantity),
+      percent: round((gain / option.entryPrice) * 100),
+      at: time
+    };
+  }
+
+  /**
+   * Replay premiums through one trailing rule.
+   * Settings: { trailingPercent | strategy, quantity | lots, lotSize?, side?,
+   *             targets?, optionType?, strike?, expiry?, broker? }
+   */
+  function runBacktest(premiums, settings = {}) {
+    const [entry, ...rest] = premiums;
+    const option = openPosition(entry, settings);
+    const sign = stoploss.isShort(option) ? -1 : 1;
+    let best = entry;
+    let worst = entry;
+    let exitReason = 'END';
+
+    for (const tick of rest) {
+      stoploss.applyPriceUpdate(option, tick.price, 'BACKTEST', new Date(tick.time));
+      if (sign * (tick.price - best.price) > 0) best = tick;
+      if (sign * (tick.price - worst.price) < 0) worst = tick;
+
+      if (!stoploss.isActive(option)) {
+        exitReason = option.status === 'STOPLOSS_HIT' ? 'STOPLOSS' : 'TARGET';
+        break;
+      }
+    }
+
+    const last = option.updateLog.length > 0 ? option.updateLog[option.updateLog.length - 1].timestamp : entry.time;
+    if (stoploss.getOpenQuantity(option) > 0) {
+      stoploss.applyPartialExit(option, stoploss.getOpenQuantity(option), option.currentPrice, exitReason, new Date(last));
+    }
+
+    const pnl = option.finalPnL;
+    return {
+      trailingPercent: option.trailingPercent,
+      strategy: option.strategy,
+      rule: stoploss.describeStrategy(option),
+      side: option.side,
+      quantity: option.quantity,
+      entryTime: entry.time,
+      entryPrice: entry.price,
+      exitTime: option.exitedAt,
+      exitPrice: option.exitPrice,
+      exitReason,
+      highestPrice: option.highestPrice,
+      finalStoploss: option.stoploss,
+      pnl: Number(pnl.pnl),
+      pnlPercent: Number(pnl.pnlPercent),
+      charges: Number(pnl.charges),
+      netPnl: Number(pnl.net),
+      holdingMs: new Date(option.exitedAt) - new Date(entry.time),
+      updates: option.updateLog.length,
+      maxFavourable: excursion(option, best.price, best.time),
+      maxAdverse: excursion(option, worst.price, worst.time),
+      exits: option.exits
+    };
+  }
+
+  /**
+   * Trailing percents from { from, to, step } or a list of values
+   */
+  function sweepValues(sweep) {
+    if (Array.isArray(sweep)) {
+      return sweep.map(Number);
+    }
+    const from = Number(sweep.from);
+    const to = Number(sweep.to);
+    const step = Number(sweep.step);
+    if (![from, to, step].every(Number.isFinite) || step <= 0 || to < from) {
+      throw new PositionError('Sweep needs from <= to and a positive step');
+    }
+    const values = [];
+    for (let i = 0; from + i * step <= to + 1e-9 && values.length <= MAX_SWEEP_RUNS; i++) {
+      values.push(round(from + i * step));
+    }
+    return values;
+  }
+
+  /**
+   * Run the same rule once per trailing percent. Only rules with a percent
+   * parameter can be swept.
+   */
+  function sweepTrailing(premiums, settings, sweep) {
+    const values = sweepValues(sweep);
+    if (values.length > MAX_SWEEP_RUNS) {
+      throw new PositionError(`A sweep is limited to ${MAX_SWEEP_RUNS} runs`);
+    }
+
+    const base = stoploss.normalizeStrategy(settings.strategy, settings.trailingPercent || values[0]);
+    if (base.params.percent === undefined) {
+      throw new PositionError('Only rules with a trailing % can be swept');
+    }
+
+    return values.map(percent => runBacktest(premiums, {
+      ...settings,
+      trailingPercent: percent,
+      strategy: { type: base.type, params: { ...base.params, percent } }
+    }));
+  }
+
+  /**
+   * Full backtest: premiums (CSV text or [{ time, price }]) and settings,
+   * plus `sweep` ({ from, to, step } or [percent]) to compare trailing
+   * percents. The run with the best P&L in the sweep is `best`.
+   */
+  function backtest(data, { sweep, ...settings } = {}) {
+    const premiums = typeof data === 'string' ? parsePremiums(data) : normalizePremiums(data);
+    const hasRule = settings.strategy || settings.trailingPercent !== undefined;
+    if (!hasRule && !sweep) {
+      throw new PositionError('Give a trailing rule, a sweep or both');
+    }
+
+    const runs = sweep ? sweepTrailing(premiums, settings, sweep) : [];
+    const best = runs.reduce((top, run) => (!top || run.pnl > top.pnl ? run : top), null);
+
+    return {
+      premiums: premiums.length,
+      start: premiums[0].time,
+      end: premiums[premiums.length - 1].time,
+      result: hasRule ? runBacktest(premiums, settings) : null,
+      sweep: runs,
+      best: best ? best.trailingPercent : null
+    };
+  }
+
+  return {
+    parsePremiums,
+    runBacktest,
+    sweepTrailing,
+    backtest
+  };
+});
@@ -0,0 +1,148 @@
+/**
+ * Intraday SENSEX candles built from live ticks, shared by the browser and
+ * the API server.
+ *
+ * Ticks are folded into 1-minute OHLC candles; 5m, 15m and 1h candles are
+ * built from those on request. Buckets are anchored to the 09:15 IST open,
+ * so hourly candles run 09:15-10:15 and so on, as on exchange charts.
+ *
+ * There is no volume in the feed, so `average` is a VWAP-style running
+ * mean of each candle's typical price ((high + low + close) / 3) that
+ * resets at the start of every IST trading day.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SensexCandles = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const MINUTE_MS = 60 * 1000;
+  const DAY_MS = 24 * 60 * MINUTE_MS;
+  const IST_OFFSET_MS = 330 * MINUTE_MS;
+  const SESSION_OPEN_MS = (9 * 60 + 15) * MINUTE_MS; // 09:15 IST
+
+  const TIMEFRAMES = {
+    '1m': MINUTE_MS,
+    '5m': 5 * MINUTE_MS,
+    '15m': 15 * MINUTE_MS,
+    '1h': 60 * MINUTE_MS
+  };
+
+  // About five sessions of 1-minute candles
+  const MAX_MINUTE_CANDLES = 5 * 375;
+
+  /**
+   * Start of the IST day a moment falls in, as a UTC timestamp
+   */
+  function istDayStart(time) {
+    return Math.floor((time + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS;
+  }
+
+  /**
+   * Start of the `interval`-long bucket holding `time`, counted from that
+   * day's 09:15 IST open
+   */
+  function bucketStart(time, interval) {
+    const open = istDayStart(time) + SESSION_OPEN_MS;
+    return open + Math.floor((time - open) / interval) * interval;
+  }
+
+  /**
+   * Fold 1-minute candles into a longer timeframe
+   */
+  function aggregate(minuteCandles, interval) {
+    const candles = [];
+    minuteCandles.forEach((candle) => {
+      const time = bucketStart(candle.time, interval);
+      const last = candles[candles.length - 1];
+      if (last && last.time === time) {
+        last.high = Math.max(last.high, candle.high);
+        last.low = Math.min(last.low, candle.low);
+        last.close = candle.close;
+        last.ticks += candle.ticks;
+      } else {
+        candles.push({ ...candle, time });
+      }
+    });
+    return candles;
+  }
+
+  /**
+   * Add the session average to candles in time order
+   */
+  function withSessionAverage(candles) {
+    let day = null;
+    let sum = 0;
+    let count = 0;
+    return candles.map((candle) => {
+      const candleDay = istDayStart(candle.time);
+      if (candleDay !== day) {
+        day = candleDay;
+        sum = 0;
+        count = 0;
+      }
+      sum += (candle.high + candle.low + candle.close) / 3;
+      count++;
+      return { ...candle, average: Math.round((sum / count) * 100) / 100 };
+    });
+  }
+
+  /**
+   * A growing series of 1-minute candles.
+   * `saved` is a previous toJSON() result to continue from.
+   */
+  function createCandleSeries(saved = []) {
+    let minuteCandles = Array.isArray(saved) ? saved.slice() : [];
+
+    return {
+      /**
+       * Record a tick. Ticks older than the latest candle are ignored.
+       */
+      addTick(price, time = Date.now()) {
+        const value = Number(price);
+        const at = new Date(time).getTime();
+        if (!Number.isFinite(value) || value <= 0 || !Number.isFinite(at)) return;
+
+        const start = bucketStart(at, MINUTE_MS);
+        const last = minuteCandles[minuteCandles.length - 1];
+        if (last && start < last.time) return;
+
+        if (last && last.time === start) {
+          last.high = Math.max(last.high, value);
+          last.low = Math.min(last.low, value);
+          last.close = value;
+          last.ticks++;
+        } else {
+          minuteCandles.push({ time: start, open: value, high: value, low: value, close: value, ticks: 1 });
+          if (minuteCandles.length > MAX_MINUTE_CANDLES) {
+            minuteCandles = minuteCandles.slice(-MAX_MINUTE_CANDLES);
+          }
+        }
+      },
+
+      /**
+       * The latest `limit` candles of a timeframe ('1m', '5m', '15m', '1h')
+       */
+      candles(timeframe = '5m', limit = 60) {
+        const interval = TIMEFRAMES[timeframe];
+        if (!interval) {
+          throw new Error(`timeframe must be one of ${Object.keys(TIMEFRAMES).join(', ')}`);
+        }
+        const candles = interval === MINUTE_MS
+          ? minuteCandles.map(candle => ({ ...candle }))
+          : aggregate(minuteCandles, interval);
+        return withSessionAverage(candles).slice(-limit);
+      },
+
+      toJSON() {
+        return minuteCandles;
+      }
+    };
+  }
+
+  return {
+    TIMEFRAMES,
+    createCandleSeries
+  };
+});
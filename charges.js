@@ -0,0 +1,193 @@
+/**
+ * Brokerage, taxes and exchange charges on SENSEX option trades, shared by
+ * the browser and the API server so P&L can be shown net of costs.
+ *
+ * Every order - the entry and each exit - is charged on its premium
+ * turnover (premium x quantity):
+ *
+ *   brokerage   from the option's broker profile: a fee per order, per lot
+ *               and/or a percent of turnover, kept within the profile's
+ *               minimum and maximum
+ *   STT         0.1% of the premium on the sell side
+ *   exchange    BSE transaction charges, 0.0325% of turnover
+ *   SEBI fees   ₹10 per crore of turnover
+ *   GST         18% of brokerage, exchange charges and SEBI fees
+ *   stamp duty  0.003% of the premium on the buy side
+ *
+ * A bought option settled in the money at expiry is exercised rather than
+ * sold: no brokerage or exchange charges, but STT of 0.125% of its
+ * settlement value. An order at a premium of zero (an option left to expire
+ * worthless) costs nothing.
+ *
+ * While some quantity is still open, its charges are those of closing it
+ * at the current premium, so the net P&L of a running position is what
+ * exiting now would leave.
+ *
+ * Statutory rates change from time to time: RATES keeps them in one place
+ * and a profile can override any of them with its own `rates`.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SensexCharges = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Fractions of turnover
+  const RATES = {
+    stt: 0.001,
+    exerciseStt: 0.00125,
+    exchange: 0.000325,
+    sebi: 0.000001,
+    gst: 0.18,
+    stampDuty: 0.00003
+  };
+
+  /**
+   * Broker profiles. brokerage: { perOrder?, perLot?, percent?, minimum?,
+   * maximum? } in rupees (percent of turnover), summed per order.
+   */
+  const BROKER_PROFILES = {
+    discount: {
+      label: 'Discount (₹20 per order)',
+      brokerage: { perOrder: 20 }
+    },
+    capped: {
+      label: '0.03% per order, up to ₹20',
+      brokerage: { percent: 0.03, maximum: 20 }
+    },
+    'full-service': {
+      label: 'Full-service (₹50 per lot)',
+      brokerage: { perLot: 50 }
+    },
+    zero: {
+      label: 'Zero brokerage (taxes only)',
+      brokerage: {}
+    }
+  };
+  const DEFAULT_PROFILE = 'discount';
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * The profile an option is charged under. Options saved before charges
+   * existed, or naming a profile that is gone, use the default.
+   */
+  function getProfile(id) {
+    return BROKER_PROFILES[id] || BROKER_PROFILES[DEFAULT_PROFILE];
+  }
+
+  function brokerageFor(turnover, lots, brokerage) {
+    const fee = (brokerage.perOrder || 0) +
+      (brokerage.perLot || 0) * lots +
+      ((brokerage.percent || 0) / 100) * turnover;
+    const floor = Math.max(fee, brokerage.minimum || 0);
+    return brokerage.maximum !== undefined ? Math.min(floor, brokerage.maximum) : floor;
+  }
+
+  /**
+   * Charges on one order: { side: 'BUY' | 'SELL', price, quantity,
+   * lotSize, exercise? }. Returns each component, unrounded.
+   */
+  function orderCharges(order, profile = getProfile()) {
+    const rates = { ...RATES, ...(profile.rates || {}) };
+    const turnover = order.price * order.quantity;
+    if (!(turnover > 0)) {
+      return { brokerage: 0, stt: 0, exchange: 0, sebi: 0, gst: 0, stampDuty: 0 };
+    }
+
+    const brokerage = order.exercise ? 0 : brokerageFor(turnover, order.quantity / (order.lotSize || 1), profile.brokerage);
+    const exchange = order.exercise ? 0 : turnover * rates.exchange;
+    const sebi = turnover * rates.sebi;
+    return {
+      brokerage,
+      stt: order.side === 'SELL' ? turnover * (order.exercise ? rates.exerciseStt : rates.stt) : 0,
+      exchange,
+      sebi,
+      gst: (brokerage + exchange + sebi) * rates.gst,
+      stampDuty: order.side === 'BUY' && !order.exercise ? turnover * rates.stampDuty : 0
+    };
+  }
+
+  /**
+   * The orders of a position: its entry, every exit, and closing whatever
+   * is still open at `closePrice`
+   */
+  function positionOrders(option, closePrice) {
+    const opening = option.side === 'SELL' ? 'SELL' : 'BUY';
+    const closing = opening === 'SELL' ? 'BUY' : 'SELL';
+    const lotSize = option.lotSize || 1;
+    const openQuantity = option.openQuantity !== undefined ? option.openQuantity : option.quantity;
+
+    return [
+      { side: opening, price: option.entryPrice, quantity: option.quantity, lotSize },
+      ...(option.exits || []).map(exit => ({
+        side: closing,
+        price: exit.price,
+        quantity: exit.quantity,
+        lotSize,
+        exercise: exit.reason === 'EXPIRY'
+      })),
+      ...(openQuantity > 0 ? [{ side: closing, price: closePrice, quantity: openQuantity, lotSize }] : [])
+    ];
+  }
+
+  function totalCharges(orders, profile) {
+    const sum = { brokerage: 0, stt: 0, exchange: 0, sebi: 0, gst: 0, stampDuty: 0 };
+    orders.forEach((order) => {
+      const charges = orderCharges(order, profile);
+      Object.keys(sum).forEach((key) => {
+        sum[key] += charges[key];
+      });
+    });
+
+    const result = {};
+    Object.keys(sum).forEach((key) => {
+      result[key] = round(sum[key]);
+    });
+    result.total = round(Object.values(sum).reduce((total, value) => total + value, 0));
+    return result;
+  }
+
+  /**
+   * Charges on a whole position, with the open quantity closed at the
+   * current premium: { brokerage, stt, exchange, sebi, gst, stampDuty,
+   * total } in rupees
+   */
+  function calculateCharges(option, profile = getProfile(option.broker)) {
+    return totalCharges(positionOrders(option, option.currentPrice), profile);
+  }
+
+  /**
+   * The premium at which closing the open quantity leaves the position
+   * flat after every charge - above the entry for a buyer, below it for a
+   * seller. Realized P&L from earlier exits counts towards it. null once
+   * nothing is open.
+   */
+  function breakevenPrice(option, profile = getProfile(option.broker)) {
+    const openQuantity = option.openQuantity !== undefined ? option.openQuantity : option.quantity;
+    if (!(openQuantity > 0)) return null;
+
+    const direction = option.side === 'SELL' ? -1 : 1;
+    const realized = (option.exits || []).reduce((sum, exit) => sum + exit.pnl, 0);
+    // Charges barely move with the closing premium, so a few rounds settle it
+    let price = option.entryPrice;
+    for (let i = 0; i < 5; i++) {
+      const charges = totalCharges(positionOrders(option, price), profile).total;
+      price = Math.max(0, option.entryPrice + direction * (charges - realized) / openQuantity);
+    }
+    return round(price);
+  }
+
+  return {
+    RATES,
+    BROKER_PROFILES,
+    DEFAULT_PROFILE,
+    getProfile,
+    orderCharges,
+    calculateCharges,
+    breakevenPrice
+  };
+});
@@ -0,0 +1,169 @@
+/**
+ * SENSEX option contract rules shared by the browser and the API server:
+ * strike steps, lot size, weekly/monthly expiry dates and the intrinsic
+ * value an option settles at on expiry.
+ *
+ * Dates are exchange dates in IST written as 'YYYY-MM-DD'. A contract
+ * expires at the 15:30 IST close of its expiry day. When a market
+ * calendar is supplied (useCalendar), an expiry that falls on an exchange
+ * holiday moves to the previous trading day.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SensexContract = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const STRIKE_STEP = 100;
+  const LOT_SIZE = 20;
+  const EXPIRY_WEEKDAY = 4; // Thursday
+  const EXPIRY_TYPES = ['WEEKLY', 'MONTHLY'];
+  const IST_OFFSET_MS = 330 * 60 * 1000;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let calendar = null;
+
+  /**
+   * Shift expiries off exchange holidays using a market calendar
+   * (market-calendar.js). Pass null to go back to plain weekdays.
+   */
+  function useCalendar(marketCalendar) {
+    calendar = marketCalendar;
+  }
+
+  /**
+   * Calendar date in IST for a moment in time, as 'YYYY-MM-DD'
+   */
+  function toIstDate(date = new Date()) {
+    return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Moment a contract expiring on `expiry` stops trading (15:30 IST)
+   */
+  function expiryTime(expiry) {
+    return new Date(`${expiry}T15:30:00+05:30`);
+  }
+
+  function addDays(isoDate, days) {
+    return new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  function weekday(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+  }
+
+  /**
+   * Last expiry weekday of the month that isoDate falls in
+   */
+  function monthlyExpiryFor(isoDate) {
+    const [year, month] = isoDate.split('-').map(Number);
+    let day = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+    while (weekday(day) !== EXPIRY_WEEKDAY) {
+      day = addDays(day, -1);
+    }
+    return day;
+  }
+
+  /**
+   * Upcoming expiry dates of a type that have not closed yet at `from`
+   */
+  function listExpiries(expiryType = 'WEEKLY', from = new Date(), count = 4) {
+    const expiries = [];
+    let day = toIstDate(from);
+
+    while (expiries.length < count) {
+      const isExpiryDay = expiryType === 'MONTHLY'
+        ? day === monthlyExpiryFor(day)
+        : weekday(day) === EXPIRY_WEEKDAY;
+
+      if (isExpiryDay) {
+        const expiry = calendar ? calendar.previousTradingDay(day) : day;
+        if (expiryTime(expiry) > from && !expiries.includes(expiry)) {
+          expiries.push(expiry);
+        }
+      }
+      day = addDays(day, 1);
+    }
+    return expiries;
+  }
+
+  /**
+   * Nearest expiry of a type that is still trading
+   */
+  function nextExpiry(expiryType = 'WEEKLY', from = new Date()) {
+    return listExpiries(expiryType, from, 1)[0];
+  }
+
+  function isExpired(option, now = new Date()) {
+    return Boolean(option.expiry) && now >= expiryTime(option.expiry);
+  }
+
+  /**
+   * Value of the option at a given SENSEX spot if exercised now
+   */
+  function intrinsicValue(optionType, strike, spot) {
+    return optionType === 'CALL'
+      ? Math.max(0, spot - strike)
+      : Math.max(0, strike - spot);
+  }
+
+  /**
+   * Check contract fields. Returns a list of problems, empty when valid.
+   * Fields: { optionType, strike, quantity, lotSize, expiry, expiryType }
+   */
+  function validateContract(fields, now = new Date()) {
+    const problems = [];
+    const lotSize = fields.lotSize || LOT_SIZE;
+
+    if (!['CALL', 'PUT'].includes(fields.optionType)) {
+      problems.push('Option type must be CALL or PUT');
+    }
+    if (!Number.isFinite(fields.strike) || fields.strike <= 0 || fields.strike % STRIKE_STEP !== 0) {
+      problems.push(`Strike must be a multiple of ${STRIKE_STEP}`);
+    }
+    if (!Number.isInteger(fields.quantity) || fields.quantity <= 0 || fields.quantity % lotSize !== 0) {
+      problems.push(`Quantity must be a whole number of lots of ${lotSize}`);
+    }
+    if (!EXPIRY_TYPES.includes(fields.expiryType)) {
+      problems.push('Expiry type must be WEEKLY or MONTHLY');
+    } else if (!/^\d{4}-\d{2}-\d{2}$/.test(fields.expiry || '')) {
+      problems.push('Expiry must be a date (YYYY-MM-DD)');
+    } else if (expiryTime(fields.expiry) <= now) {
+      problems.push('Expiry has already passed');
+    } else if (!listExpiries(fields.expiryType, now, 60).includes(fields.expiry)) {
+      problems.push(`${fields.expiry} is not a ${fields.expiryType.toLowerCase()} SENSEX expiry`);
+    }
+    return problems;
+  }
+
+  /**
+   * Exchange-style contract name, e.g. "SENSEX 23 OCT 75000 CE"
+   */
+  function contractName(option) {
+    const suffix = option.optionType === 'CALL' ? 'CE' : 'PE';
+    if (!option.expiry) {
+      return `SENSEX ${option.strike} ${suffix}`;
+    }
+    const date = new Date(`${option.expiry}T00:00:00Z`);
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    const month = date.toLocaleString('en-US', { month: 'short', timeZone: 'UTC' }).toUpperCase();
+    return `SENSEX ${day} ${month} ${option.strike} ${suffix}`;
+  }
+
+  return {
+    STRIKE_STEP,
+    LOT_SIZE,
+    EXPIRY_TYPES,
+    useCalendar,
+    toIstDate,
+    expiryTime,
+    listExpiries,
+    nextExpiry,
+    isExpired,
+    intrinsicValue,
+    validateContract,
+    contractName
+  };
+});
@@ -0,0 +1,1076 @@
+// ============================================================
+// DATA SOURCES - localStorage or the Express API behind one interface
+// ============================================================
+//
+// Every data source exposes the same async methods, so the UI in app.js
+// never needs to know where positions live:
+//
+//   list()                  -> [option]
+//   create(fields)          -> option  (RiskLimitError past the daily loss limit unless fields.acceptRisk)
+//   updatePrice(id, price)  -> option
+//   updatePrices(prices)    -> [option]  (prices: [{ id, currentPrice }]; none change unless all are found)
+//   exit(id, lots?)         -> option  (lots: { quantity, price? } scales out)
+//   edit(id, changes)       -> option  (changes: { trailingPercent?, strategy?, addLots?, price? })
+//   remove(id)              -> option  (moved to the trash)
+//   undo()                  -> { undone, option } or { undone, group }  (the last exit or removal, see history.js)
+//   trash()                 -> [option]  removed options, latest first
+//   restore(id)             -> option  (back out of the trash)
+//   groupTrash()            -> [group]  removed multi-leg positions, latest first
+//   restoreGroup(id)        -> group  (back out of the trash)
+//   setModelPricing(id, on) -> option
+//   setAlertsMuted(id, on)  -> option
+//   groups()                -> [group]  (multi-leg positions, groups.js)
+//   createGroup(fields)     -> group
+//   updateGroupPrices(id, prices) -> group  (prices: one per leg)
+//   exitGroup(id, prices?)  -> group  (closes every leg)
+//   removeGroup(id)         -> group  (moved to the trash)
+//   analytics(filters?)     -> closed-trade analytics (analytics.js), filters { from, to }
+//   backtest(request)       -> trailing rule replay (backtest.js), request { data, ...settings }
+//   settings()              -> risk settings (risk.js)
+//   saveSettings(settings)  -> risk settings as saved
+//   webhooks()              -> alert webhook URLs, or null where only the browser alerts
+//   saveWebhooks(urls)      -> webhook URLs as saved
+//   exportData(format)      -> export file contents ('json' or 'csv')
+//   importData(text, opts)  -> import summary, opts { onDuplicate, dryRun }
+//   candles(timeframe, n)   -> latest SENSEX candles ([] when the browser must build its own)
+//   live()                  -> market data shaped like the server's liveDataCache
+//   calendar()              -> exchange calendar files for market-calendar.js
+//   subscribe(handlers)     -> close function, or null when updates must be polled
+//   applyMarket(market)     -> number of options settled or model-priced
+//   sync()                  -> replay anything waiting to be sent
+//   pendingCount()          -> number of queued mutations
+//
+// The server keeps one portfolio per account. signIn() stores the session
+// token in localStorage and apiRequest() sends it with every call. The
+// cached portfolio and the offline queue belong to the account last signed
+// in; another account's queued changes wait until it signs in again.
+
+const DATA_MODE_KEY = 'sensex_tracker_mode';
+const SERVER_CACHE_KEY = 'sensex_tracker_server_cache';
+const SERVER_GROUPS_CACHE_KEY = 'sensex_tracker_server_groups';
+const SYNC_QUEUE_KEY = 'sensex_tracker_queue';
+const MIGRATED_KEY = 'sensex_tracker_migrated';
+const SESSION_KEY = 'sensex_tracker_session';
+const ACCOUNT_KEY = 'sensex_tracker_account';
+const RISK_SETTINGS_KEY = 'sensex_tracker_risk_settings';
+const SERVER_SETTINGS_KEY = 'sensex_tracker_server_settings';
+const LOCAL_EVENTS_KEY = 'sensex_tracker_events';
+const LOCAL_TRASH_KEY = 'sensex_tracker_trash';
+const LOCAL_GROUP_TRASH_KEY = 'sensex_tracker_group_trash';
+const API_BASE = window.SENSEX_API_BASE || '';
+const PROBE_TIMEOUT_MS = 3000;
+
+/**
+ * Error raised when the server answered with a non-2xx status. `code` is
+ * the error body's code (e.g. DAILY_LOSS_LIMIT), when it had one.
+ */
+class ApiError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * The signed-in session ({ token, expiresAt, user }), or null
+ */
+function getSession() {
+  try {
+    const data = localStorage.getItem(SESSION_KEY);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sign in or create an account ('login' or 'register') on the server
+ */
+async function signIn(mode, username, password) {
+  const session = await apiRequest('POST', `/api/auth/${mode}`, { username, password });
+  if (localStorage.getItem(ACCOUNT_KEY) !== session.user.id) {
+    // The cached portfolio is someone else's; their queue stays under their id
+    [SERVER_CACHE_KEY, SERVER_GROUPS_CACHE_KEY, SERVER_SETTINGS_KEY]
+      .forEach(key => localStorage.removeItem(key));
+    localStorage.setItem(ACCOUNT_KEY, session.user.id);
+  }
+  localStorage.setItem(SESSION_KEY, JSON.stringify({
+    token: session.token,
+    expiresAt: session.expiresAt,
+    user: session.user
+  }));
+  return session.user;
+}
+
+/**
+ * End the session and forget the cached portfolio and anything still
+ * queued for it, so the next account starts clean
+ */
+async function signOut() {
+  try {
+    await apiRequest('POST', '/api/auth/logout');
+  } catch (error) {
+    console.warn('Sign-out did not reach the server:', error.message);
+  }
+  [SESSION_KEY, SERVER_CACHE_KEY, SERVER_GROUPS_CACHE_KEY, SERVER_SETTINGS_KEY, queueKey(), ACCOUNT_KEY]
+    .forEach(key => localStorage.removeItem(key));
+}
+
+/**
+ * Where the offline queue of the account last signed in is kept
+ */
+function queueKey() {
+  const account = localStorage.getItem(ACCOUNT_KEY);
+  return account ? `${SYNC_QUEUE_KEY}_${account}` : SYNC_QUEUE_KEY;
+}
+
+function authHeaders() {
+  const session = getSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+}
+
+function readJson(key, fallback) {
+  try {
+    const data = localStorage.getItem(key);
+    return data ? JSON.parse(data) : fallback;
+  } catch (error) {
+    console.error(`Error reading ${key} from localStorage:`, error);
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error saving ${key} to localStorage:`, error);
+  }
+}
+
+/**
+ * Apply a mutation to one option inside a stored list
+ */
+function mutateStoredOption(options, id, mutate) {
+  const option = options.find(opt => opt.id === parseInt(id));
+  if (!option) {
+    throw new ApiError('Option not found', 404);
+  }
+  return mutate(option);
+}
+
+/**
+ * Apply a mutation to one multi-leg group inside a stored list
+ */
+function mutateStoredGroup(groups, id, mutate) {
+  const group = groups.find(item => item.id === parseInt(id));
+  if (!group) {
+    throw new ApiError('Group not found', 404);
+  }
+  return mutate(group);
+}
+
+/**
+ * Exit everything, or just `lots.quantity` when scaling out
+ */
+function applyExitLots(option, lots) {
+  if (!lots) {
+    return SensexStoploss.applyExit(option);
+  }
+  const price = lots.price !== undefined ? lots.price : option.currentPrice;
+  return SensexStoploss.applyPartialExit(option, lots.quantity, price);
+}
+
+/**
+ * Calendar files shipped next to the page (data/bse-calendar-YYYY.json)
+ * for this year and next. Missing years are skipped.
+ */
+async function fetchStaticCalendars() {
+  const year = new Date().getFullYear();
+  const files = await Promise.all([year, year + 1].map(async (y) => {
+    try {
+      const response = await fetch(`data/bse-calendar-${y}.json`);
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      return null;
+    }
+  }));
+  return files.filter(Boolean);
+}
+
+/**
+ * Risk settings saved under `key`, completed with the defaults
+ */
+function readRiskSettings(key) {
+  try {
+    return SensexRisk.normalizeSettings(JSON.parse(localStorage.getItem(key)) || {});
+  } catch (error) {
+    console.error('Error reading risk settings:', error);
+    return { ...SensexRisk.DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Refuse a new position that could take the day past the daily loss limit
+ */
+function checkNewPosition(options, option, fields, settings) {
+  if (!fields.acceptRisk) {
+    SensexRisk.assertWithinDailyLoss(options, option, settings.dailyLossLimit);
+  }
+}
+
+function exportOptions(options, format) {
+  return format === 'csv' ? SensexTransfer.exportCsv(options) : SensexTransfer.exportJson(options);
+}
+
+/**
+ * Browser-only data source backed by localStorage. Like the server it
+ * keeps an event log of every change to an option (history.js) next to
+ * the options themselves, and a trash for removed ones. Multi-leg groups
+ * log their exits and removals and have a trash of their own.
+ */
+function createLocalDataSource() {
+  const getLog = () => readJson(LOCAL_EVENTS_KEY, []);
+  const getTrash = () => readJson(LOCAL_TRASH_KEY, []);
+  const getGroupTrash = () => readJson(LOCAL_GROUP_TRASH_KEY, []);
+
+  function mutate(id, mutation) {
+    const options = getTrackedOptions();
+    const option = mutateStoredOption(options, id, mutation);
+    saveTrackedOptions(options);
+    return option;
+  }
+
+  // Number an event and append it to the log
+  function record(event) {
+    const log = getLog();
+    const lastId = log.length > 0 ? log[log.length - 1].id : 0;
+    writeJson(LOCAL_EVENTS_KEY, [...log, { id: lastId + 1, ...event }]);
+  }
+
+  function change(id, type, data) {
+    const event = SensexHistory.createEvent(type, parseInt(id), data);
+    const option = mutate(id, opt => SensexHistory.applyEvent(opt, event));
+    record(event);
+    return option;
+  }
+
+  // Replay an option with `event` added to its log, then file it with the
+  // tracked options or in the trash
+  function replay(id, event) {
+    const option = SensexHistory.rebuild([...getLog().filter(logged => logged.optionId === id), event]);
+    record(event);
+
+    const options = getTrackedOptions().filter(opt => opt.id !== id);
+    const trash = getTrash().filter(opt => opt.id !== id);
+    (option.deletedAt ? trash : options).push(option);
+    saveTrackedOptions(options);
+    writeJson(LOCAL_TRASH_KEY, trash);
+    return option;
+  }
+
+  // Positions saved before the log existed start it from a snapshot
+  const logged = new Set(getLog().map(event => event.optionId));
+  [...getTrackedOptions(), ...getTrash()]
+    .filter(option => !logged.has(option.id))
+    .forEach(option => record(SensexHistory.createEvent('SNAPSHOT', option.id, { option })));
+
+  function mutateGroup(id, mutation) {
+    const groups = getTrackedGroups();
+    const group = mutateStoredGroup(groups, id, mutation);
+    saveTrackedGroups(groups);
+    return group;
+  }
+
+  // Put a group back as it was before a logged exit or removal, out of the
+  // trash if it is there, and log the undo
+  function restoreGroupBefore(event) {
+    const group = event.data.group;
+    writeJson(LOCAL_GROUP_TRASH_KEY, getGroupTrash().filter(removed => removed.id !== event.groupId));
+    saveTrackedGroups([...getTrackedGroups().filter(tracked => tracked.id !== event.groupId), group]);
+    record(SensexHistory.createGroupEvent('UNDONE', event.groupId, { eventId: event.id }));
+    return group;
+  }
+
+  return {
+    name: 'local',
+
+    async list() {
+      return getTrackedOptions();
+    },
+
+    async create(fields) {
+      const option = SensexStoploss.createOption(fields);
+      const options = getTrackedOptions();
+      checkNewPosition(options, option, fields, readRiskSettings(RISK_SETTINGS_KEY));
+      options.push(option);
+      saveTrackedOptions(options);
+      record(SensexHistory.createEvent('CREATED', option.id, { option }, new Date(option.createdAt)));
+      return option;
+    },
+
+    async updatePrice(id, price) {
+      return change(id, 'PRICE_UPDATED', { price });
+    },
+
+    async updatePrices(prices) {
+      const ids = new Set(getTrackedOptions().map(option => option.id));
+      if (!prices.every(({ id }) => ids.has(parseInt(id)))) {
+        throw new ApiError('Option not found', 404);
+      }
+      return prices.map(({ id, currentPrice }) => change(id, 'PRICE_UPDATED', { price: currentPrice }));
+    },
+
+    async exit(id, lots) {
+      return change(id, 'EXITED', lots || {});
+    },
+
+    async edit(id, changes) {
+      return change(id, 'EDITED', changes);
+    },
+
+    async remove(id) {
+      const options = getTrackedOptions();
+      const index = options.findIndex(opt => opt.id === parseInt(id));
+      if (index === -1) {
+        throw new ApiError('Option not found', 404);
+      }
+      const [removed] = options.splice(index, 1);
+      const event = SensexHistory.createEvent('REMOVED', removed.id);
+      SensexHistory.applyEvent(removed, event);
+      saveTrackedOptions(options);
+      writeJson(LOCAL_TRASH_KEY, [...getTrash(), removed]);
+      record(event);
+      return removed;
+    },
+
+    async undo() {
+      const undone = SensexHistory.undoable(getLog());
+      if (!undone) {
+        throw new ApiError('Nothing to undo', 404);
+      }
+      if (undone.groupId) {
+        return { undone, group: restoreGroupBefore(undone) };
+      }
+      const option = replay(undone.optionId, SensexHistory.createEvent('UNDONE', undone.optionId, { eventId: undone.id }));
+      return { undone, option };
+    },
+
+    async trash() {
+      return getTrash().sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    },
+
+    async restore(id) {
+      const optionId = parseInt(id);
+      const removal = getTrash().some(opt => opt.id === optionId) && SensexHistory.removalOf(getLog(), optionId);
+      if (!removal) {
+        throw new ApiError('Option not found', 404);
+      }
+      return replay(optionId, SensexHistory.createEvent('UNDONE', optionId, { eventId: removal.id }));
+    },
+
+    async setModelPricing(id, enabled) {
+      return change(id, 'MODEL_PRICING', { enabled });
+    },
+
+    async setAlertsMuted(id, muted) {
+      return change(id, 'ALERTS_MUTED', { muted });
+    },
+
+    async groups() {
+      return getTrackedGroups();
+    },
+
+    async createGroup(fields) {
+      const group = SensexGroups.createGroup(fields);
+      if (getGroupTrash().some(removed => removed.id === group.id)) {
+        throw new ApiError('Group already exists', 409);
+      }
+      saveTrackedGroups([...getTrackedGroups(), group]);
+      return group;
+    },
+
+    async updateGroupPrices(id, prices) {
+      return mutateGroup(id, group => SensexGroups.applyGroupPrices(group, prices));
+    },
+
+    async exitGroup(id, prices) {
+      let event;
+      const exited = mutateGroup(id, (group) => {
+        event = SensexHistory.createGroupEvent('GROUP_EXITED', group.id, { group });
+        return SensexGroups.applyGroupExit(group, prices);
+      });
+      record(event);
+      return exited;
+    },
+
+    async removeGroup(id) {
+      const groups = getTrackedGroups();
+      const index = groups.findIndex(group => group.id === parseInt(id));
+      if (index === -1) {
+        throw new ApiError('Group not found', 404);
+      }
+      const [removed] = groups.splice(index, 1);
+      const event = SensexHistory.createGroupEvent('GROUP_REMOVED', removed.id, { group: removed });
+      removed.deletedAt = event.at;
+      saveTrackedGroups(groups);
+      writeJson(LOCAL_GROUP_TRASH_KEY, [...getGroupTrash(), removed]);
+      record(event);
+      return removed;
+    },
+
+    async groupTrash() {
+      return getGroupTrash().sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    },
+
+    async restoreGroup(id) {
+      const groupId = parseInt(id);
+      const removal = getGroupTrash().some(group => group.id === groupId)
+        && SensexHistory.groupRemovalOf(getLog(), groupId);
+      if (!removal) {
+        throw new ApiError('Group not found', 404);
+      }
+      return restoreGroupBefore(removal);
+    },
+
+    async analytics(filters) {
+      return SensexAnalytics.analyzeTrades(getTrackedOptions(), filters);
+    },
+
+    async backtest({ data, ...settings }) {
+      return SensexBacktest.backtest(data, settings);
+    },
+
+    async settings() {
+      return readRiskSettings(RISK_SETTINGS_KEY);
+    },
+
+    async saveSettings(settings) {
+      const saved = SensexRisk.normalizeSettings(settings);
+      localStorage.setItem(RISK_SETTINGS_KEY, JSON.stringify(saved));
+      return saved;
+    },
+
+    // Webhooks are posted by the API server
+    async webhooks() {
+      return null;
+    },
+
+    async saveWebhooks() {
+      throw new Error('Alert webhooks need the server');
+    },
+
+    async exportData(format) {
+      return exportOptions(getTrackedOptions(), format);
+    },
+
+    async candles() {
+      return [];
+    },
+
+    async importData(text, { onDuplicate, dryRun } = {}) {
+      const options = getTrackedOptions();
+      const plan = SensexTransfer.planImport(options, SensexTransfer.parseImport(text), {
+        onDuplicate,
+        reservedIds: getTrash().map(option => option.id)
+      });
+
+      if (!dryRun) {
+        plan.replace.forEach((option) => {
+          options[options.findIndex(opt => opt.id === option.id)] = option;
+        });
+        saveTrackedOptions([...options, ...plan.insert]);
+        [...plan.replace, ...plan.insert]
+          .forEach(option => record(SensexHistory.createEvent('SNAPSHOT', option.id, { option })));
+      }
+      return { dryRun: Boolean(dryRun), ...SensexTransfer.summarizePlan(plan) };
+    },
+
+    async live() {
+      return generateLiveData();
+    },
+
+    async calendar() {
+      return fetchStaticCalendars();
+    },
+
+    subscribe() {
+      return null;
+    },
+
+    // Without a server the browser applies model prices itself. It settles
+    // expiries only on a quote from a real feed (market.live), which its
+    // own simulated data never is, so expired positions wait to be exited.
+    async applyMarket(market) {
+      const options = getTrackedOptions();
+      const changes = options.map(option => SensexHistory.marketEvent(option, market)).filter(Boolean);
+      changes.forEach((event) => {
+        mutateStoredOption(options, event.optionId, option => SensexHistory.applyEvent(option, event));
+      });
+      if (changes.length > 0) {
+        saveTrackedOptions(options);
+        changes.forEach(record);
+      }
+
+      const groups = getTrackedGroups();
+      const settled = market.live === true
+        ? groups.filter(group => SensexGroups.settleGroupAtExpiry(group, Number(market.sensex))).length
+        : 0;
+      if (settled > 0) {
+        saveTrackedGroups(groups);
+      }
+      return changes.length + settled;
+    },
+
+    async sync() {},
+
+    pendingCount() {
+      return 0;
+    }
+  };
+}
+
+/**
+ * Data source backed by the Express API in server.js.
+ *
+ * The last server response is cached so the UI keeps working offline.
+ * Mutations that cannot reach the server are applied to that cache right
+ * away and queued in localStorage; the queue is replayed in order on the
+ * next successful contact. Anything queued after a failure waits behind it
+ * so the server always sees changes in the order they were made. Only an
+ * entry the server turns down for good (a 4xx other than 401) is dropped,
+ * and the user is told. An expired session pauses the queue like being
+ * offline until the same account signs in again.
+ */
+function createServerDataSource() {
+  let flushing = null;
+
+  // Caches and a queue kept from before accounts were remembered belong
+  // to whoever is signed in now
+  const session = getSession();
+  if (session && !localStorage.getItem(ACCOUNT_KEY)) {
+    localStorage.setItem(ACCOUNT_KEY, session.user.id);
+    const legacy = localStorage.getItem(SYNC_QUEUE_KEY);
+    if (legacy) {
+      localStorage.setItem(queueKey(), legacy);
+      localStorage.removeItem(SYNC_QUEUE_KEY);
+    }
+  }
+
+  // Cached server copies, by the key mutation responses carry them under
+  const CACHE_KEYS = { option: SERVER_CACHE_KEY, options: SERVER_CACHE_KEY, group: SERVER_GROUPS_CACHE_KEY };
+  const getCache = (kind = 'option') => readJson(CACHE_KEYS[kind], []);
+  const saveCache = (docs, kind = 'option') => writeJson(CACHE_KEYS[kind], docs);
+  const getQueue = () => readJson(queueKey(), []);
+  const saveQueue = (queue) => writeJson(queueKey(), queue);
+
+  let signingIn = null;
+
+  /**
+   * The session ran out with changes still queued: ask for a sign-in once,
+   * then send them
+   */
+  function reauthenticate() {
+    if (!signingIn) {
+      signingIn = promptSignIn().then((signedIn) => {
+        signingIn = null;
+        if (signedIn) sync();
+      });
+    }
+  }
+
+  /**
+   * Whether a failed call should fall back to the cache and the queue:
+   * the server is unreachable, or the session has expired (which asks
+   * for a sign-in)
+   */
+  function isPaused(error) {
+    if (error instanceof ApiError && error.status === 401) {
+      reauthenticate();
+      return true;
+    }
+    return !(error instanceof ApiError);
+  }
+
+  function reportDropped(dropped) {
+    if (dropped.length === 0) return;
+    const count = dropped.length === 1 ? 'A change' : `${dropped.length} changes`;
+    showNotification(`${count} made offline could not be saved: ${dropped[0]}`, 'error');
+  }
+
+  // The server swaps an id chosen here for a fresh one when it is taken;
+  // later queued changes to that position follow it
+  function followNewId(queue, entry, result) {
+    const doc = result && (result.option || result.group);
+    if (entry.method !== 'POST' || !entry.body || entry.body.id === undefined || !doc || doc.id === entry.body.id) {
+      return;
+    }
+    const base = result.option ? '/api/options' : '/api/groups';
+    const path = new RegExp(`^${base}/${entry.body.id}(?=/|$)`);
+    queue.forEach((queued) => {
+      queued.path = queued.path.replace(path, `${base}/${doc.id}`);
+      if (result.option && queued.body && Array.isArray(queued.body.prices)) {
+        queued.body.prices.forEach((price) => {
+          if (price && price.id === entry.body.id) price.id = doc.id;
+        });
+      }
+    });
+  }
+
+  async function flush() {
+    const queue = getQueue();
+    const dropped = [];
+
+    while (queue.length > 0) {
+      const entry = queue[0];
+      try {
+        followNewId(queue, entry, await apiRequest(entry.method, entry.path, entry.body));
+      } catch (error) {
+        // Still offline, a server-side failure (e.g. the file store lock
+        // timed out) or an expired session: keep this entry and the rest
+        // for later
+        if (!(error instanceof ApiError) || error.status === 401 || error.status >= 500) {
+          saveQueue(queue);
+          reportDropped(dropped);
+          if (error.status === 401) reauthenticate();
+          return false;
+        }
+        // The server rejected it (e.g. the option was removed elsewhere).
+        // The server is the source of truth, so drop the entry and say so.
+        console.warn(`Dropped queued ${entry.method} ${entry.path}:`, error.message);
+        dropped.push(error.message);
+      }
+      queue.shift();
+      saveQueue(queue);
+    }
+    reportDropped(dropped);
+    return true;
+  }
+
+  function sync() {
+    // Never replay the same queue twice in parallel
+    if (!flushing) {
+      flushing = flush().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  /**
+   * Send a mutation, or apply it locally and queue it when offline.
+   * `kind` is 'option', 'options' (a batch) or 'group': which cache it
+   * changes and where the response carries what changed.
+   */
+  async function mutate(method, path, body, applyLocally, kind = 'option') {
+    const flushed = await sync();
+
+    if (flushed) {
+      try {
+        const result = await apiRequest(method, path, body);
+        return result[kind];
+      } catch (error) {
+        if (!isPaused(error)) throw error;
+      }
+    }
+
+    const cache = getCache(kind);
+    const doc = applyLocally(cache);
+    saveCache(cache, kind);
+    saveQueue([...getQueue(), { method, path, body, queuedAt: new Date().toISOString() }]);
+    return doc;
+  }
+
+  return {
+    name: 'server',
+
+    async list() {
+      await sync();
+      try {
+        const options = await apiRequest('GET', '/api/options');
+        // Only trust the server copy once nothing local is waiting to go up
+        if (getQueue().length === 0) {
+          saveCache(options);
+          return options;
+        }
+      } catch (error) {
+        if (!isPaused(error)) throw error;
+      }
+      return getCache();
+    },
+
+    async create(fields) {
+      // The id is chosen here so queued follow-up updates can refer to it
+      const body = { ...fields, id: Date.now() };
+      return mutate('POST', '/api/track', body, (cache) => {
+        const option = SensexStoploss.createOption(body);
+        checkNewPosition(cache, option, body, readRiskSettings(SERVER_SETTINGS_KEY));
+        cache.push(option);
+        return option;
+      });
+    },
+
+    async updatePrice(id, price) {
+      return mutate('PUT', `/api/options/${id}`, { currentPrice: price },
+        cache => mutateStoredOption(cache, id, option => SensexStoploss.applyPriceUpdate(option, price)));
+    },
+
+    async exit(id, lots) {
+      return mutate('POST', `/api/options/${id}/exit`, lots,
+        cache => mutateStoredOption(cache, id, option => applyExitLots(option, lots)));
+    },
+
+    async updatePrices(prices) {
+      return mutate('PUT', '/api/options', { prices }, cache => prices.map(({ id, currentPrice }) => (
+        mutateStoredOption(cache, id, option => SensexStoploss.applyPriceUpdate(option, currentPrice))
+      )), 'options');
+    },
+
+    async edit(id, changes) {
+      return mutate('PATCH', `/api/options/${id}`, changes,
+        cache => mutateStoredOption(cache, id, option => SensexStoploss.applyEdit(option, changes)));
+    },
+
+    async remove(id) {
+      return mutate('DELETE', `/api/options/${id}`, undefined, (cache) => {
+        const index = cache.findIndex(opt => opt.id === parseInt(id));
+        if (index === -1) {
+          throw new ApiError('Option not found', 404);
+        }
+        return cache.splice(index, 1)[0];
+      });
+    },
+
+    // Undo and the trash need the server so every device sees the same history
+    async undo() {
+      await sync();
+      const { undone, option, group } = await apiRequest('POST', '/api/undo');
+      return group ? { undone, group } : { undone, option };
+    },
+
+    async trash() {
+      await sync();
+      return apiRequest('GET', '/api/trash');
+    },
+
+    async restore(id) {
+      await sync();
+      return (await apiRequest('POST', `/api/trash/${id}/restore`)).option;
+    },
+
+    async groupTrash() {
+      await sync();
+      return apiRequest('GET', '/api/trash/groups');
+    },
+
+    async restoreGroup(id) {
+      await sync();
+      return (await apiRequest('POST', `/api/trash/groups/${id}/restore`)).group;
+    },
+
+    async setModelPricing(id, enabled) {
+      return mutate('POST', `/api/options/${id}/model-pricing`, { enabled },
+        cache => mutateStoredOption(cache, id, (option) => {
+          option.modelPricing = enabled;
+          return option;
+        }));
+    },
+
+    async setAlertsMuted(id, muted) {
+      return mutate('POST', `/api/options/${id}/alerts`, { muted },
+        cache => mutateStoredOption(cache, id, (option) => {
+          option.alertsMuted = muted;
+          return option;
+        }));
+    },
+
+    async groups() {
+      await sync();
+      try {
+        const groups = await apiRequest('GET', '/api/groups');
+        if (getQueue().length === 0) {
+          saveCache(groups, 'group');
+          return groups;
+        }
+      } catch (error) {
+        if (!isPaused(error)) throw error;
+      }
+      return getCache('group');
+    },
+
+    async createGroup(fields) {
+      const body = { ...fields, id: Date.now() };
+      return mutate('POST', '/api/groups', body, (cache) => {
+        const group = SensexGroups.createGroup(body);
+        cache.push(group);
+        return group;
+      }, 'group');
+    },
+
+    async updateGroupPrices(id, prices) {
+      return mutate('PUT', `/api/groups/${id}`, { prices },
+        cache => mutateStoredGroup(cache, id, group => SensexGroups.applyGroupPrices(group, prices)), 'group');
+    },
+
+    async exitGroup(id, prices) {
+      return mutate('POST', `/api/groups/${id}/exit`, prices ? { prices } : undefined,
+        cache => mutateStoredGroup(cache, id, group => SensexGroups.applyGroupExit(group, prices)), 'group');
+    },
+
+    async removeGroup(id) {
+      return mutate('DELETE', `/api/groups/${id}`, undefined, (cache) => {
+        const index = cache.findIndex(group => group.id === parseInt(id));
+        if (index === -1) {
+          throw new ApiError('Group not found', 404);
+        }
+        return cache.splice(index, 1)[0];
+      }, 'group');
+    },
+
+    async analytics(filters = {}) {
+      const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+      try {
+        return await apiRequest('GET', `/api/analytics${query ? `?${query}` : ''}`);
+      } catch (error) {
+        if (error instanceof ApiError) throw error;
+        return SensexAnalytics.analyzeTrades(getCache(), filters);
+      }
+    },
+
+    async backtest(request) {
+      try {
+        return await apiRequest('POST', '/api/backtest', request);
+      } catch (error) {
+        if (error instanceof ApiError) throw error;
+        const { data, ...settings } = request;
+        return SensexBacktest.backtest(data, settings);
+      }
+    },
+
+    async settings() {
+      try {
+        const settings = await apiRequest('GET', '/api/settings');
+        writeJson(SERVER_SETTINGS_KEY, settings);
+        return settings;
+      } catch (error) {
+        if (!isPaused(error)) throw error;
+        return readRiskSettings(SERVER_SETTINGS_KEY);
+      }
+    },
+
+    // Settings are not a document in the caches, so they queue on their own
+    async saveSettings(settings) {
+      const saved = SensexRisk.normalizeSettings(settings);
+      writeJson(SERVER_SETTINGS_KEY, saved);
+      if (await sync()) {
+        try {
+          return (await apiRequest('PUT', '/api/settings', saved)).settings;
+        } catch (error) {
+          if (!isPaused(error)) throw error;
+        }
+      }
+      saveQueue([...getQueue(), { method: 'PUT', path: '/api/settings', body: saved, queuedAt: new Date().toISOString() }]);
+      return saved;
+    },
+
+    async webhooks() {
+      try {
+        return (await apiRequest('GET', '/api/webhooks')).urls;
+      } catch (error) {
+        if (!isPaused(error)) throw error;
+        return null;
+      }
+    },
+
+    async saveWebhooks(urls) {
+      return (await apiRequest('PUT', '/api/webhooks', { urls })).urls;
+    },
+
+    // Exports come from the server; offline, the cached copy is exported
+    async exportData(format) {
+      try {
+        const response = await fetch(`${API_BASE}/api/export?format=${format}`, { headers: authHeaders() });
+        if (!response.ok) {
+          throw new ApiError(`Export failed (${response.status})`, response.status);
+        }
+        return await response.text();
+      } catch (error) {
+        if (error instanceof ApiError) throw error;
+        return exportOptions(getCache(), format);
+      }
+    },
+
+    async candles(timeframe, limit) {
+      const result = await apiRequest('GET', `/api/candles?timeframe=${timeframe}&limit=${limit}`);
+      return result.candles;
+    },
+
+    // Imports need the server so every device sees the same result
+    async importData(text, { onDuplicate, dryRun } = {}) {
+      await sync();
+      return apiRequest('POST', '/api/import', { data: text, onDuplicate, dryRun });
+    },
+
+    async live() {
+      try {
+        return await apiRequest('GET', '/api/live');
+      } catch (error) {
+        return generateLiveData();
+      }
+    },
+
+    async calendar() {
+      try {
+        return await apiRequest('GET', '/api/market/calendar');
+      } catch (error) {
+        return fetchStaticCalendars();
+      }
+    },
+
+    /**
+     * Listen to GET /api/stream.
+     * handlers: { onOpen(), onLive(data), onOption(event), onGroup(event), onError(closed) }
+     */
+    subscribe({ onOpen, onLive, onOption, onGroup, onError }) {
+      if (typeof EventSource === 'undefined') return null;
+
+      // EventSource cannot send headers, so the token goes in the URL
+      const session = getSession();
+      const query = session ? `?token=${encodeURIComponent(session.token)}` : '';
+      const source = new EventSource(`${API_BASE}/api/stream${query}`);
+      source.onopen = onOpen;
+      source.onerror = () => onError(source.readyState === EventSource.CLOSED);
+      source.addEventListener('live', event => onLive(JSON.parse(event.data)));
+      source.addEventListener('option', event => onOption(JSON.parse(event.data)));
+      source.addEventListener('group', event => onGroup(JSON.parse(event.data)));
+      return () => source.close();
+    },
+
+    // The server settles expiries and applies model prices itself
+    async applyMarket() {
+      return 0;
+    },
+
+    sync,
+
+    pendingCount() {
+      return getQueue().length;
+    }
+  };
+}
+
+/**
+ * Call the API as the signed-in user. Network failures reject with a
+ * TypeError from fetch, server-side failures with an ApiError. A 401 means
+ * the session has expired or was revoked, so it is forgotten.
+ */
+async function apiRequest(method, path, body, timeoutMs) {
+  const controller = timeoutMs ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+  try {
+    const response = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: {
+        ...authHeaders(),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller ? controller.signal : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      localStorage.removeItem(SESSION_KEY);
+    }
+    if (!response.ok) {
+      throw new ApiError(data.error || `Request failed (${response.status})`, response.status, data.code);
+    }
+    return data;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+/**
+ * Push positions created in local mode to the server, once per browser
+ */
+async function migrateLocalOptions() {
+  if (localStorage.getItem(MIGRATED_KEY)) return 0;
+
+  // The server takes only options that pass the import checks; anything
+  // else stays behind in localStorage
+  const options = getTrackedOptions().filter((option) => {
+    const problems = SensexTransfer.validateOption(option);
+    if (problems.length > 0) {
+      console.warn(`Not migrating local position ${option && option.id}: ${problems.join('; ')}`);
+    }
+    return problems.length === 0;
+  });
+  if (options.length > 0) {
+    const result = await apiRequest('POST', '/api/migrate', { options });
+    console.log(`✓ Migrated ${result.imported} local positions to the server (${result.skipped} already there)`);
+  }
+  // localStorage data is kept untouched as a backup
+  localStorage.setItem(MIGRATED_KEY, new Date().toISOString());
+  return options.length;
+}
+
+/**
+ * Pick the data source.
+ *
+ * The mode comes from ?mode=local|server (remembered for next time) or
+ * a previously saved choice. In 'auto' mode the server is used when it
+ * answers; once it has answered, it stays the source even while offline so
+ * the phone keeps showing the shared positions instead of stale local ones.
+ * A server that wants a sign-in gets one (promptSignIn in app.js) unless
+ * the user chooses to keep positions on this device.
+ */
+async function resolveDataSource() {
+  const requested = new URLSearchParams(window.location.search).get('mode');
+  if (['local', 'server', 'auto'].includes(requested)) {
+    localStorage.setItem(DATA_MODE_KEY, requested);
+  }
+
+  const mode = localStorage.getItem(DATA_MODE_KEY) || 'auto';
+  if (mode === 'local' || window.location.protocol === 'file:') {
+    return createLocalDataSource();
+  }
+
+  try {
+    await apiRequest('GET', '/api/options', undefined, PROBE_TIMEOUT_MS);
+  } catch (error) {
+    if (error instanceof ApiError && error.status === 401) {
+      if (!(await promptSignIn())) {
+        // Remembered like ?mode=local; ?mode=auto asks again
+        localStorage.setItem(DATA_MODE_KEY, 'local');
+        return createLocalDataSource();
+      }
+      return connectServer();
+    }
+    const seenServer = localStorage.getItem(SERVER_CACHE_KEY) !== null;
+    if (mode === 'auto' && !seenServer) {
+      console.log('API server unreachable, using local storage');
+      return createLocalDataSource();
+    }
+    console.log('API server unreachable, working offline from cache');
+    return createServerDataSource();
+  }
+  return connectServer();
+}
+
+/**
+ * The server data source, once local positions have been moved up
+ */
+async function connectServer() {
+  try {
+    const migrated = await migrateLocalOptions();
+    if (migrated > 0) {
+      showNotification(`Moved ${migrated} saved positions to the server`, 'success');
+    }
+  } catch (error) {
+    console.error('Error migrating local positions:', error);
+  }
+  return createServerDataSource();
+}
@@ -0,0 +1,68 @@
+// How often an idle stream gets a comment line so proxies keep it open
+const HEARTBEAT_MS = 25000;
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 3000;
+
+/**
+ * Server-Sent Events broadcaster for the API server.
+ *
+ *   connect(req, res, initial?, audience?) -> attach a client; `initial`
+ *                          events go to it first
+ *   publish(type, data, audience?) -> send one event to every connected
+ *                          client, or only to those of `audience`
+ *   clientCount()       -> number of open streams
+ *
+ * A client's audience is who it streams for (the signed-in user id, or
+ * null). Events published without an audience go to every client.
+ * Events carry an increasing id. Clients are expected to reload their
+ * state after a reconnect rather than replay missed events.
+ */
+function createEventStream({ heartbeatMs = HEARTBEAT_MS } = {}) {
+  // Each open response with its audience
+  const clients = new Map();
+  let nextId = 1;
+
+  function format(type, data, id) {
+    return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  const heartbeat = setInterval(() => {
+    clients.forEach((audience, res) => res.write(': keep-alive\n\n'));
+  }, heartbeatMs);
+  // Never keep the process alive just for heartbeats
+  heartbeat.unref();
+
+  return {
+    connect(req, res, initial = [], audience = null) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.write(`retry: ${RETRY_MS}\n\n`);
+      initial.forEach(({ type, data }) => res.write(format(type, data, nextId++)));
+
+      clients.set(res, audience);
+      req.on('close', () => clients.delete(res));
+    },
+
+    publish(type, data, audience) {
+      if (clients.size === 0) return;
+      const message = format(type, data, nextId++);
+      clients.forEach((clientAudience, res) => {
+        if (audience === undefined || audience === clientAudience) {
+          res.write(message);
+        }
+      });
+    },
+
+    clientCount() {
+      return clients.size;
+    }
+  };
+}
+
+module.exports = {
+  createEventStream
+};
@@ -0,0 +1,296 @@
+/**
+ * Multi-leg positions (straddles, strangles, spreads, condors) shared by
+ * the browser and the API server.
+ *
+ * A group holds two to four legs on the same expiry. Each leg is bought or
+ * sold, so its P&L is (current - entry) x quantity for a BUY leg and the
+ * reverse for a SELL leg. The group is managed as one trade:
+ *
+ *   netPremium  premium paid for the whole structure; negative when it
+ *               was opened for a net credit
+ *   peakPnL     best combined P&L since entry
+ *   stopPnL     combined P&L floor. It starts at -trailAmount, trails
+ *               trailAmount below peakPnL and only ever moves up. The group
+ *               is STOPLOSS_HIT once the combined P&L falls to it.
+ *
+ * trailAmount is in rupees, or trailingPercent of the gross premium (every
+ * leg's entry x quantity, which stays positive whatever the mix of bought
+ * and sold legs). Percent P&L is of the gross premium too.
+ *
+ * Legs are never exited on their own: exiting or settling the group closes
+ * every leg together.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./contract'), require('./stoploss'));
+  } else {
+    root.SensexGroups = factory(root.SensexContract, root.SensexStoploss);
+  }
+})(typeof self !== 'undefined' ? self : this, function (contract, stoploss) {
+  const { PositionError } = stoploss;
+  const SIDES = ['BUY', 'SELL'];
+  const MIN_LEGS = 2;
+  const MAX_LEGS = 4;
+  const ACTIVE_STATUSES = ['TRACKING'];
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  const direction = leg => (leg.side === 'SELL' ? -1 : 1);
+
+  function grossPremium(group) {
+    return group.legs.reduce((sum, leg) => sum + leg.entryPrice * leg.quantity, 0);
+  }
+
+  function legPnL(leg) {
+    const price = leg.exitPrice !== undefined ? leg.exitPrice : leg.currentPrice;
+    return direction(leg) * (price - leg.entryPrice) * leg.quantity;
+  }
+
+  /**
+   * Combined P&L of every leg, with each leg's share
+   */
+  function calculateGroupPnL(group) {
+    const legs = group.legs.map(legPnL);
+    const pnl = legs.reduce((sum, value) => sum + value, 0);
+    return {
+      pnl: pnl.toFixed(2),
+      pnlPercent: ((pnl / grossPremium(group)) * 100).toFixed(2),
+      legs: legs.map(value => value.toFixed(2))
+    };
+  }
+
+  function isGroupActive(group) {
+    return ACTIVE_STATUSES.includes(group.status);
+  }
+
+  /**
+   * Name the structure the legs make up
+   */
+  function detectStructure(legs) {
+    const calls = legs.filter(leg => leg.optionType === 'CALL');
+    const puts = legs.filter(leg => leg.optionType === 'PUT');
+
+    if (legs.length === 2 && calls.length === 1 && puts.length === 1 && calls[0].side === puts[0].side) {
+      return calls[0].strike === puts[0].strike ? 'STRADDLE' : 'STRANGLE';
+    }
+    if (legs.length === 2 && (calls.length === 2 || puts.length === 2) && legs[0].side !== legs[1].side) {
+      return 'SPREAD';
+    }
+    if (legs.length === 4 && calls.length === 2 && puts.length === 2 &&
+        calls[0].side !== calls[1].side && puts[0].side !== puts[1].side) {
+      const soldCall = calls.find(leg => leg.side === 'SELL');
+      const soldPut = puts.find(leg => leg.side === 'SELL');
+      return soldCall.strike === soldPut.strike ? 'IRON_BUTTERFLY' : 'IRON_CONDOR';
+    }
+    return 'CUSTOM';
+  }
+
+  /**
+   * Short description such as "Short strangle" or "Put spread"
+   */
+  function describeGroup(group) {
+    const [first] = group.legs;
+    switch (group.structure) {
+      case 'STRADDLE':
+      case 'STRANGLE':
+        return `${first.side === 'BUY' ? 'Long' : 'Short'} ${group.structure.toLowerCase()}`;
+      case 'SPREAD':
+        return `${first.optionType === 'CALL' ? 'Call' : 'Put'} spread`;
+      case 'IRON_CONDOR':
+        return 'Iron condor';
+      case 'IRON_BUTTERFLY':
+        return 'Iron butterfly';
+      default:
+        return `${group.legs.length}-leg position`;
+    }
+  }
+
+  /**
+   * Check and complete one leg. Contract rules are the same as for a
+   * single option on the group's expiry.
+   */
+  function normalizeLeg(fields, index, expiryType, expiry) {
+    const label = `Leg ${index + 1}`;
+    const side = fields.side || 'BUY';
+    if (!SIDES.includes(side)) {
+      throw new PositionError(`${label}: side must be BUY or SELL`);
+    }
+
+    const lotSize = fields.lotSize || contract.LOT_SIZE;
+    const quantity = fields.lots !== undefined ? fields.lots * lotSize : fields.quantity;
+    const problems = contract.validateContract({
+      optionType: fields.optionType,
+      strike: fields.strike,
+      quantity,
+      lotSize,
+      expiry,
+      expiryType
+    });
+    if (problems.length > 0) {
+      throw new PositionError(`${label}: ${problems[0]}`);
+    }
+    if (!Number.isFinite(fields.entryPrice) || fields.entryPrice <= 0) {
+      throw new PositionError(`${label}: entry price must be a positive premium`);
+    }
+
+    return {
+      side,
+      optionType: fields.optionType,
+      strike: fields.strike,
+      quantity,
+      lotSize,
+      entryPrice: fields.entryPrice,
+      currentPrice: fields.entryPrice
+    };
+  }
+
+  /**
+   * Build a freshly tracked group.
+   * Fields: { id?, name?, legs: [{ side, optionType, strike, quantity | lots,
+   *           entryPrice }], trailAmount | trailingPercent, expiryType?, expiry? }
+   * Throws a PositionError when a leg or the trail is invalid.
+   */
+  function createGroup(fields) {
+    const legs = fields.legs;
+    if (!Array.isArray(legs) || legs.length < MIN_LEGS || legs.length > MAX_LEGS) {
+      throw new PositionError(`A multi-leg position needs ${MIN_LEGS} to ${MAX_LEGS} legs`);
+    }
+
+    const expiryType = fields.expiryType || 'WEEKLY';
+    const expiry = fields.expiry || contract.nextExpiry(expiryType);
+    const group = {
+      id: fields.id || Date.now(),
+      name: fields.name ? String(fields.name).trim() : '',
+      expiryType,
+      expiry,
+      legs: legs.map((leg, index) => normalizeLeg(leg, index, expiryType, expiry)),
+      status: 'TRACKING',
+      createdAt: new Date().toISOString(),
+      updateLog: []
+    };
+    group.structure = detectStructure(group.legs);
+    group.netPremium = round(group.legs.reduce((sum, leg) => sum + direction(leg) * leg.entryPrice * leg.quantity, 0));
+
+    const trailingPercent = fields.trailingPercent !== undefined && fields.trailingPercent !== null && fields.trailingPercent !== ''
+      ? Number(fields.trailingPercent)
+      : null;
+    const trailAmount = trailingPercent !== null
+      ? round(grossPremium(group) * trailingPercent / 100)
+      : Number(fields.trailAmount);
+    if (trailingPercent !== null && !(trailingPercent > 0 && trailingPercent < 100)) {
+      throw new PositionError('Trailing % must be between 0 and 100');
+    }
+    if (!Number.isFinite(trailAmount) || trailAmount <= 0) {
+      throw new PositionError('A trailing amount or trailing % is required');
+    }
+
+    group.trailingPercent = trailingPercent;
+    group.trailAmount = trailAmount;
+    group.peakPnL = 0;
+    group.stopPnL = -trailAmount;
+    return group;
+  }
+
+  /**
+   * Record new leg premiums (one per leg, in leg order; null keeps a leg's
+   * price), trail the combined stop and flag the group when it is hit.
+   * Mutates and returns the group.
+   */
+  function applyGroupPrices(group, prices, now = new Date()) {
+    if (!isGroupActive(group)) {
+      throw new PositionError('Prices can only be updated on an active position');
+    }
+    if (!Array.isArray(prices) || prices.length !== group.legs.length) {
+      throw new PositionError(`Give one price per leg (${group.legs.length})`);
+    }
+    prices.forEach((price, index) => {
+      if (price === null || price === undefined || price === '') return;
+      if (!Number.isFinite(Number(price)) || Number(price) < 0) {
+        throw new PositionError(`Leg ${index + 1}: price must be a valid premium`);
+      }
+    });
+
+    prices.forEach((price, index) => {
+      if (price === null || price === undefined || price === '') return;
+      group.legs[index].currentPrice = Number(price);
+    });
+
+    const pnl = Number(calculateGroupPnL(group).pnl);
+    group.peakPnL = round(Math.max(group.peakPnL, pnl));
+    group.stopPnL = round(Math.max(group.stopPnL, group.peakPnL - group.trailAmount));
+    group.updateLog.push({
+      timestamp: now.toISOString(),
+      prices: group.legs.map(leg => leg.currentPrice),
+      pnl: round(pnl),
+      peakPnL: group.peakPnL,
+      stopPnL: group.stopPnL
+    });
+
+    if (pnl <= group.stopPnL) {
+      group.status = 'STOPLOSS_HIT';
+    }
+    return group;
+  }
+
+  /**
+   * Close every leg at once, at `prices` (one per leg) or the current
+   * premiums. Mutates and returns the group.
+   */
+  function applyGroupExit(group, prices, now = new Date()) {
+    if (!isGroupActive(group) && group.status !== 'STOPLOSS_HIT') {
+      throw new PositionError('Position is already closed');
+    }
+    if (prices !== undefined && prices !== null && (!Array.isArray(prices) || prices.length !== group.legs.length)) {
+      throw new PositionError(`Give one exit price per leg (${group.legs.length})`);
+    }
+
+    const exitPrices = group.legs.map((leg, index) => {
+      const price = prices ? prices[index] : null;
+      if (price === null || price === undefined || price === '') return leg.currentPrice;
+      if (!Number.isFinite(Number(price)) || Number(price) < 0) {
+        throw new PositionError(`Leg ${index + 1}: exit price must be a valid premium`);
+      }
+      return Number(price);
+    });
+
+    group.legs.forEach((leg, index) => {
+      leg.currentPrice = exitPrices[index];
+      leg.exitPrice = exitPrices[index];
+    });
+    group.status = 'EXITED';
+    group.exitedAt = now.toISOString();
+    group.finalPnL = calculateGroupPnL(group);
+    return group;
+  }
+
+  /**
+   * Settle an open group whose expiry has passed, every leg at its
+   * intrinsic value against the SENSEX spot. Returns true when settled.
+   */
+  function settleGroupAtExpiry(group, spot, now = new Date()) {
+    const open = isGroupActive(group) || group.status === 'STOPLOSS_HIT';
+    if (!open || !contract.isExpired(group, now) || !Number.isFinite(spot)) {
+      return false;
+    }
+
+    applyGroupExit(group, group.legs.map(leg => contract.intrinsicValue(leg.optionType, leg.strike, spot)),
+      contract.expiryTime(group.expiry));
+    group.status = 'EXPIRED';
+    group.settlementSpot = spot;
+    return true;
+  }
+
+  return {
+    SIDES,
+    MAX_LEGS,
+    createGroup,
+    calculateGroupPnL,
+    isGroupActive,
+    describeGroup,
+    applyGroupPrices,
+    applyGroupExit,
+    settleGroupAtExpiry
+  };
+});
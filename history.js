@@ -0,0 +1,190 @@
+/**
+ * Position history as an append-only event log, shared by the browser and
+ * the API server.
+ *
+ * Every change to a tracked option is an event, { id, optionId, type, at,
+ * data }, and the option is what replaying its events in order gives. The
+ * stored option is kept as a projection of the log so it can be read
+ * without a replay; rebuild() is for when the log itself changes, which
+ * only an undo does.
+ *
+ *   CREATED        data: { option } - the option as first tracked
+ *   SNAPSHOT       data: { option } - a whole option, for imports and
+ *                  positions tracked before the log existed
+ *   PRICE_UPDATED  data: { price, source? }
+ *   EDITED         data: the applyEdit() changes
+ *   TARGET_ADDED   data: { target }
+ *   MODEL_PRICING  data: { enabled }
+ *   ALERTS_MUTED   data: { muted }
+ *   EXITED         data: { quantity, price? } - without a quantity the
+ *                  whole open position closes at the current premium
+ *   SETTLED        data: { spot } - expiry settlement
+ *   REMOVED        moves the option to the trash (option.deletedAt)
+ *   UNDONE         data: { eventId } - replays skip that event
+ *
+ * Multi-leg groups (groups.js) share the log, with a groupId instead of
+ * an optionId. Only their destructive changes are logged, each with a copy
+ * of the group from just before it, which is what undoing it puts back:
+ *
+ *   GROUP_EXITED   data: { group } - every leg exited
+ *   GROUP_REMOVED  data: { group } - moved to the trash (group.deletedAt)
+ *   UNDONE         data: { eventId }
+ *
+ * Exits and removals are destructive. The newest one not already undone,
+ * of an option or a group, can be taken back (undoable()); restoring from
+ * the trash undoes the removal. Undoing an option's exit replays every
+ * later price update against the reopened position, so its stop and
+ * targets carry on as if it had never been closed.
+ *
+ * Ids are given by whatever keeps the log and only ever grow, so log
+ * order is id order.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./stoploss'));
+  } else {
+    root.SensexHistory = factory(root.SensexStoploss);
+  }
+})(typeof self !== 'undefined' ? self : this, function (stoploss) {
+  const GROUP_EVENT_TYPES = ['GROUP_EXITED', 'GROUP_REMOVED'];
+  const DESTRUCTIVE_TYPES = ['EXITED', 'REMOVED', ...GROUP_EVENT_TYPES];
+
+  const copy = option => JSON.parse(JSON.stringify(option));
+
+  // (option, data, at) => the option after the event. Only the first two
+  // start from nothing; the rest change the option in place.
+  const HANDLERS = {
+    CREATED: (option, data) => copy(data.option),
+    SNAPSHOT: (option, data) => copy(data.option),
+    PRICE_UPDATED: (option, data, at) => stoploss.applyPriceUpdate(option, data.price, data.source, at),
+    EDITED: (option, data, at) => stoploss.applyEdit(option, data, at),
+    TARGET_ADDED: (option, data) => stoploss.addTarget(option, data.target),
+    MODEL_PRICING: (option, data) => Object.assign(option, { modelPricing: data.enabled }),
+    ALERTS_MUTED: (option, data) => Object.assign(option, { alertsMuted: data.muted }),
+    EXITED: (option, data, at) => (data.quantity === undefined
+      ? stoploss.applyExit(option, at)
+      : stoploss.applyPartialExit(
+        option, data.quantity, data.price !== undefined ? data.price : option.currentPrice, 'MANUAL', at
+      )),
+    SETTLED: (option, data, at) => {
+      stoploss.settleAtExpiry(option, data.spot, at);
+      return option;
+    },
+    REMOVED: (option, data, at) => Object.assign(option, { deletedAt: at.toISOString() }),
+    UNDONE: option => option
+  };
+
+  /**
+   * A new event for the option with `optionId`, not yet numbered
+   */
+  function createEvent(type, optionId, data = {}, at = new Date()) {
+    if (!HANDLERS[type]) {
+      throw new Error(`Unknown position event ${type}`);
+    }
+    return { optionId, type, at: at.toISOString(), data };
+  }
+
+  /**
+   * A new event for the group with `groupId`, not yet numbered: a
+   * GROUP_EXITED or GROUP_REMOVED with the group as it was before, or the
+   * UNDONE of one
+   */
+  function createGroupEvent(type, groupId, data, at = new Date()) {
+    if (type !== 'UNDONE' && !GROUP_EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown group event ${type}`);
+    }
+    const logged = data.group ? { ...data, group: copy(data.group) } : data;
+    return { groupId, type, at: at.toISOString(), data: logged };
+  }
+
+  /**
+   * Apply one event to an option (null before its first event). Returns
+   * the option; throws a PositionError when the event does not fit it.
+   */
+  function applyEvent(option, event) {
+    const starts = event.type === 'CREATED' || event.type === 'SNAPSHOT';
+    if (!option && !starts) {
+      throw new stoploss.PositionError('Option not found');
+    }
+    if (option && option.deletedAt && !starts && event.type !== 'UNDONE') {
+      throw new stoploss.PositionError('Option is in the trash');
+    }
+    return HANDLERS[event.type](option, event.data || {}, new Date(event.at));
+  }
+
+  function undoneIds(events) {
+    return new Set(events.filter(event => event.type === 'UNDONE').map(event => event.data.eventId));
+  }
+
+  /**
+   * Replay one option's events, oldest first, leaving out undone ones.
+   * null when nothing is left.
+   */
+  function rebuild(events) {
+    const undone = undoneIds(events);
+    return events
+      .filter(event => !undone.has(event.id))
+      .reduce((option, event) => applyEvent(option, event), null);
+  }
+
+  /**
+   * The newest exit or removal in `events` that has not been undone, or null
+   */
+  function undoable(events) {
+    const undone = undoneIds(events);
+    const candidates = events.filter(event => DESTRUCTIVE_TYPES.includes(event.type) && !undone.has(event.id));
+    return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+  }
+
+  /**
+   * The removal that put an option in the trash, or null when it is not
+   * there. groupRemovalOf() is the same for a group.
+   */
+  function removalOf(events, optionId) {
+    const undone = undoneIds(events);
+    const removals = events.filter(event => (
+      event.optionId === optionId && event.type === 'REMOVED' && !undone.has(event.id)
+    ));
+    return removals.length > 0 ? removals[removals.length - 1] : null;
+  }
+
+  function groupRemovalOf(events, groupId) {
+    const undone = undoneIds(events);
+    const removals = events.filter(event => (
+      event.groupId === groupId && event.type === 'GROUP_REMOVED' && !undone.has(event.id)
+    ));
+    return removals.length > 0 ? removals[removals.length - 1] : null;
+  }
+
+  /**
+   * The event market data calls for on an option - settling it once its
+   * contract has expired, or moving it to its model price - or null.
+   * Settling closes the position for good, so it only happens on a spot
+   * from a real feed (market.live); a simulated one never settles anything.
+   * Worked out on a copy, so the option itself is left alone.
+   */
+  function marketEvent(option, market, now = new Date()) {
+    const trial = copy(option);
+    const spot = Number(market.sensex);
+    if (market.live === true && stoploss.settleAtExpiry(trial, spot, now)) {
+      return createEvent('SETTLED', option.id, { spot }, now);
+    }
+    if (stoploss.applyModelPrice(trial, market, now)) {
+      return createEvent('PRICE_UPDATED', option.id, { price: trial.currentPrice, source: 'MODEL' }, now);
+    }
+    return null;
+  }
+
+  return {
+    EVENT_TYPES: [...Object.keys(HANDLERS), ...GROUP_EVENT_TYPES],
+    DESTRUCTIVE_TYPES,
+    createEvent,
+    createGroupEvent,
+    applyEvent,
+    rebuild,
+    undoable,
+    removalOf,
+    groupRemovalOf,
+    marketEvent
+  };
+});
@@ -0,0 +1,182 @@
+/**
+ * BSE market calendar shared by the browser and the API server.
+ *
+ * Built from yearly calendar files (data/bse-calendar-YYYY.json) listing
+ * exchange holidays and special sessions such as Muhurat trading or
+ * shortened days. Years without a file fall back to plain weekday
+ * sessions.
+ *
+ * Phases of a day, in IST:
+ *   PRE_OPEN  preOpen -> open       order collection, no continuous trading
+ *   OPEN      open    -> closing    continuous trading
+ *   CLOSING   closing -> close      closing-price window, still trading
+ *   CLOSED    outside a session, including weekends
+ *   HOLIDAY   a listed exchange holiday with no special session running
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SensexMarketCalendar = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const IST_OFFSET_MS = 330 * 60 * 1000;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // How far ahead nextOpen/nextClose look before giving up
+  const SEARCH_DAYS = 30;
+
+  const DEFAULT_SESSION = {
+    preOpen: '09:00',
+    open: '09:15',
+    closing: '15:00',
+    close: '15:30'
+  };
+
+  const TRADING_PHASES = ['OPEN', 'CLOSING'];
+
+  /**
+   * IST calendar date ('YYYY-MM-DD') and minutes since IST midnight
+   */
+  function toIst(date) {
+    const shifted = new Date(date.getTime() + IST_OFFSET_MS);
+    return {
+      day: shifted.toISOString().slice(0, 10),
+      minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+    };
+  }
+
+  function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  function atIst(day, time) {
+    return new Date(`${day}T${time}:00+05:30`);
+  }
+
+  function addDays(day, days) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  function isWeekend(day) {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    return weekday === 0 || weekday === 6;
+  }
+
+  /**
+   * Build a calendar from one or more yearly calendar files
+   */
+  function createMarketCalendar(files = []) {
+    const holidays = new Map();
+    const specialSessions = new Map();
+    const sessionsByYear = new Map();
+
+    [].concat(files).forEach(file => {
+      sessionsByYear.set(String(file.year), { ...DEFAULT_SESSION, ...(file.sessions || {}) });
+      (file.holidays || []).forEach(holiday => holidays.set(holiday.date, holiday));
+      (file.specialSessions || []).forEach(session => specialSessions.set(session.date, session));
+    });
+
+    function regularSession(day) {
+      return sessionsByYear.get(day.slice(0, 4)) || DEFAULT_SESSION;
+    }
+
+    /**
+     * Trading session on a date, or null when the exchange is shut.
+     * A special session replaces the regular one; a session without a
+     * closing time skips the CLOSING phase.
+     */
+    function sessionFor(day) {
+      const special = specialSessions.get(day);
+      if (special) {
+        return {
+          name: special.name,
+          special: true,
+          preOpen: special.preOpen || special.open,
+          open: special.open,
+          closing: special.closing || special.close,
+          close: special.close
+        };
+      }
+      if (holidays.has(day) || isWeekend(day)) {
+        return null;
+      }
+      return { name: 'Regular session', special: false, ...regularSession(day) };
+    }
+
+    function isTradingDay(day) {
+      return sessionFor(day) !== null;
+    }
+
+    /**
+     * Latest trading day on or before `day`
+     */
+    function previousTradingDay(day) {
+      let candidate = day;
+      for (let i = 0; i < SEARCH_DAYS && !isTradingDay(candidate); i++) {
+        candidate = addDays(candidate, -1);
+      }
+      return candidate;
+    }
+
+    /**
+     * Phase of the market at a moment.
+     * Returns { phase, day, session, holiday }
+     */
+    function phaseAt(date = new Date()) {
+      const { day, minutes } = toIst(date);
+      const session = sessionFor(day);
+      const holiday = holidays.get(day) || null;
+
+      let phase = holiday && !(session && session.special) ? 'HOLIDAY' : 'CLOSED';
+      if (session) {
+        if (minutes >= toMinutes(session.preOpen) && minutes < toMinutes(session.open)) {
+          phase = 'PRE_OPEN';
+        } else if (minutes >= toMinutes(session.open) && minutes < toMinutes(session.closing)) {
+          phase = 'OPEN';
+        } else if (minutes >= toMinutes(session.closing) && minutes < toMinutes(session.close)) {
+          phase = 'CLOSING';
+        }
+      }
+
+      return { phase, day, session, holiday };
+    }
+
+    function isOpen(date = new Date()) {
+      return TRADING_PHASES.includes(phaseAt(date).phase);
+    }
+
+    /**
+     * First session boundary (`open` or `close`) strictly after `from`
+     */
+    function nextBoundary(boundary, from) {
+      let day = toIst(from).day;
+      for (let i = 0; i < SEARCH_DAYS; i++, day = addDays(day, 1)) {
+        const session = sessionFor(day);
+        if (!session) continue;
+
+        const time = atIst(day, session[boundary]);
+        if (time > from) {
+          return { time, day, session: session.name };
+        }
+      }
+      return null;
+    }
+
+    return {
+      sessionFor,
+      isTradingDay,
+      previousTradingDay,
+      phaseAt,
+      isOpen,
+      nextOpen: (from = new Date()) => nextBoundary('open', from),
+      nextClose: (from = new Date()) => nextBoundary('close', from)
+    };
+  }
+
+  return {
+    DEFAULT_SESSION,
+    TRADING_PHASES,
+    createMarketCalendar
+  };
+});
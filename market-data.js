@@ -0,0 +1,262 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 5000;
+const SIMULATED_BASE_PRICE = 75423;
+
+/**
+ * Market data providers for the API server.
+ *
+ * A provider is an object with a short `name`, a human `label`, `live`
+ * (true for a feed of real exchange prices, false for replays and the
+ * simulation) and one async method:
+ *
+ *   fetchQuote() -> { sensex, change, changePercent, volatility } | null
+ *
+ * Numbers are plain numbers; volatility is in percent. A provider returns
+ * null (or throws) when it has nothing to offer, and the chain moves on to
+ * the next one in priority order.
+ */
+
+/**
+ * Turn whatever a source reports into a quote, or null when the price is
+ * unusable. Sources without their own volatility get a rough estimate from
+ * the day's move, as the live feeds always did.
+ */
+function toQuote({ sensex, change = 0, changePercent = 0, volatility }) {
+  const price = Number(sensex);
+  if (!Number.isFinite(price) || price <= 0) {
+    return null;
+  }
+  const percent = Number(changePercent) || 0;
+  const vol = Number(volatility);
+
+  return {
+    sensex: price,
+    change: Number(change) || 0,
+    changePercent: percent,
+    volatility: Number.isFinite(vol) && vol > 0 ? vol : Math.abs(percent) * 2
+  };
+}
+
+/**
+ * RapidAPI real-time finance data (needs RAPID_API_KEY)
+ */
+function createRapidApiProvider({ apiKey = process.env.RAPID_API_KEY || 'demo' } = {}) {
+  return {
+    name: 'rapidapi',
+    label: 'RapidAPI',
+    live: true,
+
+    async fetchQuote() {
+      const response = await axios.get('https://real-time-finance-data.p.rapidapi.com/stock-quote', {
+        params: { symbol: '%5EBSESN', language: 'en' },
+        headers: {
+          'X-RapidAPI-Key': apiKey,
+          'X-RapidAPI-Host': 'real-time-finance-data.p.rapidapi.com'
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+
+      const data = response.data?.data;
+      if (!data?.price) return null;
+
+      return toQuote({
+        sensex: parseFloat(data.price),
+        change: parseFloat(data.change),
+        changePercent: parseFloat(data.change_percent)
+      });
+    }
+  };
+}
+
+/**
+ * Yahoo Finance quote summary for ^BSESN
+ */
+function createYahooProvider() {
+  return {
+    name: 'yahoo',
+    label: 'Yahoo Finance',
+    live: true,
+
+    async fetchQuote() {
+      const response = await axios.get('https://query1.finance.yahoo.com/v10/finance/quoteSummary/%5EBSESN', {
+        params: { modules: 'price,summaryDetail' },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+
+      const priceData = response.data?.quoteSummary?.result?.[0]?.price;
+      if (!priceData) return null;
+
+      return toQuote({
+        sensex: priceData.regularMarketPrice?.raw,
+        change: priceData.regularMarketChange?.raw,
+        changePercent: priceData.regularMarketChangePercent?.raw
+      });
+    }
+  };
+}
+
+/**
+ * Replays recorded quotes from a file or an HTTP stub, one per fetch, so
+ * the server can run offline against deterministic data.
+ *
+ * The recording is a JSON array of quotes or one JSON quote per line (the
+ * format MARKET_RECORD_FILE writes). Entries may also be saved
+ * /api/live responses. After the last entry it starts over when `loop` is
+ * set, otherwise it keeps returning the last one.
+ */
+function createReplayProvider({ source, loop = true } = {}) {
+  if (!source) {
+    throw new Error('Replay market data provider requires a source file or URL');
+  }
+  const isUrl = /^https?:\/\//.test(source);
+  let quotes = null;
+  let index = 0;
+
+  async function loadRecording() {
+    const text = isUrl
+      ? (await axios.get(source, { timeout: REQUEST_TIMEOUT_MS, responseType: 'text' })).data
+      : await fsp.readFile(source, 'utf8');
+    return parseRecording(typeof text === 'string' ? text : JSON.stringify(text))
+      .map(toQuote)
+      .filter(Boolean);
+  }
+
+  return {
+    name: 'replay',
+    label: `Replay (${isUrl ? source : path.basename(source)})`,
+    live: false,
+
+    async fetchQuote() {
+      if (!quotes) {
+        quotes = await loadRecording();
+      }
+      if (quotes.length === 0) return null;
+
+      const quote = quotes[index];
+      if (index < quotes.length - 1) {
+        index++;
+      } else if (loop) {
+        index = 0;
+      }
+      return quote;
+    }
+  };
+}
+
+/**
+ * Random walk around a base price while the market is open; flat outside
+ * trading hours. Always answers, so it belongs at the end of the chain.
+ */
+function createSimulatedProvider({ isOpen = () => true } = {}) {
+  return {
+    name: 'simulated',
+    label: 'Simulated (APIs unavailable)',
+    live: false,
+
+    async fetchQuote() {
+      const marketOpen = isOpen();
+      const randomChange = (Math.random() - 0.5) * 200; // -100 to +100
+
+      return toQuote({
+        sensex: marketOpen ? SIMULATED_BASE_PRICE + randomChange : SIMULATED_BASE_PRICE,
+        change: randomChange,
+        changePercent: (randomChange / SIMULATED_BASE_PRICE) * 100,
+        volatility: Math.random() * 25 + 10
+      });
+    }
+  };
+}
+
+const PROVIDERS = {
+  rapidapi: createRapidApiProvider,
+  yahoo: createYahooProvider,
+  replay: createReplayProvider,
+  simulated: createSimulatedProvider
+};
+
+/**
+ * Build providers from a priority list of names.
+ * Config: { providers: 'rapidapi,yahoo,simulated', replaySource, replayLoop, isOpen }
+ */
+function createProviderChain({ providers = 'rapidapi,yahoo,simulated', replaySource, replayLoop, isOpen } = {}) {
+  const chain = [].concat(providers)
+    .join(',')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      const factory = PROVIDERS[name];
+      if (!factory) {
+        throw new Error(`Unknown market data provider: ${name}`);
+      }
+      return factory({ source: replaySource, loop: replayLoop, isOpen });
+    });
+
+  if (chain.length === 0) {
+    throw new Error('At least one market data provider is required');
+  }
+
+  return {
+    providers: chain,
+
+    /**
+     * Ask each provider in turn. Resolves to { quote, provider } from the
+     * first one that answers; rejects when none does.
+     */
+    async fetchQuote() {
+      for (const provider of chain) {
+        try {
+          const quote = await provider.fetchQuote();
+          if (quote) {
+            return { quote, provider };
+          }
+        } catch (error) {
+          console.log(`${provider.label} fetch failed: ${error.message}`);
+        }
+      }
+      throw new Error('No market data provider answered');
+    }
+  };
+}
+
+/**
+ * Split a recording into entries: a JSON array or one JSON object per line
+ */
+function parseRecording(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed);
+  }
+  return trimmed.split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Append a quote to a recording that the replay provider can play back
+ */
+async function recordQuote(file, quote) {
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  const entry = {
+    sensex: quote.sensex,
+    change: Number(quote.change.toFixed(2)),
+    changePercent: Number(quote.changePercent.toFixed(2)),
+    volatility: Number(quote.volatility.toFixed(2)),
+    recordedAt: new Date().toISOString()
+  };
+  await fsp.appendFile(file, `${JSON.stringify(entry)}\n`);
+}
+
+module.exports = {
+  PROVIDERS,
+  createProviderChain,
+  createRapidApiProvider,
+  createYahooProvider,
+  createReplayProvider,
+  createSimulatedProvider,
+  recordQuote
+};
@@ -0,0 +1,1083 @@
+const { STRATEGIES, SIDES } = require('./stoploss');
+const { TIMEFRAMES } = require('./candles');
+const { DUPLICATE_MODES } = require('./transfer');
+const { BROKER_PROFILES } = require('./charges');
+const { EVENT_TYPES } = require('./history');
+
+/**
+ * The API contract, served at GET /api/openapi.json (OpenAPI 3.1).
+ *
+ * validation.js checks every request against the operation its route
+ * names, so this document is what the server actually accepts. Error
+ * bodies share ErrorResponse: 400 is a request that breaks the contract
+ * (with a `details` entry per problem), 422 a well-formed request the
+ * position rules turn down, such as a target below the entry, or a new
+ * position past the daily loss limit (code DAILY_LOSS_LIMIT, with `risk`).
+ */
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const listOf = items => ({ type: 'array', items });
+
+function body(schema, required = true) {
+  return { required, ...json(schema) };
+}
+
+function ok(description, schema) {
+  return { description, ...json(schema) };
+}
+
+const failures = codes => Object.fromEntries(codes.map(code => [code, { $ref: `#/components/responses/${code}` }]));
+
+const idParameter = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  schema: { type: 'integer', minimum: 1 }
+};
+
+/**
+ * One operation. `auth` operations need a bearer token and can answer 401.
+ */
+function operation(operationId, summary, { auth = false, parameters, requestBody, responses, errors = [] }) {
+  return {
+    operationId,
+    summary,
+    ...(auth ? { security: [{ bearerAuth: [] }] } : {}),
+    ...(parameters ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses: {
+      ...responses,
+      ...failures([
+        ...(parameters || requestBody ? ['400'] : []),
+        ...(auth ? ['401'] : []),
+        ...errors
+      ])
+    }
+  };
+}
+
+const price = { type: 'number', minimum: 0 };
+const premium = { type: 'number', exclusiveMinimum: 0 };
+const count = { type: 'integer', minimum: 1 };
+const timestamp = { type: 'string', format: 'date-time' };
+const pnlValue = { type: 'string', description: 'Rupees, two decimals' };
+const broker = { type: 'string', enum: Object.keys(BROKER_PROFILES) };
+
+const schemas = {
+  ErrorResponse: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      code: { type: 'string', enum: ['INVALID_REQUEST', 'UNPROCESSABLE', 'DAILY_LOSS_LIMIT'] },
+      risk: ref('DailyLoss'),
+      details: listOf({
+        type: 'object',
+        required: ['path', 'message'],
+        properties: {
+          in: { type: 'string', enum: ['path', 'query', 'body'] },
+          path: { type: 'string' },
+          message: { type: 'string' }
+        }
+      })
+    }
+  },
+
+  Strategy: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { type: 'string', enum: Object.keys(STRATEGIES) },
+      params: { type: 'object', additionalProperties: { type: ['number', 'string'] } }
+    }
+  },
+
+  TargetInput: {
+    type: 'object',
+    required: ['price'],
+    properties: {
+      price,
+      quantity: { type: ['integer', 'null'], minimum: 1, description: 'Omitted or null books everything still open' }
+    }
+  },
+
+  PnL: {
+    type: 'object',
+    required: ['pnl', 'pnlPercent'],
+    properties: {
+      pnl: pnlValue,
+      pnlPercent: pnlValue,
+      realized: pnlValue,
+      unrealized: pnlValue,
+      charges: pnlValue,
+      net: pnlValue
+    }
+  },
+
+  Option: {
+    type: 'object',
+    required: [
+      'id', 'optionType', 'strike', 'entryPrice', 'currentPrice', 'quantity',
+      'highestPrice', 'stoploss', 'status', 'createdAt', 'updateLog'
+    ],
+    properties: {
+      id: count,
+      ownerId: { type: 'string' },
+      side: { type: 'string', enum: SIDES },
+      optionType: { type: 'string', enum: ['CALL', 'PUT'] },
+      strike: premium,
+      expiryType: { type: 'string', enum: ['WEEKLY', 'MONTHLY'] },
+      expiry: { type: 'string', format: 'date' },
+      lotSize: count,
+      broker,
+      quantity: count,
+      openQuantity: { type: 'integer', minimum: 0 },
+      entryPrice: premium,
+      currentPrice: price,
+      highestPrice: price,
+      lowestPrice: price,
+      stoploss: price,
+      trailingPercent: { type: ['number', 'null'] },
+      strategy: ref('Strategy'),
+      targets: listOf({
+        type: 'object',
+        required: ['price'],
+        properties: {
+          price,
+          quantity: { type: ['integer', 'null'], minimum: 1 },
+          hitAt: { type: ['string', 'null'], format: 'date-time' }
+        }
+      }),
+      exits: listOf({
+        type: 'object',
+        required: ['quantity', 'price', 'reason', 'exitedAt', 'pnl'],
+        properties: {
+          quantity: count,
+          price,
+          reason: { type: 'string', enum: ['MANUAL', 'TARGET', 'EXIT', 'EXPIRY'] },
+          exitedAt: timestamp,
+          pnl: { type: 'number' }
+        }
+      }),
+      modelPricing: { type: 'boolean' },
+      alertsMuted: { type: 'boolean' },
+      status: { type: 'string', enum: ['TRACKING', 'PARTIALLY_EXITED', 'STOPLOSS_HIT', 'EXITED', 'EXPIRED'] },
+      createdAt: timestamp,
+      exitedAt: timestamp,
+      exitPrice: price,
+      finalPnL: ref('PnL'),
+      settlementSpot: { type: 'number' },
+      deletedAt: { ...timestamp, description: 'Set while the option is in the trash' },
+      audit: listOf({
+        type: 'object',
+        required: ['timestamp', 'changes'],
+        properties: {
+          timestamp,
+          changes: listOf({
+            type: 'object',
+            required: ['field', 'from', 'to'],
+            properties: { field: { type: 'string' } }
+          }),
+          added: {
+            type: 'object',
+            required: ['quantity', 'price'],
+            properties: { quantity: count, price: premium }
+          }
+        }
+      }),
+      updateLog: listOf({
+        type: 'object',
+        required: ['timestamp', 'newPrice'],
+        properties: {
+          timestamp,
+          previousPrice: price,
+          newPrice: price,
+          stoploss: price,
+          pnl: ref('PnL'),
+          source: { type: 'string' }
+        }
+      })
+    }
+  },
+
+  PositionEvent: {
+    type: 'object',
+    required: ['id', 'type', 'at', 'data'],
+    anyOf: [{ required: ['optionId'] }, { required: ['groupId'] }],
+    properties: {
+      id: count,
+      optionId: count,
+      groupId: { ...count, description: 'Set instead of optionId on multi-leg group events' },
+      type: { type: 'string', enum: EVENT_TYPES },
+      at: timestamp,
+      data: { type: 'object', description: 'What changed; its shape depends on the type' }
+    }
+  },
+
+  GroupLeg: {
+    type: 'object',
+    required: ['side', 'optionType', 'strike', 'quantity', 'entryPrice', 'currentPrice'],
+    properties: {
+      side: { type: 'string', enum: SIDES },
+      optionType: { type: 'string', enum: ['CALL', 'PUT'] },
+      strike: premium,
+      quantity: count,
+      lotSize: count,
+      entryPrice: premium,
+      currentPrice: price,
+      exitPrice: price
+    }
+  },
+
+  Group: {
+    type: 'object',
+    required: ['id', 'legs', 'structure', 'netPremium', 'trailAmount', 'peakPnL', 'stopPnL', 'status', 'createdAt'],
+    properties: {
+      id: count,
+      ownerId: { type: 'string' },
+      name: { type: 'string' },
+      expiryType: { type: 'string', enum: ['WEEKLY', 'MONTHLY'] },
+      expiry: { type: 'string', format: 'date' },
+      legs: listOf(ref('GroupLeg')),
+      structure: { type: 'string', enum: ['STRADDLE', 'STRANGLE', 'SPREAD', 'IRON_CONDOR', 'IRON_BUTTERFLY', 'CUSTOM'] },
+      netPremium: { type: 'number' },
+      trailingPercent: { type: ['number', 'null'] },
+      trailAmount: premium,
+      peakPnL: { type: 'number' },
+      stopPnL: { type: 'number' },
+      status: { type: 'string', enum: ['TRACKING', 'STOPLOSS_HIT', 'EXITED', 'EXPIRED'] },
+      createdAt: timestamp,
+      exitedAt: timestamp,
+      finalPnL: { type: 'object' },
+      updateLog: listOf({ type: 'object' }),
+      deletedAt: { ...timestamp, description: 'Set while the group is in the trash' }
+    }
+  },
+
+  User: {
+    type: 'object',
+    required: ['id', 'username', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      username: { type: 'string' },
+      createdAt: timestamp
+    }
+  },
+
+  Session: {
+    type: 'object',
+    required: ['success', 'token', 'expiresAt', 'user'],
+    properties: {
+      success: { type: 'boolean' },
+      token: { type: 'string' },
+      expiresAt: timestamp,
+      user: ref('User')
+    }
+  },
+
+  Credentials: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string', minLength: 1 },
+      password: { type: 'string', minLength: 1 }
+    }
+  },
+
+  ApiToken: {
+    type: 'object',
+    required: ['id', 'name', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      createdAt: timestamp
+    }
+  },
+
+  LiveData: {
+    type: 'object',
+    required: ['sensex', 'volatility', 'marketStatus', 'optionsActive'],
+    properties: {
+      sensex: { type: 'number' },
+      volatility: { type: 'number' },
+      change: { type: 'number' },
+      changePercent: { type: 'number' },
+      marketStatus: { type: 'string' },
+      optionsActive: { type: 'boolean' },
+      lastUpdate: timestamp,
+      provider: { type: ['string', 'null'] },
+      source: { type: 'string' },
+      error: { type: ['string', 'null'] }
+    }
+  },
+
+  SessionBoundary: {
+    type: ['object', 'null'],
+    required: ['time', 'day', 'session'],
+    properties: {
+      time: timestamp,
+      day: { type: 'string', format: 'date' },
+      session: { type: 'string' }
+    }
+  },
+
+  RiskSettings: {
+    type: 'object',
+    required: ['accountSize', 'riskPercent', 'dailyLossLimit'],
+    properties: {
+      accountSize: { type: ['number', 'null'], minimum: 0 },
+      riskPercent: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+      dailyLossLimit: { type: ['number', 'null'], minimum: 0 }
+    }
+  },
+
+  Webhooks: {
+    type: 'object',
+    required: ['urls'],
+    properties: {
+      urls: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  DailyLoss: {
+    type: 'object',
+    required: ['limit', 'realized', 'openRisk', 'newRisk', 'worstCase', 'breached'],
+    properties: {
+      limit: { type: ['number', 'null'] },
+      realized: { type: 'number' },
+      openRisk: { type: 'number' },
+      newRisk: { type: 'number' },
+      worstCase: { type: 'number' },
+      breached: { type: 'boolean' }
+    }
+  },
+
+  Premium: {
+    type: 'object',
+    required: ['time', 'price'],
+    properties: {
+      time: { type: 'string' },
+      price
+    }
+  }
+};
+
+const optionResult = ok('The changed option', {
+  type: 'object',
+  required: ['success', 'option'],
+  properties: { success: { type: 'boolean' }, option: ref('Option') }
+});
+
+const groupResult = ok('The changed group', {
+  type: 'object',
+  required: ['success', 'group'],
+  properties: { success: { type: 'boolean' }, group: ref('Group') }
+});
+
+// An option as a browser kept it in local mode; older ones have no updateLog
+const localOption = {
+  ...schemas.Option,
+  required: schemas.Option.required.filter(field => field !== 'updateLog')
+};
+
+const paths = {
+  '/api/auth/register': {
+    post: operation('registerUser', 'Create an account and sign in to it', {
+      requestBody: body({
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+          username: { type: 'string', pattern: '^[A-Za-z0-9_.-]{3,32}$' },
+          password: { type: 'string', minLength: 8 }
+        }
+      }),
+      responses: { 201: ok('Signed in to the new account', ref('Session')) },
+      errors: ['409', '422']
+    })
+  },
+  '/api/auth/login': {
+    post: operation('login', 'Sign in', {
+      requestBody: body(ref('Credentials')),
+      responses: { 200: ok('Signed in', ref('Session')) },
+      errors: ['401']
+    })
+  },
+  '/api/auth/logout': {
+    post: operation('logout', 'End the session the request was made with', {
+      auth: true,
+      responses: { 200: ok('Signed out', { type: 'object', properties: { success: { type: 'boolean' } } }) }
+    })
+  },
+  '/api/auth/me': {
+    get: operation('getCurrentUser', 'The signed-in user', {
+      auth: true,
+      responses: { 200: ok('The user', { type: 'object', required: ['user'], properties: { user: ref('User') } }) }
+    })
+  },
+  '/api/auth/tokens': {
+    get: operation('listApiTokens', "List the caller's API tokens", {
+      auth: true,
+      responses: { 200: ok('API tokens, without their values', listOf(ref('ApiToken'))) }
+    }),
+    post: operation('createApiToken', 'Make an API token for scripts', {
+      auth: true,
+      requestBody: body({ type: 'object', properties: { name: { type: 'string', maxLength: 100 } } }, false),
+      responses: {
+        201: ok('The token, shown only this once', {
+          type: 'object',
+          required: ['success', 'token', 'apiToken'],
+          properties: { success: { type: 'boolean' }, token: { type: 'string' }, apiToken: ref('ApiToken') }
+        })
+      }
+    })
+  },
+  '/api/auth/tokens/{id}': {
+    delete: operation('revokeApiToken', 'Revoke an API token', {
+      auth: true,
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[0-9a-f]{64}$' } }],
+      responses: {
+        200: ok('The revoked token', {
+          type: 'object',
+          required: ['success', 'apiToken'],
+          properties: { success: { type: 'boolean' }, apiToken: ref('ApiToken') }
+        })
+      },
+      errors: ['404']
+    })
+  },
+
+  '/api/track': {
+    post: operation('trackOption', 'Start tracking an option', {
+      auth: true,
+      requestBody: body({
+        type: 'object',
+        required: ['entryPrice', 'optionType', 'strike'],
+        allOf: [
+          { anyOf: [{ required: ['quantity'] }, { required: ['lots'] }] },
+          { anyOf: [{ required: ['trailingPercent'] }, { required: ['strategy'] }] }
+        ],
+        properties: {
+          id: count,
+          side: { type: 'string', enum: SIDES },
+          entryPrice: premium,
+          quantity: count,
+          lots: count,
+          trailingPercent: { type: ['number', 'null'], exclusiveMinimum: 0, exclusiveMaximum: 100 },
+          strategy: ref('Strategy'),
+          optionType: { type: 'string', enum: ['CALL', 'PUT'] },
+          strike: { type: 'number', exclusiveMinimum: 0, multipleOf: 100 },
+          expiryType: { type: 'string', enum: ['WEEKLY', 'MONTHLY'] },
+          expiry: { type: 'string', format: 'date' },
+          targets: listOf(ref('TargetInput')),
+          modelPricing: { type: 'boolean' },
+          broker,
+          acceptRisk: { type: 'boolean', description: 'Track it even past the daily loss limit' }
+        }
+      }),
+      responses: { 201: optionResult },
+      errors: ['409', '422']
+    })
+  },
+  '/api/strategies': {
+    get: operation('listStrategies', 'Trailing strategies and their parameters', {
+      responses: {
+        200: ok('Strategies', listOf({
+          type: 'object',
+          required: ['type', 'label', 'params'],
+          properties: { type: { type: 'string' }, label: { type: 'string' }, params: listOf({ type: 'object' }) }
+        }))
+      }
+    })
+  },
+  '/api/brokers': {
+    get: operation('listBrokerProfiles', 'Broker profiles for charges and the statutory rates', {
+      responses: {
+        200: ok('Profiles and rates', {
+          type: 'object',
+          required: ['profiles', 'rates'],
+          properties: {
+            profiles: listOf({
+              type: 'object',
+              required: ['id', 'label', 'brokerage'],
+              properties: {
+                id: broker,
+                label: { type: 'string' },
+                brokerage: {
+                  type: 'object',
+                  properties: {
+                    perOrder: price,
+                    perLot: price,
+                    percent: price,
+                    minimum: price,
+                    maximum: price
+                  }
+                },
+                rates: { type: 'object', additionalProperties: { type: 'number' } }
+              }
+            }),
+            rates: { type: 'object', additionalProperties: { type: 'number' } }
+          }
+        })
+      }
+    })
+  },
+  '/api/options': {
+    get: operation('listOptions', "The caller's tracked options", {
+      auth: true,
+      responses: { 200: ok('Options', listOf(ref('Option'))) }
+    }),
+    put: operation('updateOptionPrices', 'Record new premiums for several options in one go', {
+      auth: true,
+      requestBody: body({
+        type: 'object',
+        required: ['prices'],
+        properties: {
+          prices: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 100,
+            items: {
+              type: 'object',
+              required: ['id', 'currentPrice'],
+              properties: { id: count, currentPrice: price }
+            }
+          }
+        }
+      }),
+      responses: {
+        200: ok('The changed options, in the order given', {
+          type: 'object',
+          required: ['success', 'options'],
+          properties: { success: { type: 'boolean' }, options: listOf(ref('Option')) }
+        })
+      },
+      errors: ['404', '422']
+    })
+  },
+  '/api/options/{id}': {
+    get: operation('getOption', 'One tracked option', {
+      auth: true,
+      parameters: [idParameter],
+      responses: { 200: ok('The option', ref('Option')) },
+      errors: ['404']
+    }),
+    put: operation('updateOptionPrice', 'Record a new premium and trail the stop', {
+      auth: true,
+      parameters: [idParameter],
+      requestBody: body({ type: 'object', required: ['currentPrice'], properties: { currentPrice: price } }),
+      responses: { 200: optionResult },
+      errors: ['404', '422']
+    }),
+    patch: operation('editOption', 'Change the trailing rule, or add quantity at an averaged entry', {
+      auth: true,
+      parameters: [idParameter],
+      requestBody: body({
+        type: 'object',
+        properties: {
+          trailingPercent: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 100 },
+          strategy: ref('Strategy'),
+          addQuantity: count,
+          addLots: count,
+          price: premium
+        },
+        anyOf: [
+          { required: ['trailingPercent'] },
+          { required: ['strategy'] },
+          { required: ['addQuantity'] },
+          { required: ['addLots'] }
+        ]
+      }),
+      responses: { 200: optionResult },
+      errors: ['404', '422']
+    }),
+    delete: operation('removeOption', 'Move an option to the trash', {
+      auth: true,
+      parameters: [idParameter],
+      responses: { 200: optionResult },
+      errors: ['404']
+    })
+  },
+  '/api/options/{id}/exit': {
+    post: operation('exitOption', 'Exit all of an option, or scale out of part of it', {
+      auth: true,
+      parameters: [idParameter],
+      requestBody: body({ type: 'object', properties: { quantity: count, price } }, false),
+      responses: { 200: optionResult },
+      errors: ['404', '422']
+    })
+  },
+  '/api/options/{id}/model-pricing': {
+    post: operation('setModelPricing', 'Let the theoretical premium drive the stop', {
+      auth: true,
+      parameters: [idParameter],
+      requestBody: body({ type: 'object', required: ['enabled'], properties: { enabled: { type: 'boolean' } } }),
+      responses: { 200: optionResult },
+      errors: ['404']
+    })
+  },
+  '/api/options/{id}/alerts': {
+    post: operation('setAlertsMuted', 'Mute or unmute alerts for an option', {
+      auth: true,
+      parameters: [idParameter],
+      requestBody: body({ type: 'object', required: ['muted'], properties: { muted: { type: 'boolean' } } }),
+      responses: { 200: optionResult },
+      errors: ['404']
+    })
+  },
+  '/api/options/{id}/targets': {
+    post: operation('addTarget', 'Add a profit target to a running option', {
+      auth: true,
+      parameters: [idParameter],
+      requestBody: body(ref('TargetInput')),
+      responses: { 200: optionResult },
+      errors: ['404', '422']
+    })
+  },
+  '/api/options/{id}/events': {
+    get: operation('listOptionEvents', 'Every change made to an option, oldest first', {
+      auth: true,
+      parameters: [idParameter],
+      responses: { 200: ok('Events', listOf(ref('PositionEvent'))) },
+      errors: ['404']
+    })
+  },
+  '/api/undo': {
+    post: operation('undoLastChange', 'Undo the last exit or removal', {
+      auth: true,
+      responses: {
+        200: ok('What was undone and the option or multi-leg group it restored', {
+          type: 'object',
+          required: ['success', 'undone'],
+          properties: {
+            success: { type: 'boolean' },
+            undone: ref('PositionEvent'),
+            option: ref('Option'),
+            group: ref('Group')
+          }
+        })
+      },
+      errors: ['404', '409', '422']
+    })
+  },
+  '/api/trash': {
+    get: operation('listTrash', "The caller's removed options, latest first", {
+      auth: true,
+      responses: { 200: ok('Removed options', listOf(ref('Option'))) }
+    })
+  },
+  '/api/trash/groups': {
+    get: operation('listGroupTrash', "The caller's removed multi-leg positions, latest first", {
+      auth: true,
+      responses: { 200: ok('Removed groups', listOf(ref('Group'))) }
+    })
+  },
+  '/api/trash/groups/{id}/restore': {
+    post: operation('restoreGroup', 'Bring a removed multi-leg position back into tracking', {
+      auth: true,
+      parameters: [idParameter],
+      responses: { 200: groupResult },
+      errors: ['404', '409']
+    })
+  },
+  '/api/trash/{id}/restore': {
+    post: operation('restoreOption', 'Bring a removed option back into tracking', {
+      auth: true,
+      parameters: [idParameter],
+      responses: { 200: optionResult },
+      errors: ['404', '409', '422']
+    })
+  },
+  '/api/settings': {
+    get: operation('getRiskSettings', "The caller's risk settings", {
+      auth: true,
+      responses: { 200: ok('Risk settings', ref('RiskSettings')) }
+    }),
+    put: operation('updateRiskSettings', 'Change risk settings; null clears one', {
+      auth: true,
+      requestBody: body({
+        type: 'object',
+        properties: {
+          accountSize: { type: ['number', 'null'], minimum: 0 },
+          riskPercent: { type: ['number', 'null'], exclusiveMinimum: 0, maximum: 100 },
+          dailyLossLimit: { type: ['number', 'null'], minimum: 0 }
+        }
+      }),
+      responses: {
+        200: ok('The saved settings', {
+          type: 'object',
+          required: ['success', 'settings'],
+          properties: { success: { type: 'boolean' }, settings: ref('RiskSettings') }
+        })
+      },
+      errors: ['422']
+    })
+  },
+  '/api/webhooks': {
+    get: operation('getWebhooks', "The URLs the caller's alerts are posted to", {
+      auth: true,
+      responses: { 200: ok('Alert webhooks', ref('Webhooks')) }
+    }),
+    put: operation('updateWebhooks', "Replace the caller's alert webhooks (public hosts only); an empty list turns them off", {
+      auth: true,
+      requestBody: body({
+        type: 'object',
+        required: ['urls'],
+        properties: {
+          urls: {
+            type: 'array',
+            maxItems: 5,
+            items: { type: 'string', pattern: '^https?://\\S+$', maxLength: 2000 }
+          }
+        }
+      }),
+      responses: {
+        200: ok('The saved webhooks', {
+          type: 'object',
+          required: ['success', 'urls'],
+          properties: { success: { type: 'boolean' }, urls: { type: 'array', items: { type: 'string' } } }
+        })
+      },
+      errors: ['422']
+    })
+  },
+  '/api/risk': {
+    get: operation('getPortfolioRisk', 'Risk across the open positions', {
+      auth: true,
+      responses: {
+        200: ok('Portfolio risk', {
+          type: 'object',
+          required: ['positions', 'deployed', 'collected', 'openRisk', 'largest', 'calls', 'puts', 'bias', 'daily'],
+          properties: {
+            positions: { type: 'integer' },
+            deployed: { type: 'number' },
+            collected: { type: 'number' },
+            openRisk: { type: 'number' },
+            largest: {
+              type: ['object', 'null'],
+              required: ['id', 'exposure', 'share'],
+              properties: { id: count, exposure: { type: 'number' }, share: { type: 'number' } }
+            },
+            calls: { type: 'integer' },
+            puts: { type: 'integer' },
+            bias: { type: 'string', enum: ['BULLISH', 'BEARISH', 'NEUTRAL'] },
+            daily: ref('DailyLoss')
+          }
+        })
+      }
+    })
+  },
+  '/api/analytics': {
+    get: operation('getAnalytics', 'Closed-trade performance and the trade journal', {
+      auth: true,
+      parameters: [
+        { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+        { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } }
+      ],
+      responses: {
+        200: ok('Analytics', {
+          type: 'object',
+          required: ['summary', 'byDay', 'byWeek', 'byOptionType', 'byTrailing', 'journal'],
+          properties: {
+            summary: { type: 'object' },
+            byDay: listOf({ type: 'object' }),
+            byWeek: listOf({ type: 'object' }),
+            byOptionType: { type: 'object' },
+            byTrailing: listOf({ type: 'object' }),
+            journal: listOf({ type: 'object' })
+          }
+        })
+      }
+    })
+  },
+  '/api/backtest': {
+    post: operation('runBacktest', 'Replay historical premiums through a trailing rule', {
+      requestBody: body({
+        type: 'object',
+        anyOf: [{ required: ['data'] }, { required: ['premiums'] }],
+        properties: {
+          data: { type: 'string', minLength: 1 },
+          premiums: listOf(ref('Premium')),
+          trailingPercent: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 100 },
+          strategy: ref('Strategy'),
+          quantity: count,
+          lots: count,
+          lotSize: count,
+          side: { type: 'string', enum: SIDES },
+          targets: listOf(ref('TargetInput')),
+          broker,
+          optionType: { type: 'string', enum: ['CALL', 'PUT'] },
+          strike: premium,
+          expiry: { type: 'string', format: 'date' },
+          sweep: {
+            oneOf: [
+              {
+                type: 'object',
+                required: ['from', 'to', 'step'],
+                properties: { from: premium, to: premium, step: premium }
+              },
+              listOf(premium)
+            ]
+          }
+        }
+      }),
+      responses: {
+        200: ok('Replay results', {
+          type: 'object',
+          required: ['premiums', 'start', 'end', 'result', 'sweep', 'best'],
+          properties: {
+            premiums: { type: 'integer' },
+            start: timestamp,
+            end: timestamp,
+            result: { type: ['object', 'null'] },
+            sweep: listOf({ type: 'object' }),
+            best: { type: ['number', 'null'] }
+          }
+        })
+      },
+      errors: ['422']
+    })
+  },
+  '/api/migrate': {
+    post: operation('migrateOptions', "Move a browser's local positions to the server", {
+      auth: true,
+      requestBody: body({ type: 'object', required: ['options'], properties: { options: listOf(localOption) } }),
+      responses: {
+        200: ok('Counts, and the options left out for breaking the position rules', {
+          type: 'object',
+          required: ['success', 'imported', 'skipped', 'invalid'],
+          properties: {
+            success: { type: 'boolean' },
+            imported: { type: 'integer' },
+            skipped: { type: 'integer' },
+            invalid: listOf({ type: 'object' })
+          }
+        })
+      }
+    })
+  },
+  '/api/export': {
+    get: operation('exportOptions', "Download the caller's options with their price logs", {
+      auth: true,
+      parameters: [{ name: 'format', in: 'query', schema: { type: 'string', enum: ['json', 'csv'] } }],
+      responses: {
+        200: {
+          description: 'Export file',
+          content: {
+            'application/json': { schema: { type: 'object' } },
+            'text/csv': { schema: { type: 'string' } }
+          }
+        }
+      }
+    })
+  },
+  '/api/import': {
+    post: operation('importOptions', 'Import options from a JSON or CSV export', {
+      auth: true,
+      requestBody: body({
+        type: 'object',
+        anyOf: [{ required: ['data'] }, { required: ['options'] }],
+        properties: {
+          data: { type: 'string' },
+          options: listOf({ type: 'object' }),
+          onDuplicate: { type: 'string', enum: DUPLICATE_MODES },
+          dryRun: { type: 'boolean' }
+        }
+      }),
+      responses: {
+        200: ok('What was (or would be) imported', {
+          type: 'object',
+          required: ['success', 'dryRun', 'imported', 'replaced', 'skipped', 'invalid', 'preview'],
+          properties: {
+            success: { type: 'boolean' },
+            dryRun: { type: 'boolean' },
+            imported: { type: 'integer' },
+            replaced: { type: 'integer' },
+            skipped: { type: 'integer' },
+            invalid: listOf({ type: 'object' }),
+            preview: listOf({ type: 'object' })
+          }
+        })
+      },
+      errors: ['422']
+    })
+  },
+
+  '/api/groups': {
+    get: operation('listGroups', "The caller's multi-leg positions", {
+      auth: true,
+      responses: { 200: ok('Groups', listOf(ref('Group'))) }
+    }),
+    post: operation('createGroup', 'Start tracking a multi-leg position', {
+      auth: true,
+      requestBody: body({
+        type: 'object',
+        required: ['legs'],
+        anyOf: [{ required: ['trailAmount'] }, { required: ['trailingPercent'] }],
+        properties: {
+          id: count,
+          name: { type: 'string', maxLength: 100 },
+          expiryType: { type: 'string', enum: ['WEEKLY', 'MONTHLY'] },
+          expiry: { type: 'string', format: 'date' },
+          trailAmount: premium,
+          trailingPercent: { type: ['number', 'null'], exclusiveMinimum: 0, exclusiveMaximum: 100 },
+          legs: {
+            ...listOf({
+              type: 'object',
+              required: ['optionType', 'strike', 'entryPrice'],
+              anyOf: [{ required: ['quantity'] }, { required: ['lots'] }],
+              properties: {
+                side: { type: 'string', enum: SIDES },
+                optionType: { type: 'string', enum: ['CALL', 'PUT'] },
+                strike: { type: 'number', exclusiveMinimum: 0, multipleOf: 100 },
+                quantity: count,
+                lots: count,
+                entryPrice: premium
+              }
+            }),
+            minItems: 2,
+            maxItems: 4
+          }
+        }
+      }),
+      responses: { 201: groupResult },
+      errors: ['409', '422']
+    })
+  },
+  '/api/groups/{id}': {
+    put: operation('updateGroupPrices', 'Record leg premiums and trail the combined stop', {
+      auth: true,
+      parameters: [idParameter],
+      requestBody: body({
+        type: 'object',
+        required: ['prices'],
+        properties: { prices: listOf({ type: ['number', 'null'], minimum: 0 }) }
+      }),
+      responses: { 200: groupResult },
+      errors: ['404', '422']
+    }),
+    delete: operation('removeGroup', 'Move a multi-leg position to the trash', {
+      auth: true,
+      parameters: [idParameter],
+      responses: { 200: groupResult },
+      errors: ['404']
+    })
+  },
+  '/api/groups/{id}/exit': {
+    post: operation('exitGroup', 'Exit every leg together', {
+      auth: true,
+      parameters: [idParameter],
+      requestBody: body({
+        type: 'object',
+        properties: { prices: listOf({ type: ['number', 'null'], minimum: 0 }) }
+      }, false),
+      responses: { 200: groupResult },
+      errors: ['404', '422']
+    })
+  },
+
+  '/api/live': {
+    get: operation('getLiveData', 'Latest SENSEX and volatility data', {
+      responses: { 200: ok('Market data', ref('LiveData')) }
+    })
+  },
+  '/api/stream': {
+    get: operation('streamEvents', 'Server-Sent Events: live data, and position changes once signed in', {
+      parameters: [{ name: 'token', in: 'query', schema: { type: 'string' } }],
+      responses: {
+        200: {
+          description: '`live`, `option` and `group` events',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        }
+      }
+    })
+  },
+  '/api/candles': {
+    get: operation('getCandles', 'Intraday SENSEX candles with a session average', {
+      parameters: [
+        { name: 'timeframe', in: 'query', schema: { type: 'string', enum: Object.keys(TIMEFRAMES) } },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 500 } }
+      ],
+      responses: {
+        200: ok('Candles, oldest first', {
+          type: 'object',
+          required: ['timeframe', 'candles'],
+          properties: {
+            timeframe: { type: 'string' },
+            candles: listOf({
+              type: 'object',
+              required: ['time', 'open', 'high', 'low', 'close'],
+              properties: {
+                time: { type: 'integer' },
+                open: { type: 'number' },
+                high: { type: 'number' },
+                low: { type: 'number' },
+                close: { type: 'number' },
+                ticks: { type: 'integer' },
+                average: { type: 'number' }
+              }
+            })
+          }
+        })
+      }
+    })
+  },
+  '/api/market/status': {
+    get: operation('getMarketStatus', 'Market phase with the next open and close', {
+      responses: {
+        200: ok('Market status', {
+          type: 'object',
+          required: ['phase', 'optionsActive'],
+          properties: {
+            phase: { type: 'string' },
+            day: { type: 'string' },
+            session: { type: ['object', 'null'] },
+            holiday: { type: ['object', 'null'] },
+            optionsActive: { type: 'boolean' },
+            nextOpen: ref('SessionBoundary'),
+            nextClose: ref('SessionBoundary')
+          }
+        })
+      }
+    })
+  },
+  '/api/market/calendar': {
+    get: operation('getMarketCalendar', 'The loaded exchange calendar files', {
+      responses: { 200: ok('Calendar files', listOf({ type: 'object' })) }
+    })
+  },
+  '/api/openapi.json': {
+    get: operation('getApiDocument', 'This document', {
+      responses: { 200: ok('OpenAPI 3.1 document', { type: 'object' }) }
+    })
+  }
+};
+
+const errorBody = description => ({ description, ...json(ref('ErrorResponse')) });
+
+const apiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Sensex Options Tracker API',
+    version: '1.0.0',
+    description: 'Trailing stoploss tracking for SENSEX options. Portfolio routes need `Authorization: Bearer <token>` from POST /api/auth/login or an API token.'
+  },
+  paths,
+  components: {
+    schemas,
+    responses: {
+      400: errorBody('The request breaks the contract; `details` lists every problem'),
+      401: errorBody('Sign in required'),
+      404: errorBody('No such position for this user'),
+      409: errorBody('Already exists'),
+      422: errorBody('Well-formed, but the position rules turn it down')
+    },
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' }
+    }
+  }
+};
+
+module.exports = {
+  apiDocument
+};
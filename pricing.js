@@ -0,0 +1,131 @@
+/**
+ * Theoretical option premium and Greeks, shared by the browser and the
+ * API server.
+ *
+ * Prices European SENSEX options with Black-Scholes on the spot or
+ * Black-76 on a forward/futures price. Volatility is quoted in percent
+ * (18.5 means 18.5% a year) as in liveDataCache, and time to expiry runs
+ * to the 15:30 IST close of the expiry day.
+ *
+ * Greeks are per unit of premium, against the model's underlying (SENSEX
+ * spot for Black-Scholes, the forward for Black-76):
+ *   delta - premium change per 1 point of the underlying
+ *   gamma - delta change per 1 point of the underlying
+ *   theta - premium change per calendar day
+ *   vega  - premium change per 1 volatility point
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./contract'));
+  } else {
+    root.SensexPricing = factory(root.SensexContract);
+  }
+})(typeof self !== 'undefined' ? self : this, function (contract) {
+  const RISK_FREE_RATE = 0.065;
+  const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+  // Below this the feed's volatility is treated as missing
+  const MIN_VOLATILITY = 1;
+
+  function normPdf(x) {
+    return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+  }
+
+  /**
+   * Standard normal CDF (Abramowitz & Stegun 26.2.17, error < 7.5e-8)
+   */
+  function normCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    const tail = normPdf(x) * poly;
+    return x >= 0 ? 1 - tail : tail;
+  }
+
+  function yearsToExpiry(expiry, now = new Date()) {
+    return Math.max(0, (contract.expiryTime(expiry).getTime() - now.getTime()) / YEAR_MS);
+  }
+
+  /**
+   * Price one option.
+   * Input: { optionType, spot, strike, volatility (%), years, rate?, model?, forward? }
+   * model 'black-76' prices off `forward` (defaults to spot * e^(rT)),
+   * anything else uses Black-Scholes on the spot.
+   */
+  function priceOption({ optionType, spot, strike, volatility, years, rate = RISK_FREE_RATE, model = 'black-scholes', forward }) {
+    const isCall = optionType === 'CALL';
+
+    if (years <= 0 || volatility <= 0) {
+      return {
+        price: contract.intrinsicValue(optionType, strike, spot),
+        delta: isCall ? (spot > strike ? 1 : 0) : (spot < strike ? -1 : 0),
+        gamma: 0,
+        theta: 0,
+        vega: 0
+      };
+    }
+
+    const sigma = volatility / 100;
+    const sqrtT = Math.sqrt(years);
+    const discount = Math.exp(-rate * years);
+    const isBlack76 = model === 'black-76';
+    const underlying = isBlack76 ? (forward || spot / discount) : spot;
+    // Black-Scholes on S is Black-76 on the forward S * e^(rT)
+    const fwd = isBlack76 ? underlying : spot / discount;
+
+    const d1 = (Math.log(fwd / strike) + (sigma * sigma / 2) * years) / (sigma * sqrtT);
+    const d2 = d1 - sigma * sqrtT;
+    const nd1 = normPdf(d1);
+
+    const callPrice = discount * (fwd * normCdf(d1) - strike * normCdf(d2));
+    const price = isCall ? callPrice : callPrice - discount * (fwd - strike);
+
+    // Sensitivities are to the model's underlying: spot for Black-Scholes, forward for Black-76
+    const scale = isBlack76 ? discount : 1;
+    const delta = scale * (isCall ? normCdf(d1) : normCdf(d1) - 1);
+    const gamma = scale * nd1 / (underlying * sigma * sqrtT);
+    const vega = discount * fwd * nd1 * sqrtT / 100;
+    const decay = -discount * fwd * nd1 * sigma / (2 * sqrtT);
+    const thetaYear = isBlack76
+      ? decay + rate * price
+      : decay + (isCall ? -1 : 1) * rate * strike * discount * normCdf(isCall ? d2 : -d2);
+
+    return {
+      price: Math.max(0, price),
+      delta,
+      gamma,
+      theta: thetaYear / 365,
+      vega
+    };
+  }
+
+  /**
+   * Fair premium and Greeks for a tracked option from live market data
+   * ({ sensex, volatility } as in liveDataCache). Returns null when the
+   * option has no expiry or the market data is unusable.
+   */
+  function priceTrackedOption(option, market, now = new Date(), model = 'black-scholes') {
+    const spot = Number(market && market.sensex);
+    const volatility = Number(market && market.volatility);
+
+    if (!option.expiry || !Number.isFinite(spot) || spot <= 0 ||
+        !Number.isFinite(volatility) || volatility < MIN_VOLATILITY) {
+      return null;
+    }
+
+    return priceOption({
+      optionType: option.optionType,
+      spot,
+      strike: option.strike,
+      volatility,
+      years: yearsToExpiry(option.expiry, now),
+      model
+    });
+  }
+
+  return {
+    RISK_FREE_RATE,
+    normCdf,
+    yearsToExpiry,
+    priceOption,
+    priceTrackedOption
+  };
+});
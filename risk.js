@@ -0,0 +1,203 @@
+/**
+ * Portfolio risk, position sizing and the daily loss limit, shared by the
+ * browser and the API server.
+ *
+ * Open risk is what a position still gives back before its stop takes it
+ * out: (currentPrice - stoploss) x open quantity for a buyer, the reverse
+ * for a seller, never below zero. Exposure is the current premium value of
+ * the open quantity.
+ *
+ * Bias weighs exposure by direction: bought CALLs and written PUTs gain
+ * when SENSEX rises, bought PUTs and written CALLs when it falls.
+ *
+ * Risk settings, per account (or per browser in local mode):
+ *
+ *   accountSize     capital to size positions against (₹)
+ *   riskPercent     share of the account one trade may lose at its stop
+ *   dailyLossLimit  most the day may lose (₹); 0 or unset turns it off
+ *
+ * A new position breaks the daily limit when the day's realized P&L, less
+ * the open risk already on and the new position's own risk to its stop,
+ * would be a loss beyond the limit.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./contract'), require('./stoploss'));
+  } else {
+    root.SensexRisk = factory(root.SensexContract, root.SensexStoploss);
+  }
+})(typeof self !== 'undefined' ? self : this, function (contract, stoploss) {
+  const DEFAULT_SETTINGS = { accountSize: null, riskPercent: 1, dailyLossLimit: null };
+  // Share of directional exposure on one side before the book counts as leaning
+  const BIAS_THRESHOLD = 0.6;
+
+  /**
+   * Raised when a new position would break the daily loss limit. `check`
+   * is the checkDailyLoss() result behind it.
+   */
+  class RiskLimitError extends Error {
+    constructor(message, check) {
+      super(message);
+      this.name = 'RiskLimitError';
+      this.code = 'DAILY_LOSS_LIMIT';
+      this.check = check;
+    }
+  }
+
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  const direction = option => (stoploss.isShort(option) ? -1 : 1);
+
+  function positionRisk(option) {
+    if (!stoploss.isActive(option)) return 0;
+    const room = direction(option) * (option.currentPrice - option.stoploss);
+    return Math.max(0, room) * stoploss.getOpenQuantity(option);
+  }
+
+  function exposure(option) {
+    return stoploss.isActive(option) ? option.currentPrice * stoploss.getOpenQuantity(option) : 0;
+  }
+
+  /**
+   * Risk across the active positions:
+   * { positions, deployed, collected, openRisk, largest, calls, puts, bias }
+   * deployed is the premium paid for open bought options, collected the
+   * premium received for open written ones. largest is the position with
+   * the most exposure, { id, exposure, share } (share of all exposure, %),
+   * or null. bias is BULLISH, BEARISH or NEUTRAL.
+   */
+  function portfolioRisk(options) {
+    const open = options.filter(stoploss.isActive);
+    const sum = (list, value) => list.reduce((total, option) => total + value(option), 0);
+    const bought = open.filter(option => !stoploss.isShort(option));
+    const written = open.filter(stoploss.isShort);
+    const totalExposure = sum(open, exposure);
+
+    const largest = open.reduce((top, option) => (!top || exposure(option) > exposure(top) ? option : top), null);
+    const bullish = sum(open.filter(option => (option.optionType === 'CALL') === !stoploss.isShort(option)), exposure);
+    const bullishShare = totalExposure > 0 ? bullish / totalExposure : 0.5;
+
+    return {
+      positions: open.length,
+      deployed: round(sum(bought, option => option.entryPrice * stoploss.getOpenQuantity(option))),
+      collected: round(sum(written, option => option.entryPrice * stoploss.getOpenQuantity(option))),
+      openRisk: round(sum(open, positionRisk)),
+      largest: largest ? {
+        id: largest.id,
+        exposure: round(exposure(largest)),
+        share: totalExposure > 0 ? round((exposure(largest) / totalExposure) * 100) : 0
+      } : null,
+      calls: open.filter(option => option.optionType === 'CALL').length,
+      puts: open.filter(option => option.optionType === 'PUT').length,
+      bias: bullishShare >= BIAS_THRESHOLD ? 'BULLISH' : bullishShare <= 1 - BIAS_THRESHOLD ? 'BEARISH' : 'NEUTRAL'
+    };
+  }
+
+  /**
+   * Lots to trade so that a stop trailingPercent away from the entry loses
+   * no more than riskPercent of the account:
+   * { budget, riskPerLot, lots, quantity, risk }. lots is 0 when even one
+   * lot risks more than the budget.
+   */
+  function suggestSize({ accountSize, riskPercent, entryPrice, trailingPercent, lotSize = contract.LOT_SIZE }) {
+    const values = [accountSize, riskPercent, entryPrice, trailingPercent];
+    if (!values.every(value => Number.isFinite(value) && value > 0)) {
+      return null;
+    }
+
+    const budget = accountSize * riskPercent / 100;
+    const riskPerLot = entryPrice * trailingPercent / 100 * lotSize;
+    const lots = Math.floor(budget / riskPerLot);
+    return {
+      budget: round(budget),
+      riskPerLot: round(riskPerLot),
+      lots,
+      quantity: lots * lotSize,
+      risk: round(lots * riskPerLot)
+    };
+  }
+
+  /**
+   * P&L booked today (IST) across every exit
+   */
+  function realizedOn(options, now = new Date()) {
+    const today = contract.toIstDate(now);
+    return round(options.reduce((total, option) => total + (option.exits || [])
+      .filter(exit => contract.toIstDate(new Date(exit.exitedAt)) === today)
+      .reduce((sum, exit) => sum + exit.pnl, 0), 0));
+  }
+
+  /**
+   * Whether adding `candidate` (a freshly created option, or null for just
+   * the positions already on) keeps the day within dailyLossLimit:
+   * { limit, realized, openRisk, newRisk, worstCase, breached }. Never
+   * breached without a limit.
+   */
+  function checkDailyLoss(options, candidate, dailyLossLimit, now = new Date()) {
+    const realized = realizedOn(options, now);
+    const openRisk = round(options.reduce((total, option) => total + positionRisk(option), 0));
+    const newRisk = candidate ? round(positionRisk(candidate)) : 0;
+    const worstCase = round(realized - openRisk - newRisk);
+    const limit = Number(dailyLossLimit) > 0 ? Number(dailyLossLimit) : null;
+    return {
+      limit,
+      realized,
+      openRisk,
+      newRisk,
+      worstCase,
+      breached: limit !== null && worstCase < -limit
+    };
+  }
+
+  /**
+   * Throw a RiskLimitError when `candidate` breaks the daily loss limit
+   */
+  function assertWithinDailyLoss(options, candidate, dailyLossLimit, now = new Date()) {
+    const check = checkDailyLoss(options, candidate, dailyLossLimit, now);
+    if (check.breached) {
+      throw new RiskLimitError(
+        `This position could leave today ₹${Math.abs(check.worstCase).toFixed(2)} down, past the ₹${check.limit} daily loss limit`,
+        check
+      );
+    }
+    return check;
+  }
+
+  /**
+   * Check and complete risk settings. Throws a PositionError for values
+   * that make no sense.
+   */
+  function normalizeSettings(settings = {}) {
+    const result = { ...DEFAULT_SETTINGS };
+    ['accountSize', 'riskPercent', 'dailyLossLimit'].forEach((field) => {
+      const value = settings[field];
+      if (value === undefined) return;
+      if (value === null || value === '') {
+        result[field] = field === 'riskPercent' ? DEFAULT_SETTINGS.riskPercent : null;
+        return;
+      }
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0 || (field === 'riskPercent' && number === 0)) {
+        throw new stoploss.PositionError(`${field} must be a positive number`);
+      }
+      result[field] = number;
+    });
+    if (result.riskPercent > 100) {
+      throw new stoploss.PositionError('riskPercent must be at most 100');
+    }
+    return result;
+  }
+
+  return {
+    DEFAULT_SETTINGS,
+    RiskLimitError,
+    positionRisk,
+    portfolioRisk,
+    suggestSize,
+    checkDailyLoss,
+    assertWithinDailyLoss,
+    normalizeSettings
+  };
+});
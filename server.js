@@ -1,20 +1,403 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { createStore, observeStore } = require('./storage');
+const { createEventStream } = require('./event-stream');
+const { createAuth, AuthError, bearerToken } = require('./auth');
+const { apiDocument } = require('./openapi');
+const { createRequestValidator, invalidRequest } = require('./validation');
+const { detectAlerts, createAlertDeduper, DEFAULT_NEAR_PERCENT } = require('./alerts');
+const { WebhookError, DELIVERY_TIMEOUT_MS, assertPublicUrl, postToWebhook } = require('./webhooks');
+const { analyzeTrades } = require('./analytics');
+const { exportJson, exportCsv, parseImport, planImport, summarizePlan } = require('./transfer');
+const { createCandleSeries } = require('./candles');
+const { backtest } = require('./backtest');
+const { BROKER_PROFILES, RATES } = require('./charges');
+const {
+  RiskLimitError,
+  portfolioRisk,
+  checkDailyLoss,
+  assertWithinDailyLoss,
+  normalizeSettings
+} = require('./risk');
+const {
+  createGroup,
+  applyGroupPrices,
+  applyGroupExit,
+  settleGroupAtExpiry,
+  isGroupActive
+} = require('./groups');
+const {
+  PositionError,
+  STRATEGIES,
+  createOption,
+  isActive,
+  calculateStoploss
+} = require('./stoploss');
+const {
+  createEvent,
+  createGroupEvent,
+  applyEvent,
+  rebuild,
+  undoable,
+  removalOf,
+  groupRemovalOf,
+  marketEvent
+} = require('./history');
+const { isExpired, useCalendar } = require('./contract');
+const { createMarketCalendar } = require('./market-calendar');
+const { createProviderChain, recordQuote } = require('./market-data');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Browsers may call the API from the page this server serves, plus any
+// origin listed in CORS_ORIGINS (comma-separated, e.g.
+// https://tracker.example.com). Everything else gets no CORS headers.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 // Middleware
-app.use(cors());
-app.use(bodyParser.json());
+app.use(cors({
+  origin: (origin, callback) => callback(null, !origin || CORS_ORIGINS.includes(origin))
+}));
+// Imports and migrations carry whole price logs
+app.use(bodyParser.json({ limit: '5mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, '../public')));
 
-// In-memory storage for tracked options and live data cache
-let trackedOptions = [];
+// Persistent storage for tracked options.
+// STORAGE_BACKEND=memory keeps everything in process (useful for tests);
+// the default file backend writes to DATA_FILE and survives restarts.
+// Every change to a tracked option or multi-leg group is also pushed to
+// GET /api/stream.
+const events = createEventStream();
+const store = observeStore(createStore({
+  backend: process.env.STORAGE_BACKEND || 'file',
+  file: process.env.DATA_FILE || path.join(__dirname, '.data', 'options.json')
+}), handleOptionChange);
+
+// Accounts (auth.js). Every portfolio route needs a signed-in user and only
+// ever sees that user's options and groups, marked by their ownerId.
+const auth = createAuth({ store });
+const requireUser = auth.requireUser();
+
+// Every route checks its request against its operation in the OpenAPI
+// document (openapi.js, served at GET /api/openapi.json) and answers 400
+// with the problems before the handler runs. Handlers answer 422 when a
+// well-formed request breaks the position rules.
+const validate = createRequestValidator(apiDocument);
+
+function unprocessable(res, error) {
+  return res.status(422).json({ error: error.message, code: 'UNPROCESSABLE' });
+}
+
+/**
+ * The caller's own documents in a collection
+ */
+async function ownDocs(req, collection) {
+  return (await store.all(collection)).filter(doc => doc.ownerId === req.user.id);
+}
+
+/**
+ * store.find(), update() and remove() limited to the caller's documents.
+ * Someone else's document is treated as missing, so other users' ids are
+ * never confirmed.
+ */
+async function findOwn(req, collection, id) {
+  const doc = await store.find(collection, id);
+  return doc && doc.ownerId === req.user.id ? doc : null;
+}
+
+async function updateOwn(req, collection, id, mutator) {
+  return (await findOwn(req, collection, id)) ? store.update(collection, id, mutator) : null;
+}
+
+async function removeOwn(req, collection, id) {
+  return (await findOwn(req, collection, id)) ? store.remove(collection, id) : null;
+}
+
+/**
+ * Raised when a write would land on a document another account now holds
+ * under the same id. Answered with 409; nothing is written.
+ */
+class IdConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IdConflictError';
+  }
+}
+
+/**
+ * Throw an IdConflictError when any of `collections` holds `id` for
+ * someone other than the caller
+ */
+async function assertIdFree(req, collections, id) {
+  for (const collection of collections) {
+    const doc = await store.find(collection, id);
+    if (doc && doc.ownerId !== req.user.id) {
+      throw new IdConflictError(`Id ${id} is no longer free; track the position again to get a new one`);
+    }
+  }
+}
+
+/**
+ * Store `doc` in `collection` in place of the caller's document with its
+ * id, or as a new one. The owner is checked inside the write, so a
+ * document someone else holds is never overwritten.
+ */
+async function putOwn(req, collection, doc) {
+  const replaced = await store.update(collection, doc.id, (stored) => {
+    if (stored.ownerId !== req.user.id) {
+      throw new IdConflictError(`Id ${doc.id} is no longer free; track the position again to get a new one`);
+    }
+    Object.keys(stored).forEach(key => delete stored[key]);
+    Object.assign(stored, doc);
+  });
+  return replaced || store.insert(collection, doc);
+}
+
+// Position history (history.js): every change to an option is appended to
+// the 'events' collection as well as applied to the stored option. Removed
+// options move to 'trash' and can be restored, or the last exit or removal
+// undone, by replaying the log. Multi-leg groups log their exits and
+// removals with a copy of the group from before; removed groups move to
+// 'groupTrash'. Event ids are handed out by the store (append()), so they
+// keep growing even when several processes share one data file.
+const eventLogReady = normalizeStoredStops()
+  .catch((error) => {
+    console.error('Error normalizing stored stoplosses:', error.message);
+  })
+  .then(prepareEventLog);
+
+async function appendEvent(ownerId, event) {
+  await eventLogReady;
+  return store.append('events', { ownerId, ...event });
+}
+
+/**
+ * Apply a change to one of the caller's options and log it. Resolves to
+ * the option, or null when the caller has no such option.
+ */
+async function recordChange(req, id, type, data) {
+  const event = createEvent(type, id, data);
+  const option = await updateOwn(req, 'options', id, (stored) => {
+    applyEvent(stored, event);
+  });
+  if (option) {
+    await appendEvent(req.user.id, event);
+  }
+  return option;
+}
+
+/**
+ * Put one of the caller's groups back as it was before a logged exit or
+ * removal (out of the trash, if it is there) and log the undo
+ */
+async function restoreGroupBefore(req, event) {
+  const group = { ...event.data.group, ownerId: req.user.id };
+  await assertIdFree(req, ['groups', 'groupTrash'], event.groupId);
+  await removeOwn(req, 'groupTrash', event.groupId);
+  await putOwn(req, 'groups', group);
+  await appendEvent(req.user.id, createGroupEvent('UNDONE', event.groupId, { eventId: event.id }));
+  return group;
+}
+
+/**
+ * Replay one of the caller's options with `event` added to its log, then
+ * log the event and store the result where it now belongs: 'options', or
+ * 'trash' once removed. Nothing is written when the replay fails or the
+ * id has since gone to another account (IdConflictError).
+ */
+async function replayOwn(req, id, event) {
+  const log = (await ownDocs(req, 'events')).filter(logged => logged.optionId === id);
+  const option = { ...rebuild([...log, event]), ownerId: req.user.id };
+  await assertIdFree(req, ['options', 'trash'], id);
+  await appendEvent(req.user.id, event);
+
+  const [collection, other] = option.deletedAt ? ['trash', 'options'] : ['options', 'trash'];
+  await removeOwn(req, other, id);
+  await putOwn(req, collection, option);
+  return option;
+}
+
+/**
+ * The caller's risk settings (risk.js), stored by user id
+ */
+async function getRiskSettings(req) {
+  return normalizeSettings((await store.find('settings', req.user.id)) || {});
+}
+
+/**
+ * Ids in a collection that belong to other users
+ */
+async function othersIds(req, collection) {
+  return (await store.all(collection))
+    .filter(doc => doc.ownerId !== req.user.id)
+    .map(doc => doc.id);
+}
+
+/**
+ * The id a new document of the caller's is stored under: `id` itself when
+ * it is free in `collections`, or a fresh one when another account holds
+ * it, so a caller never learns which ids other portfolios use. null when
+ * the caller already has a document with that id.
+ */
+async function claimId(req, collections, id) {
+  const docs = [];
+  for (const collection of collections) {
+    docs.push(...await store.all(collection));
+  }
+  const holder = docs.find(doc => doc.id === id);
+  if (!holder) {
+    return id;
+  }
+  if (holder.ownerId === req.user.id) {
+    return null;
+  }
+  return docs.reduce((highest, doc) => Math.max(highest, doc.id), Date.now()) + 1;
+}
+
+/**
+ * Option ids an import or migration must not reuse: other accounts'
+ * options and everything in the trash, which keeps its id until restored
+ */
+async function reservedOptionIds(req) {
+  return [...await othersIds(req, 'options'), ...(await store.all('trash')).map(option => option.id)];
+}
+
+// Alert webhooks: every account sets its own URLs (PUT /api/webhooks), and
+// each gets a JSON POST for every alert on that account's positions (`text`
+// carries the message, so Slack-style incoming webhooks work as-is).
+// ALERT_WEBHOOKS, a comma-separated list, is for the one account named in
+// ALERT_WEBHOOKS_USER - alerts carry positions and P&L, so they never go to
+// a hook the account did not choose. An account's own URLs must point at
+// public addresses (webhooks.js); the operator's are trusted as they are.
+// ALERT_NEAR_PERCENT sets how close to the stop counts as near.
+const ALERT_WEBHOOKS = (process.env.ALERT_WEBHOOKS || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+const ALERT_WEBHOOKS_USER = process.env.ALERT_WEBHOOKS_USER || null;
+if (ALERT_WEBHOOKS.length > 0 && !ALERT_WEBHOOKS_USER) {
+  console.warn('ALERT_WEBHOOKS is ignored until ALERT_WEBHOOKS_USER names the account it is for');
+}
+const ALERT_NEAR_PERCENT = Number(process.env.ALERT_NEAR_PERCENT) || DEFAULT_NEAR_PERCENT;
+const isNewAlert = createAlertDeduper();
+
+function handleOptionChange(change) {
+  publishOptionChange(change);
+  if (change.collection === 'options' && change.type === 'update') {
+    sendAlertWebhooks(change.previous, change.doc);
+  }
+}
+
+/**
+ * The webhook URLs an account's alerts go to
+ */
+async function webhooksFor(userId) {
+  const doc = await store.find('webhooks', userId);
+  const urls = doc ? doc.urls : [];
+  return userId === ALERT_WEBHOOKS_USER ? [...new Set([...urls, ...ALERT_WEBHOOKS])] : urls;
+}
+
+/**
+ * POST every new alert for an option change to its owner's webhooks.
+ * Delivery is fire-and-forget; a failing webhook never blocks an update.
+ */
+function sendAlertWebhooks(previous, option) {
+  if (!option.ownerId) return;
+
+  const alerts = detectAlerts(previous, option, { nearPercent: ALERT_NEAR_PERCENT })
+    .filter(alert => isNewAlert(alert));
+  if (alerts.length === 0) return;
+
+  const trusted = option.ownerId === ALERT_WEBHOOKS_USER ? ALERT_WEBHOOKS : [];
+  webhooksFor(option.ownerId)
+    .then((urls) => {
+      alerts.forEach((alert) => {
+        const payload = { text: alert.message, ...alert };
+        urls.forEach((url) => {
+          const delivery = trusted.includes(url)
+            ? axios.post(url, payload, { timeout: DELIVERY_TIMEOUT_MS })
+            : postToWebhook(url, payload);
+          delivery.catch(error => console.error(`Alert webhook ${url} failed:`, error.message));
+        });
+      });
+    })
+    .catch(error => console.error('Error loading alert webhooks:', error.message));
+}
+
+/**
+ * Stream an option change to its owner's clients. previousStatus lets
+ * clients spot transitions such as TRACKING -> STOPLOSS_HIT without
+ * diffing. Positions nobody owns yet are not streamed.
+ */
+function publishOptionChange({ collection, type, doc, previous }) {
+  if (!doc.ownerId) return;
+  if (collection === 'groups') {
+    events.publish('group', {
+      change: type,
+      id: doc.id,
+      status: type === 'remove' ? null : doc.status,
+      previousStatus: previous ? previous.status : null,
+      group: type === 'remove' ? null : doc
+    }, doc.ownerId);
+    return;
+  }
+  if (collection !== 'options') return;
+  events.publish('option', {
+    change: type,
+    id: doc.id,
+    status: type === 'remove' ? null : doc.status,
+    previousStatus: previous ? previous.status : null,
+    option: type === 'remove' ? null : doc
+  }, doc.ownerId);
+}
+
+/**
+ * Read every data/bse-calendar-YYYY.json. Years without a file fall back
+ * to plain weekday sessions.
+ */
+function loadCalendarFiles(dir) {
+  try {
+    return fs.readdirSync(dir)
+      .filter(name => /^bse-calendar-\d{4}\.json$/.test(name))
+      .sort()
+      .map(name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+  } catch (error) {
+    console.error('Error loading market calendar:', error.message);
+    return [];
+  }
+}
+
+const calendarFiles = loadCalendarFiles(path.join(__dirname, 'data'));
+const marketCalendar = createMarketCalendar(calendarFiles);
+// Expiries that land on an exchange holiday move to the previous trading day
+useCalendar(marketCalendar);
+
+// Market data providers, tried in order until one answers.
+// MARKET_DATA_PROVIDERS=replay with MARKET_REPLAY_SOURCE (a recording file or
+// HTTP stub URL) runs the server offline on recorded quotes;
+// MARKET_RECORD_FILE saves live quotes in the same format.
+const marketData = createProviderChain({
+  providers: process.env.MARKET_DATA_PROVIDERS || 'rapidapi,yahoo,simulated',
+  replaySource: process.env.MARKET_REPLAY_SOURCE,
+  replayLoop: process.env.MARKET_REPLAY_LOOP !== 'false',
+  isOpen: () => marketCalendar.isOpen()
+});
+const MARKET_RECORD_FILE = process.env.MARKET_RECORD_FILE;
+
+// Intraday candles from the quotes fetched while the market trades.
+// Kept in memory; a restart starts a fresh series.
+const candleSeries = createCandleSeries();
+
+// Live data cache
 let liveDataCache = {
   sensex: 75423,
   volatility: 18.5,
@@ -23,346 +406,1250 @@ let liveDataCache = {
   marketStatus: 'CLOSED',
   optionsActive: false,
   lastUpdate: new Date(),
+  provider: null,
   error: null
 };
 
+// Expiry settlement closes positions for good, so it goes by the last
+// quote from a real feed (market-data.js `live`) and only while that quote
+// is fresh - never the simulation or the placeholder above
+const SETTLEMENT_QUOTE_MAX_AGE_MS = 60 * 1000;
+let settlementQuote = null;
+let settlementWaiting = false;
+
+/**
+ * Give positions stored before accounts existed to the first account
+ */
+async function claimUnownedPositions(user) {
+  for (const collection of ['options', 'groups', 'trash', 'groupTrash', 'events']) {
+    for (const doc of await store.all(collection)) {
+      if (doc.ownerId) continue;
+      await store.update(collection, doc.id, (stored) => {
+        stored.ownerId = user.id;
+      });
+    }
+  }
+}
+
+/**
+ * POST /api/auth/register
+ * Create an account and sign in to it
+ * Body: { username, password }
+ * The first account also takes over any positions tracked before accounts
+ * existed.
+ */
+app.post('/api/auth/register', validate('registerUser'), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = await auth.register({ username, password });
+    if ((await store.all('users')).length === 1) {
+      await claimUnownedPositions(user);
+    }
+
+    const session = await auth.login({ username, password });
+    res.status(201).json({ success: true, ...session });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in. The response's token goes in `Authorization: Bearer <token>`
+ * on every portfolio request until expiresAt.
+ * Body: { username, password }
+ */
+app.post('/api/auth/login', validate('login'), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    res.json({ success: true, ...(await auth.login({ username, password })) });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the session (or revoke the API token) the request was made with
+ */
+app.post('/api/auth/logout', requireUser, validate('logout'), async (req, res) => {
+  try {
+    await auth.logout(bearerToken(req));
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The signed-in user
+ */
+app.get('/api/auth/me', requireUser, validate('getCurrentUser'), (req, res) => {
+  res.json({ user: req.user });
+});
+
+/**
+ * GET /api/auth/tokens
+ * List the caller's API tokens (never the token values)
+ */
+app.get('/api/auth/tokens', requireUser, validate('listApiTokens'), async (req, res) => {
+  try {
+    res.json(await auth.listApiTokens(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/tokens
+ * Make an API token for scripts. It does not expire and is only shown in
+ * this response.
+ * Body: { name? }
+ */
+app.post('/api/auth/tokens', requireUser, validate('createApiToken'), async (req, res) => {
+  try {
+    const { token, apiToken } = await auth.createApiToken(req.user.id, req.body.name);
+    res.status(201).json({ success: true, token, apiToken });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * Revoke one of the caller's API tokens
+ */
+app.delete('/api/auth/tokens/:id', requireUser, validate('revokeApiToken'), async (req, res) => {
+  try {
+    const apiToken = await auth.revokeApiToken(req.user.id, req.params.id);
+
+    if (!apiToken) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    res.json({ success: true, apiToken });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/track
+ * Start tracking a new Sensex option
+ * Body: { entryPrice, quantity | lots, trailingPercent, optionType, strike,
+ *         side?, expiryType?, expiry?, strategy?, targets?, modelPricing?,
+ *         broker?, id? }
+ * side is BUY (default) or SELL for a written option, whose stop trails
+ * above the lowest premium. quantity must be whole SENSEX lots and strike
+ * a multiple of 100; expiry defaults to the nearest WEEKLY (or MONTHLY)
+ * expiry.
+ * strategy is { type, params } from GET /api/strategies and defaults to a
+ * percentage trail of trailingPercent. targets is [{ price, quantity? }].
+ * broker is a charges profile from GET /api/brokers; P&L is reported gross,
+ * with the charges and net beside it.
+ * A position that could take the day past the caller's daily loss limit
+ * (GET /api/settings) is refused with 422 DAILY_LOSS_LIMIT and the numbers
+ * behind it in `risk`; send acceptRisk: true to track it anyway.
+ * Clients working offline pick their own numeric id so queued follow-up
+ * updates can refer to the option before the server has seen it. An id
+ * another account already uses is swapped for a fresh one, so go by the id
+ * in the answer.
+ */
+app.post('/api/track', requireUser, validate('trackOption'), async (req, res) => {
+  try {
+    const {
+      entryPrice, quantity, lots, trailingPercent, optionType, strike,
+      side, expiryType, expiry, strategy, targets, modelPricing, broker, acceptRisk
+    } = req.body;
+
+    const option = createOption({
+      id: req.body.id || Date.now(),
+      entryPrice,
+      quantity,
+      lots,
+      trailingPercent,
+      strategy,
+      targets,
+      side,
+      optionType,
+      strike,
+      expiryType,
+      expiry,
+      modelPricing,
+      broker
+    });
+    option.ownerId = req.user.id;
+
+    if (!acceptRisk) {
+      const { dailyLossLimit } = await getRiskSettings(req);
+      assertWithinDailyLoss(await ownDocs(req, 'options'), option, dailyLossLimit);
+    }
+
+    // A trashed option keeps its id, and its history, until it is restored
+    option.id = await claimId(req, ['options', 'trash'], option.id);
+    if (option.id === null) {
+      return res.status(409).json({ error: 'Option already exists' });
+    }
+    await store.insert('options', option);
+    await appendEvent(req.user.id, createEvent('CREATED', option.id, { option }, new Date(option.createdAt)));
+    res.status(201).json({ success: true, option });
+  } catch (error) {
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
+    if (error instanceof RiskLimitError) {
+      return res.status(422).json({ error: error.message, code: error.code, risk: error.check });
+    }
+    if (error.code === 'DUPLICATE_ID') {
+      return res.status(409).json({ error: 'Option already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/strategies
+ * List the available trailing strategies and their parameters
+ */
+app.get('/api/strategies', validate('listStrategies'), (req, res) => {
+  const strategies = Object.entries(STRATEGIES).map(([type, definition]) => ({
+    type,
+    label: definition.label,
+    params: definition.params
+  }));
+  res.json(strategies);
+});
+
+/**
+ * GET /api/brokers
+ * List the broker profiles charges are worked out with, and the statutory
+ * rates they share
+ */
+app.get('/api/brokers', validate('listBrokerProfiles'), (req, res) => {
+  const profiles = Object.entries(BROKER_PROFILES).map(([id, profile]) => ({ id, ...profile }));
+  res.json({ profiles, rates: RATES });
+});
+
+/**
+ * GET /api/options
+ * Get all of the caller's tracked options
+ */
+app.get('/api/options', requireUser, validate('listOptions'), async (req, res) => {
+  try {
+    res.json(await ownDocs(req, 'options'));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/settings
+ * The caller's risk settings: { accountSize, riskPercent, dailyLossLimit }
+ */
+app.get('/api/settings', requireUser, validate('getRiskSettings'), async (req, res) => {
+  try {
+    res.json(await getRiskSettings(req));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/settings
+ * Change risk settings. Fields left out keep their value; null clears one.
+ * Body: { accountSize?, riskPercent?, dailyLossLimit? }
+ */
+app.put('/api/settings', requireUser, validate('updateRiskSettings'), async (req, res) => {
+  try {
+    const settings = normalizeSettings({ ...(await getRiskSettings(req)), ...req.body });
+    const saved = await store.update('settings', req.user.id, (doc) => {
+      Object.assign(doc, settings);
+    });
+    if (!saved) {
+      await store.insert('settings', { id: req.user.id, ...settings });
+    }
+    res.json({ success: true, settings });
+  } catch (error) {
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * The URLs the caller's alerts are posted to: { urls }
+ */
+app.get('/api/webhooks', requireUser, validate('getWebhooks'), async (req, res) => {
+  try {
+    res.json({ urls: await webhooksFor(req.user.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/webhooks
+ * Replace the caller's alert webhooks; an empty list turns them off.
+ * ALERT_WEBHOOKS from the environment stay on for ALERT_WEBHOOKS_USER.
+ * A URL whose host is not a public address is refused with 422.
+ * Body: { urls: [url] }
+ */
+app.put('/api/webhooks', requireUser, validate('updateWebhooks'), async (req, res) => {
+  try {
+    const urls = [...new Set(req.body.urls)];
+    for (const url of urls) {
+      await assertPublicUrl(url);
+    }
+    const saved = await store.update('webhooks', req.user.id, (doc) => {
+      doc.urls = urls;
+    });
+    if (!saved) {
+      await store.insert('webhooks', { id: req.user.id, urls });
+    }
+    res.json({ success: true, urls: await webhooksFor(req.user.id) });
+  } catch (error) {
+    if (error instanceof WebhookError) {
+      return unprocessable(res, error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/risk
+ * Risk across the caller's open positions: capital deployed, open risk to
+ * the stops, the largest exposure and CALL/PUT bias, plus where the day
+ * stands against the daily loss limit
+ */
+app.get('/api/risk', requireUser, validate('getPortfolioRisk'), async (req, res) => {
+  try {
+    const options = await ownDocs(req, 'options');
+    const { dailyLossLimit } = await getRiskSettings(req);
+    res.json({ ...portfolioRisk(options), daily: checkDailyLoss(options, null, dailyLossLimit) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/analytics
+ * Performance of exited, expired and stopped-out options: realized P&L by
+ * day and week, win rate, average win/loss, expectancy, max drawdown and
+ * average holding time, overall and by CALL/PUT and trailing setting, plus
+ * the trade journal.
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD (IST close dates, inclusive)
+ */
+app.get('/api/analytics', requireUser, validate('getAnalytics'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    res.json(analyzeTrades(await ownDocs(req, 'options'), { from, to }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/backtest
+ * Replay historical premiums through a trailing rule: exit time and price,
+ * P&L and max favourable/adverse excursion. A sweep runs the rule once per
+ * trailing percent so the results can be compared. Nothing is stored.
+ * Body: { data } (CSV of timestamp,price) or { premiums: [{ time, price }] },
+ *       trailingPercent | strategy, quantity | lots, side?, targets?, broker?,
+ *       sweep?: { from, to, step } | [percent]
+ */
+app.post('/api/backtest', validate('runBacktest'), (req, res) => {
+  try {
+    const { data, premiums, ...settings } = req.body;
+    res.json(backtest(Array.isArray(premiums) ? premiums : data, settings));
+  } catch (error) {
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/options/:id
+ * Update the current price of an option
+ * Body: { currentPrice }
+ */
+app.put('/api/options/:id', requireUser, validate('updateOptionPrice'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { currentPrice } = req.body;
+
+    const option = await recordChange(req, id, 'PRICE_UPDATED', { price: currentPrice });
+
+    if (!option) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
+    res.json({ success: true, option });
+  } catch (error) {
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/options
+ * Update the current price of several options at once
+ * Body: { prices: [{ id, currentPrice }] }
+ * Nothing changes unless every option is found; the updates are then
+ * applied in the order given.
+ */
+app.put('/api/options', requireUser, validate('updateOptionPrices'), async (req, res) => {
+  try {
+    const { prices } = req.body;
+
+    const ownIds = new Set((await ownDocs(req, 'options')).map(option => option.id));
+    const missing = prices.filter(({ id }) => !ownIds.has(id)).map(({ id }) => id);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Option not found: ${missing.join(', ')}` });
+    }
+
+    const options = [];
+    for (const { id, currentPrice } of prices) {
+      options.push(await recordChange(req, id, 'PRICE_UPDATED', { price: currentPrice }));
+    }
+    res.json({ success: true, options });
+  } catch (error) {
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/options/:id
+ * Edit a live option: a new trailing % or strategy (the stop is worked out
+ * again from the best price), or more quantity at `price` (default the
+ * current premium) averaged into the entry. Recorded in option.audit.
+ * Body: { trailingPercent?, strategy?, addQuantity? | addLots?, price? }
+ */
+app.patch('/api/options/:id', requireUser, validate('editOption'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { trailingPercent, strategy, addQuantity, addLots, price } = req.body;
+
+    const option = await recordChange(req, id, 'EDITED', { trailingPercent, strategy, addQuantity, addLots, price });
+
+    if (!option) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
+    res.json({ success: true, option });
+  } catch (error) {
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/options/:id
+ * Remove an option from tracking. It moves to the trash (GET /api/trash),
+ * from where it can be restored.
+ */
+app.delete('/api/options/:id', requireUser, validate('removeOption'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const removedOption = await removeOwn(req, 'options', id);
+
+    if (!removedOption) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
+    const event = createEvent('REMOVED', id);
+    applyEvent(removedOption, event);
+    await store.insert('trash', removedOption);
+    await appendEvent(req.user.id, event);
+    res.json({ success: true, message: 'Option moved to the trash', option: removedOption });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/options/:id/exit
+ * Exit an option. Without a body the whole open quantity is closed at
+ * the current price.
+ * Body (optional): { quantity, price } to scale out of part of it
+ */
+app.post('/api/options/:id/exit', requireUser, validate('exitOption'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { quantity, price } = req.body || {};
+
+    const option = await recordChange(req, id, 'EXITED', { quantity, price });
+
+    if (!option) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
+    res.json({ success: true, option });
+  } catch (error) {
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/options/:id/model-pricing
+ * Let the theoretical premium drive the trailing stop between manual updates
+ * Body: { enabled }
+ */
+app.post('/api/options/:id/model-pricing', requireUser, validate('setModelPricing'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { enabled } = req.body;
+
+    const option = await recordChange(req, id, 'MODEL_PRICING', { enabled });
+
+    if (!option) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
+    res.json({ success: true, option });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/options/:id/alerts
+ * Mute or unmute alerts (browser notifications and webhooks) for one option
+ * Body: { muted }
+ */
+app.post('/api/options/:id/alerts', requireUser, validate('setAlertsMuted'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { muted } = req.body;
+
+    const option = await recordChange(req, id, 'ALERTS_MUTED', { muted });
+
+    if (!option) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
+    res.json({ success: true, option });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
- * POST /api/track
- * Start tracking a new Sensex option
- * Body: { entryPrice, quantity, trailingPercent, optionType, strike }
+ * POST /api/options/:id/targets
+ * Add a profit target to a running option
+ * Body: { price, quantity? }
  */
-app.post('/api/track', (req, res) => {
+app.post('/api/options/:id/targets', requireUser, validate('addTarget'), async (req, res) => {
   try {
-    const { entryPrice, quantity, trailingPercent, optionType, strike } = req.body;
+    const { id } = req.params;
+    const { price, quantity } = req.body;
+
+    const option = await recordChange(req, id, 'TARGET_ADDED', { target: { price, quantity } });
 
-    if (!entryPrice || !quantity || trailingPercent === undefined || !optionType || !strike) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (!option) {
+      return res.status(404).json({ error: 'Option not found' });
     }
 
-    const option = {
-      id: Date.now(),
-      entryPrice: parseFloat(entryPrice),
-      currentPrice: parseFloat(entryPrice),
-      quantity: parseInt(quantity),
-      trailingPercent: parseFloat(trailingPercent),
-      optionType, // 'CALL' or 'PUT'
-      strike: parseFloat(strike),
-      highestPrice: parseFloat(entryPrice),
-      stoploss: calculateStoploss(parseFloat(entryPrice), parseFloat(trailingPercent), optionType),
-      status: 'TRACKING',
-      createdAt: new Date(),
-      updateLog: []
-    };
+    res.json({ success: true, option });
+  } catch (error) {
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    trackedOptions.push(option);
-    res.status(201).json({ success: true, option });
+/**
+ * POST /api/migrate
+ * Import positions tracked in a browser's localStorage
+ * Body: { options: [option] }
+ * Each option goes through the same checks as an import (transfer.js).
+ * Ones the caller already has are skipped, so a migration that is retried
+ * after a dropped connection is harmless; one whose id is in the trash or
+ * another account comes in under a new id. They become the caller's
+ * positions.
+ */
+app.post('/api/migrate', requireUser, validate('migrateOptions'), async (req, res) => {
+  try {
+    const { options } = req.body;
+
+    const plan = planImport(await ownDocs(req, 'options'), options.map(option => ({ ...option, ownerId: req.user.id })), {
+      onDuplicate: 'skip',
+      reservedIds: await reservedOptionIds(req)
+    });
+
+    for (const option of plan.insert) {
+      await store.insert('options', option);
+      await appendEvent(req.user.id, createEvent('SNAPSHOT', option.id, { option }));
+    }
+
+    res.json({ success: true, imported: plan.insert.length, skipped: plan.skipped.length, invalid: plan.invalid });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/options
- * Get all tracked options
+ * GET /api/export
+ * Download every one of the caller's options with its price log
+ * Query: ?format=json (default) | csv
  */
-app.get('/api/options', (req, res) => {
-  res.json(trackedOptions);
+app.get('/api/export', requireUser, validate('exportOptions'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    const options = await ownDocs(req, 'options');
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.attachment(`sensex-options-${stamp}.${format}`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/json');
+    res.send(format === 'csv' ? exportCsv(options) : exportJson(options));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 /**
- * PUT /api/options/:id
- * Update the current price of an option
- * Body: { currentPrice }
+ * POST /api/import
+ * Import options from a JSON or CSV export
+ * Body: { data } (export file contents) or { options: [option] },
+ *       onDuplicate?: 'skip' | 'replace' | 'new-id', dryRun?
+ * With dryRun nothing is written; the response previews what would happen.
+ * Invalid options are listed with their problems and never imported.
+ * Imported options become the caller's; an id another user already has,
+ * or one in the trash, is always imported under a new id.
  */
-app.put('/api/options/:id', (req, res) => {
+app.post('/api/import', requireUser, validate('importOptions'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { currentPrice } = req.body;
+    const { data, options, onDuplicate = 'skip', dryRun = false } = req.body;
+
+    let incoming;
+    try {
+      incoming = Array.isArray(options) ? options : parseImport(data);
+    } catch (error) {
+      return res.status(422).json({ error: `Could not read import: ${error.message}`, code: 'UNPROCESSABLE' });
+    }
 
-    if (currentPrice === undefined) {
-      return res.status(400).json({ error: 'Missing currentPrice' });
+    const plan = planImport(await ownDocs(req, 'options'), incoming.map(option => (
+      option && typeof option === 'object' ? { ...option, ownerId: req.user.id } : option
+    )), {
+      onDuplicate,
+      reservedIds: await reservedOptionIds(req)
+    });
+
+    if (!dryRun) {
+      for (const option of plan.insert) {
+        await store.insert('options', option);
+        await appendEvent(req.user.id, createEvent('SNAPSHOT', option.id, { option }));
+      }
+      for (const option of plan.replace) {
+        await store.update('options', option.id, (stored) => {
+          Object.keys(stored).forEach(key => delete stored[key]);
+          Object.assign(stored, option);
+        });
+        await appendEvent(req.user.id, createEvent('SNAPSHOT', option.id, { option }));
+      }
     }
 
-    const option = trackedOptions.find(opt => opt.id === parseInt(id));
+    res.json({ success: true, dryRun: Boolean(dryRun), ...summarizePlan(plan) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/options/:id
+ * Get details of a specific option
+ */
+app.get('/api/options/:id', requireUser, validate('getOption'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const option = await findOwn(req, 'options', id);
+
     if (!option) {
       return res.status(404).json({ error: 'Option not found' });
     }
 
-    const newPrice = parseFloat(currentPrice);
-    const oldHighest = option.highestPrice;
-    const oldStoploss = option.stoploss;
+    res.json(option);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/options/:id/events
+ * The history of one of the caller's options, tracked or in the trash:
+ * every event it was built from, oldest first
+ */
+app.get('/api/options/:id/events', requireUser, validate('listOptionEvents'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const log = (await ownDocs(req, 'events')).filter(event => event.optionId === id);
 
-    // Update highest price if current price is higher
-    if (newPrice > option.highestPrice) {
-      option.highestPrice = newPrice;
+    if (log.length === 0) {
+      return res.status(404).json({ error: 'Option not found' });
     }
 
-    option.currentPrice = newPrice;
+    res.json(log.map(({ ownerId, ...event }) => event));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Recalculate stoploss based on highest price
-    option.stoploss = calculateStoploss(option.highestPrice, option.trailingPercent, option.optionType);
+/**
+ * POST /api/undo
+ * Undo the caller's last exit or removal. An exited option reopens with
+ * every later price update replayed against it; a removed one comes back
+ * out of the trash. A multi-leg group goes back to how it was before.
+ */
+app.post('/api/undo', requireUser, validate('undoLastChange'), async (req, res) => {
+  try {
+    const { ownerId, ...undone } = undoable(await ownDocs(req, 'events')) || {};
 
-    // Log the update
-    option.updateLog.push({
-      timestamp: new Date(),
-      previousPrice: oldHighest,
-      newPrice: newPrice,
-      stoploss: option.stoploss,
-      pnl: calculatePnL(option)
-    });
+    if (!undone.id) {
+      return res.status(404).json({ error: 'Nothing to undo' });
+    }
 
-    // Check if stoploss is hit
-    if (isStoplossHit(option)) {
-      option.status = 'STOPLOSS_HIT';
+    if (undone.groupId) {
+      const group = await restoreGroupBefore(req, undone);
+      return res.json({ success: true, undone, group });
     }
 
-    res.json({ success: true, option });
+    const option = await replayOwn(req, undone.optionId, createEvent('UNDONE', undone.optionId, { eventId: undone.id }));
+    res.json({ success: true, undone, option });
   } catch (error) {
+    if (error instanceof IdConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * DELETE /api/options/:id
- * Remove an option from tracking
+ * GET /api/trash
+ * The caller's removed options, most recently removed first
+ */
+app.get('/api/trash', requireUser, validate('listTrash'), async (req, res) => {
+  try {
+    const options = await ownDocs(req, 'trash');
+    res.json(options.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/trash/groups
+ * The caller's removed multi-leg positions, most recently removed first
+ */
+app.get('/api/trash/groups', requireUser, validate('listGroupTrash'), async (req, res) => {
+  try {
+    const groups = await ownDocs(req, 'groupTrash');
+    res.json(groups.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/trash/groups/:id/restore
+ * Bring a removed multi-leg position back, as it was when removed
  */
-app.delete('/api/options/:id', (req, res) => {
+app.post('/api/trash/groups/:id/restore', requireUser, validate('restoreGroup'), async (req, res) => {
   try {
     const { id } = req.params;
-    const index = trackedOptions.findIndex(opt => opt.id === parseInt(id));
+    const removal = (await findOwn(req, 'groupTrash', id)) && groupRemovalOf(await ownDocs(req, 'events'), id);
 
-    if (index === -1) {
-      return res.status(404).json({ error: 'Option not found' });
+    if (!removal) {
+      return res.status(404).json({ error: 'Group not found' });
     }
 
-    const removedOption = trackedOptions.splice(index, 1)[0];
-    res.json({ success: true, message: 'Option removed', option: removedOption });
+    res.json({ success: true, group: await restoreGroupBefore(req, removal) });
   } catch (error) {
+    if (error instanceof IdConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/options/:id/exit
- * Exit an option at current price
+ * POST /api/trash/:id/restore
+ * Bring a removed option back into tracking, as it was when removed
  */
-app.post('/api/options/:id/exit', (req, res) => {
+app.post('/api/trash/:id/restore', requireUser, validate('restoreOption'), async (req, res) => {
   try {
     const { id } = req.params;
-    const option = trackedOptions.find(opt => opt.id === parseInt(id));
+    const removal = (await findOwn(req, 'trash', id)) && removalOf(await ownDocs(req, 'events'), id);
 
-    if (!option) {
+    if (!removal) {
       return res.status(404).json({ error: 'Option not found' });
     }
 
-    option.status = 'EXITED';
-    option.exitPrice = option.currentPrice;
-    option.exitedAt = new Date();
-    option.finalPnL = calculatePnL(option);
-
+    const option = await replayOwn(req, id, createEvent('UNDONE', id, { eventId: removal.id }));
     res.json({ success: true, option });
   } catch (error) {
+    if (error instanceof IdConflictError) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/options/:id
- * Get details of a specific option
+ * GET /api/groups
+ * Get all of the caller's multi-leg positions
+ */
+app.get('/api/groups', requireUser, validate('listGroups'), async (req, res) => {
+  try {
+    res.json(await ownDocs(req, 'groups'));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/groups
+ * Start tracking a multi-leg position (straddle, strangle, spread, condor)
+ * whose trailing stop follows the combined P&L of its legs
+ * Body: { legs: [{ side: 'BUY' | 'SELL', optionType, strike, quantity | lots,
+ *         entryPrice }], trailAmount | trailingPercent, name?, expiryType?,
+ *         expiry?, id? }
+ * Every leg shares the group's expiry. trailingPercent is of the gross
+ * premium of all legs. As with POST /api/track, an id another account uses
+ * is swapped for a fresh one.
+ */
+app.post('/api/groups', requireUser, validate('createGroup'), async (req, res) => {
+  try {
+    const { legs, trailAmount, trailingPercent, name, expiryType, expiry } = req.body;
+
+    const group = createGroup({
+      id: req.body.id || Date.now(),
+      name,
+      expiryType,
+      expiry,
+      trailAmount,
+      trailingPercent,
+      legs: legs.map(leg => ({
+        side: leg.side,
+        optionType: leg.optionType,
+        strike: leg.strike,
+        quantity: leg.quantity,
+        lots: leg.lots,
+        entryPrice: leg.entryPrice
+      }))
+    });
+    group.ownerId = req.user.id;
+
+    // A trashed group keeps its id until it is restored
+    group.id = await claimId(req, ['groups', 'groupTrash'], group.id);
+    if (group.id === null) {
+      return res.status(409).json({ error: 'Group already exists' });
+    }
+    await store.insert('groups', group);
+    res.status(201).json({ success: true, group });
+  } catch (error) {
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
+    if (error.code === 'DUPLICATE_ID') {
+      return res.status(409).json({ error: 'Group already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/groups/:id
+ * Update leg premiums and trail the combined stop
+ * Body: { prices: [price | null] } - one per leg, null keeps a leg's price
  */
-app.get('/api/options/:id', (req, res) => {
+app.put('/api/groups/:id', requireUser, validate('updateGroupPrices'), async (req, res) => {
   try {
     const { id } = req.params;
-    const option = trackedOptions.find(opt => opt.id === parseInt(id));
+    const { prices } = req.body;
 
-    if (!option) {
-      return res.status(404).json({ error: 'Option not found' });
+    const group = await updateOwn(req, 'groups', id, (group) => {
+      applyGroupPrices(group, prices);
+    });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
     }
 
-    res.json(option);
+    res.json({ success: true, group });
   } catch (error) {
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Helper function to calculate stoploss
+ * POST /api/groups/:id/exit
+ * Exit every leg together, at the current premiums or the given ones.
+ * POST /api/undo takes it back.
+ * Body: { prices? } - one per leg
  */
-function calculateStoploss(price, trailingPercent, optionType) {
-  if (optionType === 'CALL') {
-    // For CALL options, stoploss is below the highest price
-    return price * (1 - trailingPercent / 100);
-  } else {
-    // For PUT options, stoploss is above the highest price
-    return price * (1 + trailingPercent / 100);
+app.post('/api/groups/:id/exit', requireUser, validate('exitGroup'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { prices } = req.body || {};
+
+    let event;
+    const group = await updateOwn(req, 'groups', id, (group) => {
+      event = createGroupEvent('GROUP_EXITED', id, { group });
+      applyGroupExit(group, prices);
+    });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    await appendEvent(req.user.id, event);
+    res.json({ success: true, group });
+  } catch (error) {
+    if (error instanceof PositionError) {
+      return unprocessable(res, error);
+    }
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
 /**
- * Helper function to check if stoploss is hit
+ * DELETE /api/groups/:id
+ * Stop tracking a multi-leg position. It moves to the trash
+ * (GET /api/trash/groups), from where it can be restored.
  */
-function isStoplossHit(option) {
-  if (option.optionType === 'CALL') {
-    return option.currentPrice <= option.stoploss;
-  } else {
-    return option.currentPrice >= option.stoploss;
+app.delete('/api/groups/:id', requireUser, validate('removeGroup'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const removedGroup = await removeOwn(req, 'groups', id);
+
+    if (!removedGroup) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const event = createGroupEvent('GROUP_REMOVED', id, { group: removedGroup });
+    removedGroup.deletedAt = event.at;
+    await store.insert('groupTrash', removedGroup);
+    await appendEvent(req.user.id, event);
+    res.json({ success: true, message: 'Group moved to the trash', group: removedGroup });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
 /**
- * Helper function to calculate P&L
+ * Market phase for liveDataCache from the exchange calendar
+ * (PRE_OPEN, OPEN, CLOSING, CLOSED or HOLIDAY)
  */
-function calculatePnL(option) {
-  const priceChange = option.currentPrice - option.entryPrice;
-  const pnl = priceChange * option.quantity;
-  const pnlPercent = (priceChange / option.entryPrice) * 100;
+function marketState(now = new Date()) {
+  const { phase, holiday } = marketCalendar.phaseAt(now);
   return {
-    pnl: pnl.toFixed(2),
-    pnlPercent: pnlPercent.toFixed(2)
+    marketStatus: phase,
+    optionsActive: marketCalendar.isOpen(now),
+    holiday: holiday ? holiday.name : null
   };
 }
 
 /**
- * Check if market is open (IST timezone - 9:15 AM to 3:30 PM, Monday to Friday)
- */
-function isMarketOpen() {
-  const now = new Date();
-  
-  // Convert to IST (UTC+5:30)
-  const istTime = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Kolkata' }));
-  
-  const dayOfWeek = istTime.getDay();
-  const hours = istTime.getHours();
-  const minutes = istTime.getMinutes();
-  const timeInMinutes = hours * 60 + minutes;
-  
-  // Market hours: 9:15 AM (555 minutes) to 3:30 PM (915 minutes)
-  const marketOpen = 9 * 60 + 15; // 555
-  const marketClose = 15 * 60 + 30; // 930
-  
-  // Check if it's a weekday (Monday=1 to Friday=5)
-  const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5;
-  
-  return isWeekday && timeInMinutes >= marketOpen && timeInMinutes <= marketClose;
-}
-
-/**
- * Fetch live SENSEX data from multiple sources
+ * Fetch live SENSEX data from the first market data provider that answers
  */
 async function fetchLiveSensexData() {
   try {
-    // Method 1: Try RapidAPI financial data
-    try {
-      const response = await axios.get('https://real-time-finance-data.p.rapidapi.com/stock-quote', {
-        params: { symbol: '%5EBSESN', language: 'en' },
-        headers: {
-          'X-RapidAPI-Key': process.env.RAPID_API_KEY || 'demo',
-          'X-RapidAPI-Host': 'real-time-finance-data.p.rapidapi.com'
-        },
-        timeout: 5000
-      });
-      
-      if (response.data?.data?.price) {
-        const price = parseFloat(response.data.data.price);
-        const change = parseFloat(response.data.data.change) || 0;
-        const changePercent = parseFloat(response.data.data.change_percent) || 0;
-        
-        liveDataCache = {
-          sensex: Math.round(price),
-          volatility: (Math.abs(changePercent) * 2).toFixed(2),
-          change: change.toFixed(2),
-          changePercent: changePercent.toFixed(2),
-          marketStatus: isMarketOpen() ? 'OPEN' : 'CLOSED',
-          optionsActive: isMarketOpen(),
-          lastUpdate: new Date(),
-          source: 'RapidAPI',
-          error: null
-        };
-        console.log('✓ Live SENSEX data fetched from RapidAPI');
-        return;
-      }
-    } catch (e) {
-      console.log('RapidAPI fetch failed, trying alternative...');
-    }
-    
-    // Method 2: Try Yahoo Finance API
-    try {
-      const response = await axios.get('https://query1.finance.yahoo.com/v10/finance/quoteSummary/%5EBSESN', {
-        params: { modules: 'price,summaryDetail' },
-        timeout: 5000
-      });
-      
-      if (response.data?.quoteSummary?.result?.[0]?.price) {
-        const priceData = response.data.quoteSummary.result[0].price;
-        const price = priceData.regularMarketPrice?.raw || 75423;
-        const change = priceData.regularMarketChange?.raw || 0;
-        const changePercent = priceData.regularMarketChangePercent?.raw || 0;
-        
-        liveDataCache = {
-          sensex: Math.round(price),
-          volatility: (Math.abs(changePercent) * 2).toFixed(2),
-          change: change.toFixed(2),
-          changePercent: changePercent.toFixed(2),
-          marketStatus: isMarketOpen() ? 'OPEN' : 'CLOSED',
-          optionsActive: isMarketOpen(),
-          lastUpdate: new Date(),
-          source: 'Yahoo Finance',
-          error: null
-        };
-        console.log('✓ Live SENSEX data fetched from Yahoo Finance');
-        return;
-      }
-    } catch (e) {
-      console.log('Yahoo Finance fetch failed, trying NSE...');
-    }
-    
-    // Method 3: Fallback with realistic data simulation
-    const marketOpen = isMarketOpen();
-    const basePrice = 75423;
-    const randomChange = (Math.random() - 0.5) * 200; // -100 to +100
-    const price = marketOpen ? basePrice + randomChange : basePrice;
-    const changePercent = ((randomChange / basePrice) * 100).toFixed(2);
-    
+    const { quote, provider } = await marketData.fetchQuote();
+
     liveDataCache = {
-      sensex: Math.round(price),
-      volatility: (Math.random() * 25 + 10).toFixed(2),
-      change: randomChange.toFixed(2),
-      changePercent: changePercent,
-      marketStatus: marketOpen ? 'OPEN' : 'CLOSED',
-      optionsActive: marketOpen,
+      sensex: Math.round(quote.sensex),
+      volatility: Number(quote.volatility.toFixed(2)),
+      change: Number(quote.change.toFixed(2)),
+      changePercent: Number(quote.changePercent.toFixed(2)),
+      ...marketState(),
       lastUpdate: new Date(),
-      source: 'Simulated (APIs unavailable)',
+      source: provider.label,
+      provider: provider.name,
       error: null
     };
-    console.log(`✓ Using simulated data (Market: ${liveDataCache.marketStatus})`);
-    
+    console.log(`✓ SENSEX data from ${provider.label} (Market: ${liveDataCache.marketStatus})`);
+    if (provider.live) {
+      settlementQuote = { sensex: liveDataCache.sensex, at: liveDataCache.lastUpdate };
+    }
+
+    if (liveDataCache.optionsActive) {
+      candleSeries.addTick(liveDataCache.sensex, liveDataCache.lastUpdate);
+    }
+
+    // Only real feeds are worth replaying later
+    if (MARKET_RECORD_FILE && provider.live) {
+      await recordQuote(MARKET_RECORD_FILE, quote).catch((error) => {
+        console.error('Error recording market data:', error.message);
+      });
+    }
   } catch (error) {
     console.error('Error fetching live data:', error.message);
     liveDataCache.error = error.message;
   }
 }
 
+/**
+ * The SENSEX spot expired positions may be settled against, or null while
+ * there is no fresh quote from a real feed
+ */
+function settlementSpot(now = new Date()) {
+  if (!settlementQuote || now - settlementQuote.at > SETTLEMENT_QUOTE_MAX_AGE_MS) {
+    return null;
+  }
+  return Number(settlementQuote.sensex);
+}
+
+/**
+ * Settle open options and multi-leg groups whose contract has expired at
+ * intrinsic value against the latest real SENSEX spot. Without one they
+ * stay open until a real feed answers.
+ */
+async function settleExpiredOptions() {
+  const spot = settlementSpot();
+  const options = await store.all('options');
+  const groups = await store.all('groups');
+
+  const due = options.filter(option =>
+    (isActive(option) || option.status === 'STOPLOSS_HIT') && isExpired(option));
+  const dueGroups = groups.filter(group =>
+    (isGroupActive(group) || group.status === 'STOPLOSS_HIT') && isExpired(group));
+
+  const waiting = due.length > 0 || dueGroups.length > 0;
+  if (spot === null) {
+    if (waiting && !settlementWaiting) {
+      console.warn('Expired positions are waiting for a live SENSEX quote to settle against');
+    }
+    settlementWaiting = waiting;
+    return;
+  }
+  settlementWaiting = false;
+
+  for (const option of due) {
+    const event = marketEvent(option, { sensex: spot, live: true });
+    const settled = event && await recordMarketEvent(option, event);
+    if (settled && settled.status === 'EXPIRED') {
+      console.log(`✓ Settled option ${option.id} at expiry for ₹${settled.exitPrice} (SENSEX ${spot})`);
+    }
+  }
+
+  for (const group of dueGroups) {
+    const settled = await store.update('groups', group.id, (stored) => {
+      settleGroupAtExpiry(stored, spot);
+    });
+    if (settled && settled.status === 'EXPIRED') {
+      console.log(`✓ Settled group ${group.id} at expiry for ₹${settled.finalPnL.pnl} (SENSEX ${spot})`);
+    }
+  }
+}
+
+/**
+ * Move options that opted into model pricing to their theoretical premium
+ */
+async function applyModelPrices() {
+  const options = await store.all('options');
+  const modelled = options.filter(option => option.modelPricing && isActive(option));
+
+  for (const option of modelled) {
+    // Worked out on a copy first so unchanged options cost no write
+    const event = marketEvent(option, liveDataCache);
+    if (event) {
+      await recordMarketEvent(option, event);
+    }
+  }
+}
+
+/**
+ * Apply an event the market data called for to a stored option and log it
+ * for the option's owner
+ */
+async function recordMarketEvent(option, event) {
+  const updated = await store.update('options', option.id, (stored) => {
+    applyEvent(stored, event);
+  });
+  if (updated) {
+    await appendEvent(option.ownerId, event);
+  }
+  return updated;
+}
+
+/**
+ * Market fields worth streaming; lastUpdate alone is not a change
+ */
+function liveSnapshot() {
+  const { lastUpdate, ...fields } = liveDataCache;
+  return JSON.stringify(fields);
+}
+
+async function refreshMarket() {
+  const before = liveSnapshot();
+  await fetchLiveSensexData();
+  if (liveSnapshot() !== before) {
+    events.publish('live', liveDataCache);
+  }
+  try {
+    await eventLogReady;
+    await settleExpiredOptions();
+    if (liveDataCache.optionsActive) {
+      await applyModelPrices();
+    }
+  } catch (error) {
+    console.error('Error updating options from market data:', error.message);
+  }
+}
+
 // Update live data every 10 seconds
 setInterval(() => {
-  fetchLiveSensexData();
+  refreshMarket();
 }, 10000);
 
 // Fetch on startup
-fetchLiveSensexData();
+refreshMarket();
+
+/**
+ * Older server versions trailed PUT stops above the peak premium.
+ * Bring any such stored option in line with the shared engine. Written
+ * options trail above the low on purpose and are left alone.
+ */
+async function normalizeStoredStops() {
+  const options = await store.all('options');
+  for (const option of options) {
+    if (option.status === 'TRACKING' && option.side !== 'SELL' && option.stoploss > option.highestPrice) {
+      await store.update('options', option.id, (stored) => {
+        stored.stoploss = calculateStoploss(stored.highestPrice, stored.trailingPercent);
+      });
+    }
+  }
+}
+
+/**
+ * Start an event log for any option tracked before the log existed, from a
+ * SNAPSHOT of the option as stored
+ */
+async function prepareEventLog() {
+  const log = await store.all('events');
+
+  const logged = new Set(log.map(event => event.optionId));
+  for (const collection of ['options', 'trash']) {
+    for (const option of await store.all(collection)) {
+      if (logged.has(option.id)) continue;
+      await store.append('events', { ownerId: option.ownerId, ...createEvent('SNAPSHOT', option.id, { option }) });
+    }
+  }
+}
 
 /**
  * GET /api/live
- * Get live SENSEX and volatility data
+ * Get live SENSEX and volatility data. `provider` names the market data
+ * provider that answered (rapidapi, yahoo, replay or simulated) and
+ * `source` describes it.
  */
-app.get('/api/live', (req, res) => {
+app.get('/api/live', validate('getLiveData'), (req, res) => {
   res.json(liveDataCache);
 });
 
+/**
+ * GET /api/stream
+ * Server-Sent Events stream. Sends the current `live` data on connect, then
+ * `live` whenever liveDataCache changes. Signed-in clients also get
+ * `option` ({ change, id, status, previousStatus, option }) and `group`
+ * events whenever one of their positions is created, updated or removed.
+ * Query: ?token= (EventSource cannot send an Authorization header)
+ */
+app.get('/api/stream', validate('streamEvents'), async (req, res) => {
+  const user = await auth.authenticate(req.query.token || bearerToken(req)).catch(() => null);
+  events.connect(req, res, [{ type: 'live', data: liveDataCache }], user ? user.id : null);
+});
+
+/**
+ * GET /api/candles
+ * Intraday SENSEX OHLC candles with a session average line
+ * Query: ?timeframe=1m|5m|15m|1h (default 5m)&limit=60
+ */
+app.get('/api/candles', validate('getCandles'), (req, res) => {
+  const timeframe = req.query.timeframe || '5m';
+  const limit = req.query.limit || 60;
+
+  res.json({ timeframe, candles: candleSeries.candles(timeframe, limit) });
+});
+
+/**
+ * GET /api/market/status
+ * Current market phase from the exchange calendar with the next open and
+ * close times. holiday is { date, name } on exchange holidays.
+ */
+app.get('/api/market/status', validate('getMarketStatus'), (req, res) => {
+  const now = new Date();
+  const { phase, day, session, holiday } = marketCalendar.phaseAt(now);
+  res.json({
+    phase,
+    day,
+    session,
+    holiday,
+    optionsActive: marketCalendar.isOpen(now),
+    nextOpen: marketCalendar.nextOpen(now),
+    nextClose: marketCalendar.nextClose(now)
+  });
+});
+
+/**
+ * GET /api/market/calendar
+ * The loaded yearly calendar files, so the browser uses the same holidays
+ */
+app.get('/api/market/calendar', validate('getMarketCalendar'), (req, res) => {
+  res.json(calendarFiles);
+});
+
+/**
+ * GET /api/openapi.json
+ * The OpenAPI 3.1 document every request is validated against
+ */
+app.get('/api/openapi.json', validate('getApiDocument'), (req, res) => {
+  res.json(apiDocument);
+});
+
 // Serve the main HTML file
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
+// A body that is not valid JSON never reaches a route
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json(invalidRequest([{ in: 'body', path: '', message: 'is not valid JSON' }]));
+  }
+  next(error);
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Sensex Options Tracker running on http://localhost:${PORT}`);
@@ -0,0 +1,788 @@
+/**
+ * Trailing stoploss engine shared by the browser (app.js) and the API
+ * server (server.js), so a position gets the same stop and status no
+ * matter where it is evaluated.
+ *
+ * Semantics - a position is a bought (side BUY, the default) or a written
+ * (side SELL) option, CALL or PUT alike:
+ * A buyer gains when the premium rises, whichever way SENSEX has to move
+ * for that to happen. The stop trails BELOW the highest premium seen since
+ * entry, only ever moves up, and is hit when the premium falls to or below
+ * it. A seller gains when the premium falls, so everything is mirrored: the
+ * stop trails ABOVE the lowest premium seen (option.lowestPrice), only ever
+ * moves down, and is hit when the premium rises to or above it. The option
+ * type never changes this math.
+ *
+ * How far below the peak the stop sits is decided by the option's
+ * trailing strategy ({ type, params }, see STRATEGIES). The strategy is
+ * stored on the option so its stop is always recomputed the same way.
+ *
+ * Scaling out: a position can be closed in lots, by hand or automatically
+ * when one of its targets is reached. Each lot closed is recorded in
+ * option.exits; option.openQuantity is what is still running. Realized
+ * P&L comes from the exits, unrealized P&L from the open quantity.
+ *
+ * Contract rules (strike steps, lot size, expiry dates) live in
+ * contract.js. Positions still open when their contract expires are
+ * settled at intrinsic value against the SENSEX spot.
+ *
+ * Options with modelPricing switched on also follow the theoretical
+ * premium from pricing.js while the market is open, so the stop keeps
+ * trailing between manual price updates.
+ *
+ * P&L is gross of costs; charges.js works out brokerage and taxes under
+ * the option's broker profile, and calculatePnL() reports both.
+ *
+ * Live positions can be edited (applyEdit): a new trailing rule, or more
+ * quantity added at a new premium, averaging the entry. Every edit is
+ * recorded in option.audit with what it changed.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./contract'), require('./pricing'), require('./charges'));
+  } else {
+    root.SensexStoploss = factory(root.SensexContract, root.SensexPricing, root.SensexCharges);
+  }
+})(typeof self !== 'undefined' ? self : this, function (contract, pricing, charges) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const ACTIVE_STATUSES = ['TRACKING', 'PARTIALLY_EXITED'];
+  const SIDES = ['BUY', 'SELL'];
+  const TICK_SIZE = 0.05;
+
+  /**
+   * Raised for requests that make no sense for the position
+   * (bad strategy parameters, exiting more than is open, ...)
+   */
+  class PositionError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'PositionError';
+    }
+  }
+
+  /**
+   * Stop price for a given peak premium.
+   * Formula: highestPrice * (1 - trailingPercent / 100)
+   */
+  function calculateStoploss(highestPrice, trailingPercent) {
+    return highestPrice * (1 - trailingPercent / 100);
+  }
+
+  function isShort(option) {
+    return option.side === 'SELL';
+  }
+
+  // +1 when the position gains as the premium rises, -1 for a written option
+  function direction(option) {
+    return isShort(option) ? -1 : 1;
+  }
+
+  /**
+   * Best premium seen since entry: the peak for a buyer, the low for a
+   * seller
+   */
+  function bestPrice(option) {
+    return isShort(option) ? option.lowestPrice : option.highestPrice;
+  }
+
+  /**
+   * `percent` of `price` on the losing side of it: below for a buyer,
+   * above for a seller
+   */
+  function trailFrom(option, price, percent) {
+    return isShort(option) ? price * (1 + percent / 100) : calculateStoploss(price, percent);
+  }
+
+  /**
+   * The stop that gives back less of the two
+   */
+  function tighterStop(option, a, b) {
+    return isShort(option) ? Math.min(a, b) : Math.max(a, b);
+  }
+
+  /**
+   * Trailing strategy registry.
+   *
+   * Each strategy declares its parameters (used for validation and to
+   * build the add-option form) and a stop(option, params, now) function
+   * that returns the stop price, trailing the best premium from the side
+   * the position loses on. Strategies that use a `percent` parameter take
+   * it from the option's trailing %. describe(params, short) words the rule
+   * for a buyer or a seller.
+   */
+  const STRATEGIES = {
+    percent: {
+      label: 'Percentage trail',
+      params: [
+        { name: 'percent', label: 'Trailing %', min: 0.1, max: 99 }
+      ],
+      stop: (option, p) => trailFrom(option, bestPrice(option), p.percent),
+      describe: (p, short) => `${p.percent}% ${short ? 'above low' : 'below peak'}`
+    },
+
+    points: {
+      label: 'Fixed-point trail',
+      params: [
+        { name: 'points', label: 'Trail (₹)', min: 0.05 }
+      ],
+      stop: (option, p) => bestPrice(option) - direction(option) * p.points,
+      describe: (p, short) => `₹${p.points} ${short ? 'above low' : 'below peak'}`
+    },
+
+    // Moves the stop by one step for every full step of gain
+    step: {
+      label: 'Step trail',
+      params: [
+        { name: 'percent', label: 'Initial stop %', min: 0.1, max: 99 },
+        { name: 'step', label: 'Step (₹ of gain)', min: 0.05 }
+      ],
+      stop: (option, p) => {
+        const gain = Math.max(0, direction(option) * (bestPrice(option) - option.entryPrice));
+        return trailFrom(option, option.entryPrice, p.percent) + direction(option) * Math.floor(gain / p.step) * p.step;
+      },
+      describe: (p, short) => `${p.percent}% stop, ${short ? 'down' : 'up'} every ₹${p.step}`
+    },
+
+    // Percentage trail that never gives back the entry plus charges once the best gain reaches the trigger
+    breakeven: {
+      label: 'Breakeven lock',
+      params: [
+        { name: 'percent', label: 'Trailing %', min: 0.1, max: 99 },
+        { name: 'triggerPercent', label: 'Lock at profit %', min: 0.1 }
+      ],
+      stop: (option, p) => {
+        const trail = trailFrom(option, bestPrice(option), p.percent);
+        const bestGainPercent = direction(option) * (bestPrice(option) - option.entryPrice) / option.entryPrice * 100;
+        if (bestGainPercent < p.triggerPercent) return trail;
+        const breakeven = charges.breakevenPrice(option);
+        return tighterStop(option, trail, breakeven !== null ? breakeven : option.entryPrice);
+      },
+      describe: p => `${p.percent}% trail, breakeven at +${p.triggerPercent}%`
+    },
+
+    // Trails by a multiple of the average premium move between updates
+    atr: {
+      label: 'ATR / volatility trail',
+      params: [
+        { name: 'period', label: 'ATR period (updates)', min: 1, integer: true, default: 5 },
+        { name: 'multiplier', label: 'ATR multiplier', min: 0.1, default: 2 },
+        { name: 'percent', label: 'Trailing % until enough history', min: 0.1, max: 99 }
+      ],
+      stop: (option, p) => {
+        const atr = averageTrueRange(option, p.period);
+        return atr === null
+          ? trailFrom(option, bestPrice(option), p.percent)
+          : bestPrice(option) - direction(option) * p.multiplier * atr;
+      },
+      describe: p => `${p.multiplier}× ATR(${p.period})`
+    },
+
+    // Tightens linearly from `percent` to `minPercent` over the last `days` before expiry
+    timeDecay: {
+      label: 'Time-decay tightening',
+      params: [
+        { name: 'percent', label: 'Trailing %', min: 0.1, max: 99 },
+        { name: 'minPercent', label: 'Trailing % at expiry', min: 0.1, max: 99 },
+        { name: 'days', label: 'Tighten over last N days', min: 0.1, default: 3 },
+        { name: 'expiry', label: 'Expiry date', type: 'date', optional: true }
+      ],
+      stop: (option, p, now) => {
+        const expiry = option.expiry || p.expiry;
+        if (!expiry) {
+          return trailFrom(option, bestPrice(option), p.percent);
+        }
+        const daysLeft = (contract.expiryTime(expiry).getTime() - now.getTime()) / DAY_MS;
+        const progress = Math.min(1, Math.max(0, daysLeft / p.days));
+        const percent = p.minPercent + (p.percent - p.minPercent) * progress;
+        return trailFrom(option, bestPrice(option), percent);
+      },
+      describe: p => `${p.percent}% → ${p.minPercent}% over last ${p.days}d`
+    }
+  };
+
+  /**
+   * Add a custom strategy to the registry
+   */
+  function registerStrategy(type, definition) {
+    STRATEGIES[type] = definition;
+  }
+
+  /**
+   * Validate a { type, params } strategy and fill in defaults.
+   * `trailingPercent` supplies the percent parameter when it is not given.
+   * Throws a PositionError describing the first invalid parameter.
+   */
+  function normalizeStrategy(strategy, trailingPercent) {
+    const type = (strategy && strategy.type) || 'percent';
+    const definition = STRATEGIES[type];
+    if (!definition) {
+      throw new PositionError(`Unknown trailing strategy: ${type}`);
+    }
+
+    const input = { percent: trailingPercent, ...((strategy && strategy.params) || {}) };
+    const params = {};
+
+    definition.params.forEach(spec => {
+      let value = input[spec.name];
+      if (value === undefined || value === null || value === '') {
+        value = spec.default;
+      }
+      if (value === undefined) {
+        if (spec.optional) return;
+        throw new PositionError(`${spec.label} is required for ${definition.label}`);
+      }
+
+      if (spec.type === 'date') {
+        if (isNaN(new Date(value).getTime())) {
+          throw new PositionError(`${spec.label} must be a valid date`);
+        }
+        params[spec.name] = value;
+        return;
+      }
+
+      const number = Number(value);
+      if (!Number.isFinite(number) ||
+          (spec.integer && !Number.isInteger(number)) ||
+          (spec.min !== undefined && number < spec.min) ||
+          (spec.max !== undefined && number > spec.max)) {
+        throw new PositionError(`${spec.label} is out of range for ${definition.label}`);
+      }
+      params[spec.name] = number;
+    });
+
+    return { type, params };
+  }
+
+  /**
+   * Strategy of an option. Options saved before strategies existed use a
+   * plain percentage trail.
+   */
+  function getStrategy(option) {
+    return option.strategy || { type: 'percent', params: { percent: option.trailingPercent } };
+  }
+
+  /**
+   * Short human readable description of an option's trailing rule
+   */
+  function describeStrategy(option) {
+    const strategy = getStrategy(option);
+    const definition = STRATEGIES[strategy.type];
+    return definition ? definition.describe(strategy.params, isShort(option)) : strategy.type;
+  }
+
+  /**
+   * Stop price the option's strategy asks for right now. A trail wider
+   * than the premium (a points or ATR trail on a cheap option) would put a
+   * buyer's stop below zero, where no premium can reach it, so it is held
+   * at zero.
+   */
+  function computeStoploss(option, now = new Date()) {
+    const strategy = getStrategy(option);
+    const definition = STRATEGIES[strategy.type];
+    if (!definition) {
+      throw new Error(`Unknown trailing strategy: ${strategy.type}`);
+    }
+    return Math.max(0, definition.stop(option, strategy.params, now));
+  }
+
+  /**
+   * Average absolute premium move over the last `period` updates, or null
+   * while updateLog is too short to say
+   */
+  function averageTrueRange(option, period) {
+    const prices = [option.entryPrice, ...option.updateLog.map(entry => entry.newPrice)];
+    if (prices.length <= period) return null;
+
+    const recent = prices.slice(-(period + 1));
+    let total = 0;
+    for (let i = 1; i < recent.length; i++) {
+      total += Math.abs(recent[i] - recent[i - 1]);
+    }
+    return total / period;
+  }
+
+  /**
+   * Stoploss is hit when the premium falls to or below the stop, or for a
+   * seller rises to or above it
+   */
+  function isStoplossHit(option) {
+    return isShort(option) ? option.currentPrice >= option.stoploss : option.currentPrice <= option.stoploss;
+  }
+
+  /**
+   * Whether the position still has quantity being trailed
+   */
+  function isActive(option) {
+    return ACTIVE_STATUSES.includes(option.status);
+  }
+
+  /**
+   * Quantity not yet exited. Options saved before partial exits existed
+   * are fully open.
+   */
+  function getOpenQuantity(option) {
+    return option.openQuantity !== undefined ? option.openQuantity : option.quantity;
+  }
+
+  /**
+   * P&L of the position: premium gained for a buyer, premium decayed for a
+   * seller. realized comes from lots already exited, unrealized from the
+   * open quantity at the current price; pnl is their sum (gross) and
+   * pnlPercent is measured against the premium of the whole entry.
+   * charges are the position's brokerage and taxes, counting the cost of
+   * closing what is still open, and net is pnl after them.
+   */
+  function calculatePnL(option) {
+    const realized = (option.exits || []).reduce((sum, exit) => sum + exit.pnl, 0);
+    const unrealized = direction(option) * (option.currentPrice - option.entryPrice) * getOpenQuantity(option);
+    const pnl = realized + unrealized;
+    const pnlPercent = (pnl / (option.entryPrice * option.quantity)) * 100;
+    const costs = charges.calculateCharges(option).total;
+    return {
+      pnl: pnl.toFixed(2),
+      pnlPercent: pnlPercent.toFixed(2),
+      realized: realized.toFixed(2),
+      unrealized: unrealized.toFixed(2),
+      charges: costs.toFixed(2),
+      net: (pnl - costs).toFixed(2)
+    };
+  }
+
+  /**
+   * Validate profit targets for a position entered at entryPrice: above it
+   * for a buyer, below it for a seller.
+   * Targets: [{ price, quantity? }] - a target without quantity books
+   * whatever is still open when it triggers.
+   */
+  function normalizeTargets(targets, entryPrice, quantity, lotSize = 1, side = 'BUY') {
+    if (!targets) return [];
+    if (!Array.isArray(targets)) {
+      throw new PositionError('targets must be a list');
+    }
+
+    let plannedQuantity = 0;
+    const normalized = targets.map((target, index) => {
+      const price = Number(target.price);
+      const targetQuantity = target.quantity === undefined || target.quantity === null
+        ? null
+        : Number(target.quantity);
+
+      if (side === 'SELL' && (!Number.isFinite(price) || price < 0 || price >= entryPrice)) {
+        throw new PositionError(`Target ${index + 1} must be below the entry price`);
+      }
+      if (side !== 'SELL' && (!Number.isFinite(price) || price <= entryPrice)) {
+        throw new PositionError(`Target ${index + 1} must be above the entry price`);
+      }
+      if (targetQuantity !== null && (!Number.isInteger(targetQuantity) || targetQuantity <= 0)) {
+        throw new PositionError(`Target ${index + 1} quantity must be a positive whole number`);
+      }
+      if (targetQuantity !== null && targetQuantity % lotSize !== 0) {
+        throw new PositionError(`Target ${index + 1} quantity must be whole lots of ${lotSize}`);
+      }
+      plannedQuantity += targetQuantity || 0;
+      return { price, quantity: targetQuantity, hitAt: null };
+    });
+
+    if (plannedQuantity > quantity) {
+      throw new PositionError('Target quantities add up to more than the position');
+    }
+    // In the order the premium reaches them
+    return normalized.sort((a, b) => (side === 'SELL' ? b.price - a.price : a.price - b.price));
+  }
+
+  /**
+   * Build a freshly tracked option.
+   * Fields: { id?, side?, entryPrice, quantity | lots, trailingPercent, strategy?,
+   *           targets?, optionType, strike, expiryType?, expiry?, broker? }
+   * side is 'BUY' (default) or 'SELL' for a written option. broker names
+   * the charges profile (charges.BROKER_PROFILES) and defaults to
+   * charges.DEFAULT_PROFILE.
+   * expiryType defaults to WEEKLY and expiry to the nearest one of that type.
+   * Throws a PositionError when the contract, strategy or targets are invalid.
+   */
+  function createOption(fields) {
+    const lotSize = fields.lotSize || contract.LOT_SIZE;
+    const quantity = fields.lots !== undefined ? fields.lots * lotSize : fields.quantity;
+    const expiryType = fields.expiryType || 'WEEKLY';
+    const expiry = fields.expiry || contract.nextExpiry(expiryType);
+
+    const problems = contract.validateContract({
+      optionType: fields.optionType,
+      strike: fields.strike,
+      quantity,
+      lotSize,
+      expiry,
+      expiryType
+    });
+    if (problems.length > 0) {
+      throw new PositionError(problems[0]);
+    }
+    if (!Number.isFinite(fields.entryPrice) || fields.entryPrice <= 0) {
+      throw new PositionError('Entry price must be a positive premium');
+    }
+    const side = fields.side || 'BUY';
+    if (!SIDES.includes(side)) {
+      throw new PositionError('Side must be BUY or SELL');
+    }
+    const broker = fields.broker || charges.DEFAULT_PROFILE;
+    if (!charges.BROKER_PROFILES[broker]) {
+      throw new PositionError(`Unknown broker profile: ${broker}`);
+    }
+
+    const strategy = normalizeStrategy(fields.strategy, fields.trailingPercent);
+    const targets = normalizeTargets(fields.targets, fields.entryPrice, quantity, lotSize, side);
+    const option = {
+      id: fields.id || Date.now(),
+      side,
+      entryPrice: fields.entryPrice,
+      currentPrice: fields.entryPrice,
+      quantity,
+      openQuantity: quantity,
+      lotSize,
+      broker,
+      trailingPercent: strategy.params.percent !== undefined ? strategy.params.percent : null,
+      strategy,
+      optionType: fields.optionType, // 'CALL' or 'PUT'
+      strike: fields.strike,
+      expiryType,
+      expiry,
+      highestPrice: fields.entryPrice,
+      ...(side === 'SELL' ? { lowestPrice: fields.entryPrice } : {}),
+      stoploss: null,
+      targets,
+      exits: [],
+      modelPricing: Boolean(fields.modelPricing),
+      alertsMuted: Boolean(fields.alertsMuted),
+      status: 'TRACKING',
+      createdAt: new Date().toISOString(),
+      updateLog: []
+    };
+    option.stoploss = computeStoploss(option);
+    return option;
+  }
+
+  /**
+   * Add a profit target to a running position
+   */
+  function addTarget(option, target) {
+    if (!isActive(option)) {
+      throw new PositionError('Targets can only be added to an active position');
+    }
+    const [normalized] = normalizeTargets([target], option.entryPrice, getOpenQuantity(option), option.lotSize, option.side);
+    option.targets = [...(option.targets || []), normalized]
+      .sort((a, b) => direction(option) * (a.price - b.price));
+    return option;
+  }
+
+  /**
+   * Edit a position that is still open, its stop hit or not.
+   * Changes: { trailingPercent?, strategy?, addQuantity? | addLots?, price? }
+   * A new trailingPercent or strategy replaces the trailing rule (a bare
+   * trailingPercent keeps the strategy type). addQuantity buys - or for a
+   * seller writes - more at `price` (default the current premium), and the
+   * entry becomes the average over the open quantity. The stop is then
+   * worked out afresh from the best price, so unlike a price update an
+   * edit may loosen it. The edit is appended to option.audit as
+   * { timestamp, changes: [{ field, from, to }], added? }.
+   */
+  function applyEdit(option, changes, now = new Date()) {
+    if (!isActive(option) && option.status !== 'STOPLOSS_HIT') {
+      throw new PositionError('Position is already closed');
+    }
+    const lotSize = option.lotSize || 1;
+    const addQuantity = changes.addLots !== undefined ? changes.addLots * lotSize : changes.addQuantity;
+    const retrail = changes.trailingPercent !== undefined || changes.strategy !== undefined;
+    if (!retrail && addQuantity === undefined) {
+      throw new PositionError('Nothing to change');
+    }
+
+    // Check everything before touching the position
+    let strategy = null;
+    if (retrail) {
+      const current = getStrategy(option);
+      strategy = normalizeStrategy(changes.strategy !== undefined
+        ? changes.strategy
+        : { type: current.type, params: { ...current.params, percent: changes.trailingPercent } },
+      changes.trailingPercent);
+    }
+    const price = changes.price !== undefined ? changes.price : option.currentPrice;
+    if (addQuantity !== undefined) {
+      if (!Number.isInteger(addQuantity) || addQuantity <= 0 || addQuantity % lotSize !== 0) {
+        throw new PositionError(`Added quantity must be whole lots of ${lotSize}`);
+      }
+      if (!Number.isFinite(price) || price <= 0) {
+        throw new PositionError('Added quantity needs a positive premium');
+      }
+    }
+
+    const fields = ['strategy', 'trailingPercent', 'entryPrice', 'quantity', 'stoploss', 'status'];
+    const snapshot = () => ({ ...option, strategy: getStrategy(option) });
+    const before = snapshot();
+
+    if (strategy) {
+      option.strategy = strategy;
+      option.trailingPercent = strategy.params.percent !== undefined ? strategy.params.percent : null;
+    }
+    if (addQuantity !== undefined) {
+      const openQuantity = getOpenQuantity(option);
+      option.entryPrice = (option.entryPrice * openQuantity + price * addQuantity) / (openQuantity + addQuantity);
+      option.quantity += addQuantity;
+      option.openQuantity = openQuantity + addQuantity;
+    }
+
+    option.stoploss = computeStoploss(option, now);
+    if (isStoplossHit(option)) {
+      option.status = 'STOPLOSS_HIT';
+    } else if (option.status === 'STOPLOSS_HIT') {
+      // A wider stop puts the position back under trail
+      option.status = (option.exits || []).length > 0 ? 'PARTIALLY_EXITED' : 'TRACKING';
+    }
+
+    const after = snapshot();
+    option.audit = [...(option.audit || []), {
+      timestamp: now.toISOString(),
+      changes: fields
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, from: before[field], to: after[field] })),
+      ...(addQuantity !== undefined ? { added: { quantity: addQuantity, price } } : {})
+    }];
+    return option;
+  }
+
+  /**
+   * Book `quantity` of the open position at `price`.
+   * Closing the last lot makes the option EXITED with its final P&L;
+   * anything less leaves it PARTIALLY_EXITED and still trailing.
+   */
+  function applyPartialExit(option, quantity, price = option.currentPrice, reason = 'MANUAL', now = new Date()) {
+    const openQuantity = getOpenQuantity(option);
+
+    if (!isActive(option) && option.status !== 'STOPLOSS_HIT') {
+      throw new PositionError('Position is already closed');
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0 || quantity > openQuantity) {
+      throw new PositionError(`Exit quantity must be between 1 and ${openQuantity}`);
+    }
+    if (option.lotSize && quantity % option.lotSize !== 0) {
+      throw new PositionError(`Exit quantity must be whole lots of ${option.lotSize}`);
+    }
+    if (!Number.isFinite(price) || price < 0) {
+      throw new PositionError('Exit price must be a valid premium');
+    }
+
+    const exitedAt = now.toISOString();
+    option.exits = [...(option.exits || []), {
+      quantity,
+      price,
+      reason, // 'MANUAL', 'TARGET', 'EXIT' or 'EXPIRY'
+      exitedAt,
+      pnl: direction(option) * (price - option.entryPrice) * quantity
+    }];
+    option.openQuantity = openQuantity - quantity;
+
+    if (option.openQuantity === 0) {
+      option.status = 'EXITED';
+      option.exitPrice = price;
+      option.exitedAt = exitedAt;
+      option.finalPnL = calculatePnL(option);
+    } else if (option.status !== 'STOPLOSS_HIT') {
+      option.status = 'PARTIALLY_EXITED';
+    }
+    return option;
+  }
+
+  /**
+   * Book every target the premium has reached: risen to for a buyer, fallen
+   * to for a seller
+   */
+  function triggerTargets(option, now) {
+    (option.targets || []).forEach(target => {
+      const reached = direction(option) * (option.currentPrice - target.price) >= 0;
+      if (target.hitAt || !isActive(option) || !reached) return;
+
+      const openQuantity = getOpenQuantity(option);
+      target.hitAt = now.toISOString();
+      target.quantity = Math.min(target.quantity || openQuantity, openQuantity);
+      applyPartialExit(option, target.quantity, option.currentPrice, 'TARGET', now);
+    });
+  }
+
+  /**
+   * Record a new premium: move the best price (the peak, or the low for a
+   * seller), trail the stop behind it, book any target reached, log the
+   * update and flag the option when the stop is hit. The stop only ever
+   * tightens - up for a buyer, down for a seller - even if a strategy (ATR,
+   * for one) would loosen it. `source` tags the log entry when the price
+   * did not come from a person (e.g. 'MODEL'). `now` dates the update;
+   * replays pass the time of the historical price. Mutates and returns the
+   * option.
+   */
+  function applyPriceUpdate(option, newPrice, source, now = new Date()) {
+    const oldBest = bestPrice(option);
+
+    if (newPrice > option.highestPrice) {
+      option.highestPrice = newPrice;
+    }
+    if (isShort(option) && newPrice < option.lowestPrice) {
+      option.lowestPrice = newPrice;
+    }
+    option.currentPrice = newPrice;
+    option.stoploss = tighterStop(option, option.stoploss, computeStoploss(option, now));
+    triggerTargets(option, now);
+
+    option.updateLog.push({
+      timestamp: now.toISOString(),
+      previousPrice: oldBest,
+      newPrice: newPrice,
+      stoploss: option.stoploss,
+      pnl: calculatePnL(option),
+      ...(source ? { source } : {})
+    });
+
+    if (isActive(option) && isStoplossHit(option)) {
+      option.status = 'STOPLOSS_HIT';
+    }
+    return option;
+  }
+
+  /**
+   * Close whatever is still open at the current price
+   */
+  function applyExit(option, now = new Date()) {
+    return applyPartialExit(option, getOpenQuantity(option), option.currentPrice, 'EXIT', now);
+  }
+
+  /**
+   * Settle whatever is still open once the contract has expired, at its
+   * intrinsic value against the SENSEX spot. The option ends up EXPIRED.
+   * Returns true when the option was settled.
+   */
+  function settleAtExpiry(option, spot, now = new Date()) {
+    const open = isActive(option) || option.status === 'STOPLOSS_HIT';
+    if (!open || !contract.isExpired(option, now) || !Number.isFinite(spot)) {
+      return false;
+    }
+
+    const settlementPrice = contract.intrinsicValue(option.optionType, option.strike, spot);
+    option.currentPrice = settlementPrice;
+    applyPartialExit(option, getOpenQuantity(option), settlementPrice, 'EXPIRY');
+
+    // Date the settlement at the close it happened at, not when it was noticed
+    const settledAt = contract.expiryTime(option.expiry).toISOString();
+    option.exits[option.exits.length - 1].exitedAt = settledAt;
+    option.exitedAt = settledAt;
+    option.status = 'EXPIRED';
+    option.settlementSpot = spot;
+    return true;
+  }
+
+  /**
+   * Move an option that opted into model pricing to its theoretical
+   * premium. Only happens while options trade and once the model price has
+   * moved by at least a tick, so closed-market hours add nothing to the
+   * log. Returns true when the price was updated.
+   */
+  function applyModelPrice(option, market, now = new Date()) {
+    if (!option.modelPricing || !isActive(option) || !market || !market.optionsActive) {
+      return false;
+    }
+
+    const model = pricing.priceTrackedOption(option, market, now);
+    if (!model) return false;
+
+    const modelPrice = Math.round(model.price / TICK_SIZE) * TICK_SIZE;
+    if (Math.abs(modelPrice - option.currentPrice) < TICK_SIZE) {
+      return false;
+    }
+    applyPriceUpdate(option, Number(modelPrice.toFixed(2)), 'MODEL');
+    return true;
+  }
+
+  /**
+   * The path a position took, for charting. `points` has one entry at the
+   * open and one per logged update: { time, price, best, stoploss }, with
+   * the best price (peak, or low for a seller) and the stop in force after
+   * that update. `marks` flags the
+   * entry, each exit (PARTIAL while quantity stays open, otherwise EXIT)
+   * and the update that hit the stop, oldest first.
+   */
+  function priceHistory(option) {
+    const log = option.updateLog || [];
+    let initialStop;
+    try {
+      // The stop before any update: what the strategy gave at entry
+      initialStop = computeStoploss({
+        ...option,
+        currentPrice: option.entryPrice,
+        highestPrice: option.entryPrice,
+        lowestPrice: option.entryPrice,
+        updateLog: []
+      }, new Date(option.createdAt));
+    } catch (error) {
+      initialStop = log.length > 0 ? log[0].stoploss : option.stoploss;
+    }
+
+    const short = isShort(option);
+    let best = option.entryPrice;
+    const points = [{ time: option.createdAt, price: option.entryPrice, best, stoploss: initialStop }];
+    const marks = [{ type: 'ENTRY', time: option.createdAt, price: option.entryPrice }];
+
+    log.forEach((entry) => {
+      best = short ? Math.min(best, entry.newPrice) : Math.max(best, entry.newPrice);
+      points.push({ time: entry.timestamp, price: entry.newPrice, best, stoploss: entry.stoploss });
+      const hitStop = short ? entry.newPrice >= entry.stoploss : entry.newPrice <= entry.stoploss;
+      if (hitStop && !marks.some(mark => mark.type === 'STOPLOSS_HIT')) {
+        marks.push({ type: 'STOPLOSS_HIT', time: entry.timestamp, price: entry.newPrice });
+      }
+    });
+
+    // Expiry settlement moves the price without logging an update
+    const last = points[points.length - 1];
+    if (option.exitedAt && option.currentPrice !== last.price && new Date(option.exitedAt) >= new Date(last.time)) {
+      points.push({ time: option.exitedAt, price: option.currentPrice, best, stoploss: last.stoploss });
+    }
+
+    let exited = 0;
+    (option.exits || []).forEach((exit) => {
+      exited += exit.quantity;
+      marks.push({
+        type: exited >= option.quantity ? 'EXIT' : 'PARTIAL',
+        time: exit.exitedAt,
+        price: exit.price,
+        quantity: exit.quantity,
+        reason: exit.reason
+      });
+    });
+    marks.sort((a, b) => new Date(a.time) - new Date(b.time));
+
+    return { points, marks };
+  }
+
+  return {
+    PositionError,
+    SIDES,
+    STRATEGIES,
+    registerStrategy,
+    normalizeStrategy,
+    getStrategy,
+    describeStrategy,
+    computeStoploss,
+    calculateStoploss,
+    isStoplossHit,
+    isShort,
+    bestPrice,
+    calculatePnL,
+    isActive,
+    getOpenQuantity,
+    normalizeTargets,
+    createOption,
+    addTarget,
+    applyEdit,
+    applyPriceUpdate,
+    applyPartialExit,
+    applyExit,
+    settleAtExpiry,
+    applyModelPrice,
+    priceHistory
+  };
+});
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+// How long a writer waits for another process to release the data file
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_RETRY_MS = 25;
+// A lock file older than this is assumed to belong to a crashed process
+const LOCK_STALE_MS = 30000;
+
+/**
+ * Persistence layer for the API server.
+ *
+ * Every backend exposes the same async API over named collections
+ * (e.g. 'options'). Documents are plain JSON objects keyed by `id` and are
+ * always handed out as copies, so callers must go through update() to
+ * change stored data.
+ *
+ *   all(collection)                 -> [doc]
+ *   find(collection, id)            -> doc | null
+ *   insert(collection, doc)         -> doc
+ *   append(collection, doc)         -> doc  (numbered max(id) + 1 in the same write)
+ *   update(collection, id, mutator) -> doc | null  (mutator edits doc in place)
+ *   remove(collection, id)          -> doc | null
+ *
+ * Operations on one store run strictly one after another, so a
+ * read-modify-write in update() can never interleave with another request.
+ * append() picks its id inside the write, under the file backend's lock,
+ * so processes sharing a file never hand out the same one.
+ */
+function createDocumentStore({ load, persist }) {
+  let queue = Promise.resolve();
+
+  // Chain every operation so they run in arrival order
+  function serialize(operation) {
+    const result = queue.then(operation);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  function read(operation) {
+    return serialize(async () => operation(await load()));
+  }
+
+  function write(operation) {
+    return serialize(() => persist(async (data) => operation(data)));
+  }
+
+  function getCollection(data, collection) {
+    if (!Array.isArray(data[collection])) {
+      data[collection] = [];
+    }
+    return data[collection];
+  }
+
+  return {
+    all(collection) {
+      return read(data => clone(getCollection(data, collection)));
+    },
+
+    find(collection, id) {
+      return read(data => {
+        const doc = getCollection(data, collection).find(item => item.id === id);
+        return doc ? clone(doc) : null;
+      });
+    },
+
+    insert(collection, doc) {
+      return write(data => {
+        const docs = getCollection(data, collection);
+        if (docs.some(item => item.id === doc.id)) {
+          const error = new Error(`Duplicate id ${doc.id} in ${collection}`);
+          error.code = 'DUPLICATE_ID';
+          throw error;
+        }
+        const stored = clone(doc);
+        docs.push(stored);
+        return { changed: true, result: clone(stored) };
+      });
+    },
+
+    append(collection, doc) {
+      return write(data => {
+        const docs = getCollection(data, collection);
+        const id = docs.reduce((highest, item) => Math.max(highest, item.id), 0) + 1;
+        const stored = { ...clone(doc), id };
+        docs.push(stored);
+        return { changed: true, result: clone(stored) };
+      });
+    },
+
+    update(collection, id, mutator) {
+      return write(async data => {
+        const doc = getCollection(data, collection).find(item => item.id === id);
+        if (!doc) {
+          return { changed: false, result: null };
+        }
+        await mutator(doc);
+        return { changed: true, result: clone(doc) };
+      });
+    },
+
+    remove(collection, id) {
+      return write(data => {
+        const docs = getCollection(data, collection);
+        const index = docs.findIndex(item => item.id === id);
+        if (index === -1) {
+          return { changed: false, result: null };
+        }
+        return { changed: true, result: docs.splice(index, 1)[0] };
+      });
+    }
+  };
+}
+
+/**
+ * In-memory backend. Nothing survives a restart, which makes it the
+ * backend of choice for tests and throwaway sessions.
+ *
+ * Like the file backend, a write works on a copy of the data and only
+ * keeps it once the operation has gone through, so a mutator that throws
+ * halfway leaves the stored documents as they were.
+ */
+function createMemoryStore(initialData = {}) {
+  let data = clone(initialData);
+
+  return createDocumentStore({
+    load: async () => data,
+    persist: async (operation) => {
+      const draft = clone(data);
+      const { changed, result } = await operation(draft);
+      if (changed) {
+        data = draft;
+      }
+      return result;
+    }
+  });
+}
+
+/**
+ * JSON file backend.
+ *
+ * Writes go to a temporary file that is renamed over the data file, so a
+ * crash mid-write leaves the previous version intact. Each write also holds
+ * a lock file while it re-reads, changes and saves the data, which keeps
+ * several server processes sharing one file from overwriting each other.
+ */
+function createFileStore(filePath) {
+  const lockPath = `${filePath}.lock`;
+
+  async function load() {
+    try {
+      return JSON.parse(await fsp.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async function save(data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fsp.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fsp.rename(tempPath, filePath);
+  }
+
+  return createDocumentStore({
+    load,
+    persist: (operation) => withFileLock(lockPath, async () => {
+      const data = await load();
+      const { changed, result } = await operation(data);
+      if (changed) {
+        await save(data);
+      }
+      return result;
+    })
+  });
+}
+
+/**
+ * Build the store selected by configuration.
+ * Config: { backend: 'file' | 'memory', file }
+ */
+function createStore({ backend = 'file', file } = {}) {
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      if (!file) {
+        throw new Error('File storage backend requires a file path');
+      }
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      return createFileStore(file);
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+/**
+ * Wrap a store so every successful write is reported to `listener` as
+ * { collection, type: 'insert' | 'update' | 'remove', doc, previous }.
+ * `previous` is the document as it was before an update.
+ */
+function observeStore(store, listener) {
+  function notify(change) {
+    try {
+      listener(change);
+    } catch (error) {
+      console.error('Store listener failed:', error.message);
+    }
+  }
+
+  return {
+    ...store,
+
+    async insert(collection, doc) {
+      const result = await store.insert(collection, doc);
+      notify({ collection, type: 'insert', doc: result, previous: null });
+      return result;
+    },
+
+    async append(collection, doc) {
+      const result = await store.append(collection, doc);
+      notify({ collection, type: 'insert', doc: result, previous: null });
+      return result;
+    },
+
+    async update(collection, id, mutator) {
+      let previous = null;
+      const result = await store.update(collection, id, (doc) => {
+        previous = clone(doc);
+        return mutator(doc);
+      });
+      if (result) {
+        notify({ collection, type: 'update', doc: result, previous });
+      }
+      return result;
+    },
+
+    async remove(collection, id) {
+      const result = await store.remove(collection, id);
+      if (result) {
+        notify({ collection, type: 'remove', doc: result, previous: result });
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * Run fn while holding an exclusive lock file
+ */
+async function withFileLock(lockPath, fn) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      const handle = await fsp.open(lockPath, 'wx');
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      if (await isStaleLock(lockPath)) {
+        await fsp.unlink(lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock on ${lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fsp.unlink(lockPath).catch(() => {});
+  }
+}
+
+async function isStaleLock(lockPath) {
+  try {
+    const stats = await fsp.stat(lockPath);
+    return Date.now() - stats.mtimeMs > LOCK_STALE_MS;
+  } catch (error) {
+    // Lock vanished between open() and stat(); just retry
+    return false;
+  }
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createFileStore,
+  observeStore
+};
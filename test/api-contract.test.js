@@ -0,0 +1,293 @@
+/**
+ * Real API responses against the OpenAPI document in openapi.js.
+ *
+ * Starts server.js on a spare port with in-memory storage and simulated
+ * market data, walks a portfolio through every operation, and checks each
+ * JSON response against the schema documented for its status code. The
+ * check is strict: a numeric string where the contract says number fails,
+ * as it would in any other OpenAPI validator.
+ *
+ * Run with `node --test` from the repository root.
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('node:child_process');
+const path = require('node:path');
+const { apiDocument } = require('../openapi');
+const { validateValue } = require('../validation');
+const { createOption } = require('../stoploss');
+
+const PORT = 4100 + (process.pid % 800);
+const BASE = `http://localhost:${PORT}`;
+
+// Not JSON, so checked on their own (export) or not at all (the stream)
+const UNCHECKED = ['streamEvents'];
+
+let server;
+let token;
+const called = new Set();
+
+/**
+ * The documented operation for a request, matched on the path template
+ */
+function findOperation(method, url) {
+  const pathname = new URL(url, BASE).pathname;
+  const template = Object.keys(apiDocument.paths).find(candidate => (
+    new RegExp(`^${candidate.replace(/\{[^}]+\}/g, '[^/]+')}$`).test(pathname)
+  ));
+  const operation = template && apiDocument.paths[template][method.toLowerCase()];
+  assert.ok(operation, `${method} ${pathname} is not in the API document`);
+  return operation;
+}
+
+/**
+ * The JSON schema documented for one response of an operation
+ */
+function responseSchema(operation, status) {
+  let response = operation.responses[status];
+  assert.ok(response, `${operation.operationId} does not document a ${status} response`);
+  if (response.$ref) {
+    response = apiDocument.components.responses[response.$ref.split('/').pop()];
+  }
+  return response.content['application/json'].schema;
+}
+
+/**
+ * Call the API and check the answer against the contract. Returns the body.
+ */
+async function call(method, url, { body, status, auth = true, as = token } = {}) {
+  const operation = findOperation(method, url);
+  called.add(operation.operationId);
+
+  const response = await fetch(`${BASE}${url}`, {
+    method,
+    headers: {
+      ...(auth && as ? { Authorization: `Bearer ${as}` } : {}),
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+
+  if (status) {
+    assert.strictEqual(response.status, status, `${method} ${url}: ${JSON.stringify(data)}`);
+  }
+  const { errors } = validateValue(apiDocument, responseSchema(operation, response.status), data, '', { coerce: false });
+  assert.deepStrictEqual(errors, [], `${method} ${url} answered ${response.status} off contract`);
+  return data;
+}
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    try {
+      await fetch(`${BASE}/api/live`);
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+  }
+  throw new Error(`server.js did not start on port ${PORT}`);
+}
+
+before(async () => {
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      STORAGE_BACKEND: 'memory',
+      MARKET_DATA_PROVIDERS: 'simulated',
+      ALERT_WEBHOOKS: ''
+    },
+    stdio: 'ignore'
+  });
+  await waitForServer();
+});
+
+after(() => {
+  if (server) server.kill();
+});
+
+const call1 = { id: 11, entryPrice: 100, lots: 1, trailingPercent: 10, optionType: 'CALL', strike: 80000, targets: [{ price: 150, quantity: 20 }] };
+const put1 = { id: 12, side: 'SELL', entryPrice: 100, lots: 2, trailingPercent: 10, optionType: 'PUT', strike: 80000 };
+const spread = {
+  id: 5,
+  trailAmount: 500,
+  legs: [
+    { side: 'BUY', optionType: 'CALL', strike: 80000, lots: 1, entryPrice: 50 },
+    { side: 'SELL', optionType: 'CALL', strike: 80500, lots: 1, entryPrice: 20 }
+  ]
+};
+
+test('public market endpoints', async () => {
+  await call('GET', '/api/live', { status: 200 });
+  await call('GET', '/api/candles?timeframe=1m&limit=5', { status: 200 });
+  await call('GET', '/api/candles?timeframe=2h', { status: 400 });
+  await call('GET', '/api/market/status', { status: 200 });
+  await call('GET', '/api/market/calendar', { status: 200 });
+  await call('GET', '/api/strategies', { status: 200 });
+  await call('GET', '/api/brokers', { status: 200 });
+  await call('GET', '/api/openapi.json', { status: 200 });
+  await call('POST', '/api/backtest', {
+    body: {
+      premiums: [{ time: '2026-01-01T09:15:00Z', price: 100 }, { time: '2026-01-01T09:16:00Z', price: 90 }],
+      trailingPercent: 5
+    },
+    status: 200
+  });
+});
+
+test('accounts and tokens', async () => {
+  await call('GET', '/api/options', { status: 401, auth: false });
+  const registered = await call('POST', '/api/auth/register', { body: { username: 'contract', password: 'secret123' }, status: 201 });
+  await call('POST', '/api/auth/register', { body: { username: 'contract', password: 'secret123' }, status: 409 });
+  await call('POST', '/api/auth/login', { body: { username: 'contract', password: 'wrong-one' }, status: 401 });
+  const session = await call('POST', '/api/auth/login', { body: { username: 'contract', password: 'secret123' }, status: 200 });
+  assert.ok(registered.token && session.token);
+  token = session.token;
+
+  await call('GET', '/api/auth/me', { status: 200 });
+  const created = await call('POST', '/api/auth/tokens', { body: { name: 'script' }, status: 201 });
+  const listed = await call('GET', '/api/auth/tokens', { status: 200 });
+  const scriptToken = listed.find(entry => entry.name === 'script');
+  assert.ok(created.token && scriptToken);
+  await call('DELETE', `/api/auth/tokens/${scriptToken.id}`, { status: 200 });
+  await call('DELETE', `/api/auth/tokens/${'0'.repeat(64)}`, { status: 404 });
+});
+
+test('tracking and updating options', async () => {
+  await call('POST', '/api/track', { body: call1, status: 201 });
+  await call('POST', '/api/track', { body: put1, status: 201 });
+  await call('POST', '/api/track', { body: call1, status: 409 });
+  await call('POST', '/api/track', { body: {}, status: 400 });
+
+  await call('PUT', '/api/options/11', { body: { currentPrice: 120 }, status: 200 });
+  await call('PUT', '/api/options/12', { body: { currentPrice: 80 }, status: 200 });
+  await call('PUT', '/api/options', { body: { prices: [{ id: 11, currentPrice: 118 }, { id: 12, currentPrice: 82 }] }, status: 200 });
+  await call('PUT', '/api/options', { body: { prices: [{ id: 11, currentPrice: 119 }, { id: 404, currentPrice: 1 }] }, status: 404 });
+  await call('PUT', '/api/options', { body: { prices: [] }, status: 400 });
+
+  await call('POST', '/api/options/12/exit', { body: { quantity: 20, price: 70 }, status: 200 });
+  await call('POST', '/api/options/11/targets', { body: { price: 170 }, status: 200 });
+  await call('POST', '/api/options/11/targets', { body: { price: 50 }, status: 422 });
+  await call('POST', '/api/options/11/alerts', { body: { muted: true }, status: 200 });
+  await call('POST', '/api/options/11/model-pricing', { body: { enabled: false }, status: 200 });
+  await call('PATCH', '/api/options/11', { body: { trailingPercent: 15 }, status: 200 });
+  await call('PATCH', '/api/options/11', { body: { addLots: 1, price: 130 }, status: 200 });
+  await call('PATCH', '/api/options/998', { body: { addLots: 1 }, status: 404 });
+
+  const options = await call('GET', '/api/options', { status: 200 });
+  assert.strictEqual(options.length, 2);
+  await call('GET', '/api/options/11', { status: 200 });
+  await call('GET', '/api/options/999', { status: 404 });
+  await call('GET', '/api/options/11/events', { status: 200 });
+  await call('POST', '/api/options/11/exit', { body: {}, status: 200 });
+  await call('GET', '/api/analytics', { status: 200 });
+  await call('GET', '/api/analytics?from=last-week', { status: 400 });
+});
+
+test('undo and the trash', async () => {
+  await call('POST', '/api/undo', { status: 200 });
+  await call('DELETE', '/api/options/12', { status: 200 });
+  const trash = await call('GET', '/api/trash', { status: 200 });
+  assert.deepStrictEqual(trash.map(option => option.id), [12]);
+  await call('POST', '/api/trash/12/restore', { status: 200 });
+  await call('POST', '/api/trash/12/restore', { status: 404 });
+  await call('DELETE', '/api/options/999', { status: 404 });
+});
+
+test('undo and restore never write over another account', async () => {
+  await call('POST', '/api/track', { body: { ...call1, id: 102 }, status: 201 });
+  await call('DELETE', '/api/options/102', { status: 200 });
+
+  const other = await call('POST', '/api/auth/register', { body: { username: 'other', password: 'secret123' }, status: 201 });
+  const migrated = await call('POST', '/api/migrate', { body: { options: [createOption({ ...put1, id: 102 })] }, status: 200, as: other.token });
+  assert.strictEqual(migrated.imported, 1);
+
+  await call('POST', '/api/trash/102/restore', { status: 200 });
+  const [kept] = await call('GET', '/api/options', { status: 200, as: other.token });
+  assert.strictEqual(kept.optionType, 'PUT');
+  assert.notStrictEqual(kept.id, 102);
+  await call('DELETE', '/api/options/102', { status: 200 });
+
+  // Ids taken in another portfolio, or its trash, are swapped rather than refused
+  const tracked = await call('POST', '/api/track', { body: { ...put1, id: 102 }, status: 201, as: other.token });
+  assert.notStrictEqual(tracked.option.id, 102);
+  await call('POST', '/api/groups', { body: { ...spread, id: 6 }, status: 201 });
+  const grouped = await call('POST', '/api/groups', { body: { ...spread, id: 6 }, status: 201, as: other.token });
+  assert.notStrictEqual(grouped.group.id, 6);
+});
+
+test('multi-leg groups', async () => {
+  await call('POST', '/api/groups', { body: spread, status: 201 });
+  await call('PUT', '/api/groups/5', { body: { prices: [60, null] }, status: 200 });
+  await call('GET', '/api/groups', { status: 200 });
+  await call('POST', '/api/groups/5/exit', { body: {}, status: 200 });
+  const reopened = await call('POST', '/api/undo', { status: 200 });
+  assert.strictEqual(reopened.undone.type, 'GROUP_EXITED');
+  assert.ok(reopened.group.legs.every(leg => leg.exitPrice === undefined));
+
+  await call('DELETE', '/api/groups/5', { status: 200 });
+  const trash = await call('GET', '/api/trash/groups', { status: 200 });
+  assert.deepStrictEqual(trash.map(group => group.id), [5]);
+  await call('POST', '/api/groups', { body: spread, status: 409 });
+  await call('POST', '/api/trash/groups/5/restore', { status: 200 });
+  await call('POST', '/api/trash/groups/5/restore', { status: 404 });
+  await call('DELETE', '/api/groups/5', { status: 200 });
+  await call('DELETE', '/api/groups/5', { status: 404 });
+});
+
+test('settings, risk and webhooks', async () => {
+  await call('GET', '/api/settings', { status: 200 });
+  await call('PUT', '/api/settings', { body: { accountSize: 500000, dailyLossLimit: 100 }, status: 200 });
+  await call('PUT', '/api/settings', { body: { riskPercent: 0 }, status: 400 });
+  await call('GET', '/api/risk', { status: 200 });
+  await call('POST', '/api/track', {
+    body: { id: 21, entryPrice: 100, lots: 20, trailingPercent: 10, optionType: 'PUT', strike: 80000 },
+    status: 422
+  });
+  await call('PUT', '/api/settings', { body: { dailyLossLimit: null }, status: 200 });
+
+  await call('GET', '/api/webhooks', { status: 200 });
+  await call('PUT', '/api/webhooks', { body: { urls: ['https://93.184.215.14/alerts'] }, status: 200 });
+  for (const url of ['http://localhost:3000/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://10.0.0.5/']) {
+    await call('PUT', '/api/webhooks', { body: { urls: [url] }, status: 422 });
+  }
+  await call('PUT', '/api/webhooks', { body: { urls: ['javascript:alert(1)'] }, status: 400 });
+});
+
+test('a trail wider than the premium holds the stop at zero', async () => {
+  const wide = await call('POST', '/api/track', {
+    body: { id: 13, entryPrice: 40, lots: 1, optionType: 'CALL', strike: 80000, strategy: { type: 'points', params: { points: 100 } } },
+    status: 201
+  });
+  assert.strictEqual(wide.option.stoploss, 0);
+});
+
+test('export, import and migration', async () => {
+  const response = await fetch(`${BASE}/api/export?format=csv`, { headers: { Authorization: `Bearer ${token}` } });
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+
+  const exported = await call('GET', '/api/export?format=json', { status: 200 });
+  await call('POST', '/api/import', { body: { ...exported, dryRun: true }, status: 200 });
+  await call('POST', '/api/import', { body: { ...exported, onDuplicate: 'skip' }, status: 200 });
+  await call('POST', '/api/migrate', { body: { options: [] }, status: 200 });
+  await call('POST', '/api/migrate', { body: { options: [{ id: 7, entryPrice: 'abc' }] }, status: 400 });
+  const migrated = await call('POST', '/api/migrate', {
+    body: { options: [{ ...createOption({ ...call1, id: 8 }), openQuantity: 999 }] },
+    status: 200
+  });
+  assert.deepStrictEqual([migrated.imported, migrated.invalid.length], [0, 1]);
+});
+
+test('signing out', async () => {
+  await call('POST', '/api/auth/logout', { status: 200 });
+  await call('GET', '/api/auth/me', { status: 401 });
+});
+
+test('every operation is covered', () => {
+  const operations = Object.values(apiDocument.paths)
+    .flatMap(item => Object.values(item).map(operation => operation.operationId));
+  const missing = operations.filter(id => !called.has(id) && !UNCHECKED.includes(id));
+  assert.deepStrictEqual(missing, []);
+});
@@ -0,0 +1,357 @@
+/**
+ * Import and export of tracked options, shared by the browser and the API
+ * server.
+ *
+ * JSON exports wrap the options untouched:
+ *   { format: 'sensex-tracker', version, exportedAt, options: [option] }
+ *
+ * CSV exports suit spreadsheets: one `position` row per option followed by
+ * one `update` row per price log entry, linked by `id`. Nested fields
+ * (strategy, targets, exits, finalPnL, audit) are JSON inside their cell.
+ *
+ * Imports accept either format. Every option is checked against the
+ * schema below and duplicate ids are skipped, replaced or given a new id.
+ * planImport() only works out what would happen, so callers can show a
+ * dry-run preview before applying it.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./contract'), require('./stoploss'), require('./charges'));
+  } else {
+    root.SensexTransfer = factory(root.SensexContract, root.SensexStoploss, root.SensexCharges);
+  }
+})(typeof self !== 'undefined' ? self : this, function (contract, stoploss, charges) {
+  const EXPORT_FORMAT = 'sensex-tracker';
+  const EXPORT_VERSION = 1;
+  const STATUSES = ['TRACKING', 'PARTIALLY_EXITED', 'STOPLOSS_HIT', 'EXITED', 'EXPIRED'];
+  const DUPLICATE_MODES = ['skip', 'replace', 'new-id'];
+
+  const POSITION_COLUMNS = [
+    'id', 'contract', 'side', 'optionType', 'strike', 'expiryType', 'expiry', 'lotSize', 'broker',
+    'quantity', 'openQuantity', 'entryPrice', 'currentPrice', 'highestPrice',
+    'lowestPrice', 'stoploss', 'trailingPercent', 'strategy', 'targets', 'exits', 'modelPricing',
+    'alertsMuted', 'status', 'createdAt', 'exitedAt', 'exitPrice', 'finalPnL', 'audit'
+  ];
+  const UPDATE_COLUMNS = ['timestamp', 'previousPrice', 'newPrice', 'logStoploss', 'logPnL', 'source'];
+  const CSV_COLUMNS = ['record', ...POSITION_COLUMNS, ...UPDATE_COLUMNS];
+
+  const NUMBER_FIELDS = [
+    'strike', 'lotSize', 'quantity', 'openQuantity', 'entryPrice', 'currentPrice',
+    'highestPrice', 'lowestPrice', 'stoploss', 'trailingPercent', 'exitPrice'
+  ];
+  const JSON_FIELDS = ['strategy', 'targets', 'exits', 'finalPnL', 'audit'];
+  const BOOLEAN_FIELDS = ['modelPricing', 'alertsMuted'];
+
+  function exportJson(options) {
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      options
+    }, null, 2);
+  }
+
+  function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function csvRow(values) {
+    return CSV_COLUMNS.map(column => csvCell(values[column])).join(',');
+  }
+
+  function exportCsv(options) {
+    const rows = [CSV_COLUMNS.join(',')];
+    options.forEach((option) => {
+      rows.push(csvRow({ ...option, record: 'position', contract: contract.contractName(option) }));
+      (option.updateLog || []).forEach((entry) => {
+        rows.push(csvRow({
+          record: 'update',
+          id: option.id,
+          timestamp: entry.timestamp,
+          previousPrice: entry.previousPrice,
+          newPrice: entry.newPrice,
+          logStoploss: entry.stoploss,
+          logPnL: entry.pnl,
+          source: entry.source
+        }));
+      });
+    });
+    return `${rows.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Split CSV text into rows of cells (RFC 4180 quoting)
+   */
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value !== ''));
+  }
+
+  function parseCell(column, value) {
+    if (value === '') return undefined;
+    if (NUMBER_FIELDS.includes(column) || column === 'id') return Number(value);
+    if (BOOLEAN_FIELDS.includes(column)) return value === 'true';
+    if (JSON_FIELDS.includes(column)) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Options from a CSV export; update rows go back into their option's log
+   */
+  function optionsFromCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !header.includes('record') || !header.includes('id')) {
+      throw new Error('CSV needs a header row with record and id columns');
+    }
+
+    const byId = new Map();
+    const options = [];
+    rows.forEach((cells) => {
+      const values = {};
+      header.forEach((column, index) => {
+        values[column] = cells[index] === undefined ? '' : cells[index];
+      });
+
+      if (values.record === 'position') {
+        const option = { updateLog: [] };
+        POSITION_COLUMNS.filter(column => column !== 'contract').forEach((column) => {
+          const value = parseCell(column, values[column]);
+          if (value !== undefined) option[column] = value;
+        });
+        options.push(option);
+        byId.set(option.id, option);
+      } else if (values.record === 'update') {
+        const option = byId.get(Number(values.id));
+        if (!option) return;
+        const entry = {
+          timestamp: values.timestamp,
+          previousPrice: Number(values.previousPrice),
+          newPrice: Number(values.newPrice),
+          stoploss: Number(values.logStoploss)
+        };
+        if (values.logPnL) entry.pnl = parseCell('finalPnL', values.logPnL);
+        if (values.source) entry.source = values.source;
+        option.updateLog.push(entry);
+      }
+    });
+    return options;
+  }
+
+  /**
+   * Options from export text in either format
+   */
+  function parseImport(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) {
+      throw new Error('Import file is empty');
+    }
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      const data = JSON.parse(trimmed);
+      const options = Array.isArray(data) ? data : data.options;
+      if (!Array.isArray(options)) {
+        throw new Error('JSON import needs an options array');
+      }
+      return options;
+    }
+    return optionsFromCsv(trimmed);
+  }
+
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const isDate = value => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+  const isCount = value => Number.isInteger(value) && value > 0;
+
+  // A target without a quantity books whatever is open when it is reached
+  const isTarget = target => Boolean(target) && isNumber(target.price) && target.price > 0 &&
+    (target.quantity === undefined || target.quantity === null || isCount(target.quantity));
+
+  const isExit = exit => Boolean(exit) && isCount(exit.quantity) && isNumber(exit.price) && exit.price >= 0 &&
+    isNumber(exit.pnl) && isDate(exit.exitedAt);
+
+  /**
+   * Check one imported option. Returns a list of problems, empty when valid.
+   */
+  function validateOption(option) {
+    const problems = [];
+    if (!option || typeof option !== 'object') {
+      return ['Not an option object'];
+    }
+    if (!Number.isInteger(option.id) || option.id <= 0) problems.push('id must be a positive integer');
+    if (!['CALL', 'PUT'].includes(option.optionType)) problems.push('optionType must be CALL or PUT');
+    if (option.side !== undefined && !stoploss.SIDES.includes(option.side)) problems.push('side must be BUY or SELL');
+    if (option.broker !== undefined && !charges.BROKER_PROFILES[option.broker]) {
+      problems.push(`broker must be one of ${Object.keys(charges.BROKER_PROFILES).join(', ')}`);
+    }
+    if (!isNumber(option.strike) || option.strike <= 0) problems.push('strike must be a positive number');
+    if (!isNumber(option.entryPrice) || option.entryPrice <= 0) problems.push('entryPrice must be a positive number');
+    if (!isCount(option.quantity)) problems.push('quantity must be a positive integer');
+    if (option.openQuantity !== undefined &&
+        (!Number.isInteger(option.openQuantity) || option.openQuantity < 0 || option.openQuantity > option.quantity)) {
+      problems.push('openQuantity must be a whole number from 0 to quantity');
+    }
+    if (option.lotSize !== undefined && !isCount(option.lotSize)) {
+      problems.push('lotSize must be a positive integer');
+    }
+    ['currentPrice', 'highestPrice', 'stoploss'].forEach((field) => {
+      if (!isNumber(option[field]) || option[field] < 0) problems.push(`${field} must be a number`);
+    });
+    if (option.side === 'SELL' && (!isNumber(option.lowestPrice) || option.lowestPrice < 0)) {
+      problems.push('lowestPrice must be a number for a SELL option');
+    }
+    if (!STATUSES.includes(option.status)) problems.push(`status must be one of ${STATUSES.join(', ')}`);
+    if (!isDate(option.createdAt)) problems.push('createdAt must be a date');
+    if (option.exitedAt !== undefined && option.exitedAt !== null && !isDate(option.exitedAt)) {
+      problems.push('exitedAt must be a date');
+    }
+    if (option.expiry !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(option.expiry)) {
+      problems.push('expiry must be a date (YYYY-MM-DD)');
+    }
+    if (option.strategy !== undefined) {
+      try {
+        stoploss.normalizeStrategy(option.strategy, option.trailingPercent);
+      } catch (error) {
+        problems.push(`strategy: ${error.message}`);
+      }
+    } else if (!isNumber(option.trailingPercent)) {
+      problems.push('trailingPercent or strategy is required');
+    }
+    ['targets', 'exits', 'audit'].forEach((field) => {
+      if (option[field] !== undefined && !Array.isArray(option[field])) problems.push(`${field} must be a list`);
+    });
+    if (Array.isArray(option.targets) && !option.targets.every(isTarget)) {
+      problems.push('every target needs a positive price and, if given, a positive whole quantity');
+    }
+    if (Array.isArray(option.exits) && !option.exits.every(isExit)) {
+      problems.push('every exit needs a positive whole quantity, a price, a numeric pnl and an exitedAt date');
+    }
+    if (option.updateLog !== undefined) {
+      if (!Array.isArray(option.updateLog)) {
+        problems.push('updateLog must be a list');
+      } else if (option.updateLog.some(entry => !isDate(entry.timestamp) || !isNumber(entry.newPrice))) {
+        problems.push('every updateLog entry needs a timestamp and a numeric newPrice');
+      }
+    }
+    return problems;
+  }
+
+  /**
+   * Work out what importing `incoming` next to `existing` would do.
+   * onDuplicate: 'skip' (default) | 'replace' | 'new-id'
+   * reservedIds are taken but may not be skipped over or replaced (another
+   * portfolio's options, say): options with those ids always get a new id.
+   * Returns { insert: [option], replace: [option], skipped: [id],
+   *           invalid: [{ index, id, problems }], preview: [{ id, contract, action }] }
+   */
+  function planImport(existing, incoming, { onDuplicate = 'skip', reservedIds = [] } = {}) {
+    if (!DUPLICATE_MODES.includes(onDuplicate)) {
+      throw new Error(`onDuplicate must be one of ${DUPLICATE_MODES.join(', ')}`);
+    }
+
+    const reserved = new Set(reservedIds);
+    const taken = new Set([...existing.map(option => option.id), ...reserved]);
+    let nextId = [...taken].reduce((highest, id) => Math.max(highest, id), Date.now()) + 1;
+    const plan = { insert: [], replace: [], skipped: [], invalid: [], preview: [] };
+
+    incoming.forEach((raw, index) => {
+      const problems = validateOption(raw);
+      if (problems.length > 0) {
+        plan.invalid.push({ index, id: raw && raw.id, problems });
+        plan.preview.push({ id: raw && raw.id, contract: null, action: 'invalid' });
+        return;
+      }
+
+      const option = { ...raw, updateLog: raw.updateLog || [] };
+      let action = 'insert';
+      if (taken.has(option.id)) {
+        if (onDuplicate === 'skip' && !reserved.has(option.id)) {
+          action = 'skip';
+        } else if (onDuplicate === 'replace' && existing.some(item => item.id === option.id) &&
+            !plan.replace.some(item => item.id === option.id)) {
+          action = 'replace';
+        } else {
+          // Also covers the same id twice within one import file
+          option.id = nextId++;
+          action = 'new-id';
+        }
+      }
+
+      if (action === 'skip') {
+        plan.skipped.push(option.id);
+      } else if (action === 'replace') {
+        plan.replace.push(option);
+      } else {
+        plan.insert.push(option);
+      }
+      taken.add(option.id);
+      plan.preview.push({ id: option.id, originalId: raw.id, contract: contract.contractName(option), action });
+    });
+    return plan;
+  }
+
+  /**
+   * Counts for a plan, as reported by the import API
+   */
+  function summarizePlan(plan) {
+    return {
+      imported: plan.insert.length,
+      replaced: plan.replace.length,
+      skipped: plan.skipped.length,
+      invalid: plan.invalid,
+      preview: plan.preview
+    };
+  }
+
+  return {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    DUPLICATE_MODES,
+    exportJson,
+    exportCsv,
+    parseCsv,
+    parseImport,
+    validateOption,
+    planImport,
+    summarizePlan
+  };
+});
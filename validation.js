@@ -0,0 +1,265 @@
+/**
+ * Request validation for the API server against the OpenAPI document in
+ * openapi.js, so the published contract and what the routes accept are
+ * the same thing.
+ *
+ * Schemas use the JSON Schema subset the document needs: type (one or a
+ * list), enum, const, minimum/maximum and their exclusive forms, multipleOf,
+ * minLength/maxLength, pattern, format (date, date-time), items,
+ * minItems/maxItems, properties, required, additionalProperties, allOf,
+ * anyOf, oneOf and local $refs.
+ *
+ * Path and query parameters arrive as strings and are converted to the
+ * number, integer or boolean their schema asks for; so are numeric strings
+ * in bodies, which form posts send. Anything that does not convert is an
+ * error - a NaN never reaches a route. Responses are checked strictly
+ * (validateValue with coerce: false): what the server sends must already
+ * have the documented types.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Turn a string into the scalar type a schema asks for, when it reads as one
+ */
+function coerce(value, types) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  if ((types.includes('number') || types.includes('integer')) && text !== '' && Number.isFinite(Number(text))) {
+    return Number(text);
+  }
+  if (types.includes('boolean') && (text === 'true' || text === 'false')) {
+    return text === 'true';
+  }
+  return value;
+}
+
+function describeTypes(types) {
+  const names = types.map(type => (type === 'integer' ? 'a whole number' : type === 'array' ? 'a list' : `a ${type}`));
+  return names.join(' or ').replace('a null', 'null').replace('a object', 'an object');
+}
+
+/**
+ * Check `value` against `schema`. Problems are pushed onto `errors` as
+ * { path, message }; the returned value has its strings converted unless
+ * context.coerce is false. context.resolve looks up $refs.
+ */
+function check(schema, value, path, context, errors) {
+  if (schema.$ref) {
+    return check(context.resolve(schema.$ref), value, path, context, errors);
+  }
+  const fail = message => errors.push({ path, message });
+
+  (schema.allOf || []).forEach((part) => {
+    value = check(part, value, path, context, errors);
+  });
+
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (alternatives) {
+    // The first alternative that fits wins; otherwise report the closest
+    const attempts = [];
+    for (const alternative of alternatives) {
+      const attempt = [];
+      const result = check(alternative, value, path, context, attempt);
+      if (attempt.length === 0) {
+        value = result;
+        attempts.length = 0;
+        break;
+      }
+      attempts.push(attempt);
+    }
+    if (attempts.length > 0) {
+      // Alternatives that only differ in a required field read as "needs a or b"
+      const missing = attempts.map(attempt => (
+        attempt.length === 1 && attempt[0].message === 'is required' ? attempt[0].path : null
+      ));
+      if (missing.every(Boolean)) {
+        fail(`needs ${missing.map(name => name.split('.').pop()).join(' or ')}`);
+      } else {
+        errors.push(...attempts.reduce((closest, attempt) => (attempt.length < closest.length ? attempt : closest)));
+      }
+    }
+  }
+
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types) {
+    if (context.coerce !== false) value = coerce(value, types);
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${describeTypes(types)}`);
+      return value;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(item => (item === null ? 'null' : item)).join(', ')}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${schema.const}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(`must be less than ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail('is not in the expected format');
+    if (schema.format === 'date' && !DATE_PATTERN.test(value)) fail('must be a date (YYYY-MM-DD)');
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) fail('must be a date and time');
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value = value.map((item, index) => check(schema.items, item, `${path}[${index}]`, context, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const child = name => (path ? `${path}.${name}` : name);
+    (schema.required || []).forEach((name) => {
+      if (value[name] === undefined) errors.push({ path: child(name), message: 'is required' });
+    });
+
+    const properties = schema.properties || {};
+    const result = { ...value };
+    Object.keys(value).forEach((name) => {
+      if (properties[name]) {
+        result[name] = check(properties[name], value[name], child(name), context, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: child(name), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        result[name] = check(schema.additionalProperties, value[name], child(name), context, errors);
+      }
+    });
+    value = result;
+  }
+
+  return value;
+}
+
+/**
+ * Look up `#/components/...` references in a document
+ */
+function createResolver(document) {
+  return (ref) => {
+    const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), document);
+    if (!target) {
+      throw new Error(`Unresolved schema reference ${ref}`);
+    }
+    return target;
+  };
+}
+
+/**
+ * Validate a value against a schema of `document`. Numeric and boolean
+ * strings count as numbers and booleans unless `coerce` is false.
+ * Returns { value, errors: [{ path, message }] }.
+ */
+function validateValue(document, schema, value, path = '', { coerce = true } = {}) {
+  const errors = [];
+  const converted = check(schema, value, path, { resolve: createResolver(document), coerce }, errors);
+  return { value: converted, errors };
+}
+
+/**
+ * The 400 body for a request that breaks the contract
+ */
+function invalidRequest(details) {
+  const summary = details
+    .map(detail => `${detail.path ? `${detail.path} ` : ''}${detail.message}`)
+    .join('; ');
+  return { error: `Invalid request: ${summary}`, code: 'INVALID_REQUEST', details };
+}
+
+/**
+ * Express middleware factory: validate(operationId) checks a request's
+ * path parameters, query and JSON body against that operation in the
+ * document, answers 400 with every problem found, and otherwise hands the
+ * converted values on in req.params, req.query and req.body. Unknown
+ * operation ids throw at startup.
+ */
+function createRequestValidator(document) {
+  const context = { resolve: createResolver(document), coerce: true };
+  const operations = new Map();
+  Object.values(document.paths).forEach((item) => {
+    ['get', 'post', 'put', 'patch', 'delete'].forEach((method) => {
+      if (item[method]) operations.set(item[method].operationId, item[method]);
+    });
+  });
+
+  return function validate(operationId) {
+    const operation = operations.get(operationId);
+    if (!operation) {
+      throw new Error(`Unknown API operation ${operationId}`);
+    }
+
+    return (req, res, next) => {
+      const details = [];
+
+      (operation.parameters || []).forEach((parameter) => {
+        const source = parameter.in === 'path' ? req.params : req.query;
+        if (source[parameter.name] === undefined || source[parameter.name] === '') {
+          if (parameter.required) {
+            details.push({ in: parameter.in, path: parameter.name, message: 'is required' });
+          }
+          return;
+        }
+        const errors = [];
+        source[parameter.name] = check(parameter.schema, source[parameter.name], parameter.name, context, errors);
+        errors.forEach(error => details.push({ in: parameter.in, ...error }));
+      });
+
+      if (operation.requestBody) {
+        const schema = operation.requestBody.content['application/json'].schema;
+        const errors = [];
+        req.body = check(schema, req.body === undefined ? {} : req.body, '', context, errors);
+        errors.forEach(error => details.push({ in: 'body', ...error }));
+      }
+
+      if (details.length > 0) {
+        return res.status(400).json(invalidRequest(details));
+      }
+      next();
+    };
+  };
+}
+
+module.exports = {
+  validateValue,
+  invalidRequest,
+  createRequestValidator
+};
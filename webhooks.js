@@ -0,0 +1,114 @@
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+const DELIVERY_TIMEOUT_MS = 5000;
+
+/**
+ * Alert webhooks that accounts choose for themselves.
+ *
+ * Anyone can register an account, so a webhook URL must not let them make
+ * the server call what only the server can reach: loopback, private and
+ * carrier-grade NAT networks, link-local addresses (cloud metadata
+ * services live at 169.254.169.254) and other special-purpose ranges.
+ * Every address the host resolves to is checked when the URLs are saved,
+ * and again when an alert is delivered, through the lookup the request
+ * connects with, so a name that has since moved to a private address is
+ * still refused. Redirects are not followed.
+ *
+ * Webhooks the operator configures (ALERT_WEBHOOKS) are trusted and are
+ * not sent through here.
+ */
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Error raised for a webhook URL the server will not call
+ */
+class WebhookError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookError';
+  }
+}
+
+/**
+ * Whether an IP address is on the public internet
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup() that fails unless every address is public, for the lookup
+ * option of an outgoing request
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new WebhookError(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+    }
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Throw a WebhookError unless `url` is http(s) and its host resolves only
+ * to public addresses
+ */
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new WebhookError(`${url} is not a URL`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new WebhookError(`${url} is not an http or https URL`);
+  }
+
+  // IP literals never reach a lookup, so they are checked here
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw new WebhookError(`${parsed.hostname} could not be resolved`);
+  }
+  if (!addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new WebhookError(`${parsed.hostname} is not a public address`);
+  }
+}
+
+/**
+ * POST `payload` to a webhook an account chose, connecting to public
+ * addresses only
+ */
+async function postToWebhook(url, payload) {
+  await assertPublicUrl(url);
+  return axios.post(url, payload, { timeout: DELIVERY_TIMEOUT_MS, maxRedirects: 0, lookup: publicLookup });
+}
+
+module.exports = {
+  DELIVERY_TIMEOUT_MS,
+  WebhookError,
+  isPublicAddress,
+  assertPublicUrl,
+  postToWebhook
+};